@@ -0,0 +1,37 @@
+/**
+ * Image Optimizer Configuration for Radius Works Website
+ * Read by scripts/optimize-images.js and scripts/validate-images.js. Command-line flags
+ * (--widths, --quality, --formats, --max-size, --aspect-ratio) override these for every category.
+ */
+
+module.exports = {
+    sourceDir: 'images/stock',
+    outputDir: 'images/optimized',
+    maxFileSize: 500 * 1024, // 500KB max file size
+    supportedFormats: ['.jpg', '.jpeg', '.png'],
+    formats: ['avif', 'webp'], // Modern formats made alongside the original
+    quality: { jpeg: 82, png: 80, webp: 80, avif: 55 },
+    widths: [480, 768, 1200, 1920],
+
+    // Each category can set its own quality, widths, formats, maxFileSize and aspectRatio
+    categories: {
+        hero: {
+            aspectRatio: '16:9'
+        },
+        services: {
+            widths: [480, 768, 1200], // Cards are never wider than 400px, so 2x is plenty
+            aspectRatio: '4:3'
+        },
+        about: {
+            widths: [480, 768, 1200]
+        },
+        reviews: {
+            widths: [480, 768],
+            quality: { jpeg: 78, webp: 76 }
+        },
+        backgrounds: {
+            widths: [768, 1200, 1920],
+            quality: { jpeg: 75, webp: 72, avif: 50 }
+        }
+    }
+};
@@ -0,0 +1,295 @@
+/**
+ * Emergency Triage for Radius Works Website
+ * Asks a few safety questions, gives immediate instructions and routes to a priority call or the quote form
+ */
+
+class EmergencyTriage {
+    constructor(dialog, options = {}) {
+        this.dialog = dialog;
+        this.body = dialog.querySelector('.triage-body');
+        this.endpoint = options.endpoint || dialog.dataset.triageEndpoint || null;
+        this.phone = options.phone || '+14148009188';
+        this.phoneDisplay = options.phoneDisplay || '(414) 800-9188';
+        this.onRoute = options.onRoute || null;
+
+        this.answers = {};
+        this.questionIndex = 0;
+        this.routed = false;
+        this.opener = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        const closeButton = dialog.querySelector('.triage-close');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+        this.dialog.addEventListener('keydown', this.handleKeydown);
+        this.dialog.addEventListener('cancel', e => {
+            e.preventDefault();
+            this.close();
+        });
+    }
+
+    /**
+     * Open the triage dialog from a launch button
+     */
+    open(opener = null) {
+        this.opener = opener || document.activeElement;
+        this.answers = {};
+        this.questionIndex = 0;
+        this.routed = false;
+
+        if (typeof this.dialog.showModal === 'function') {
+            this.dialog.showModal();
+        } else {
+            this.dialog.setAttribute('open', '');
+        }
+        this.renderQuestion();
+    }
+
+    /**
+     * Close the dialog, logging it as dismissed if no route was chosen
+     */
+    close() {
+        if (!this.routed && Object.keys(this.answers).length > 0) {
+            this.logRoute('dismissed');
+        }
+
+        if (typeof this.dialog.close === 'function') {
+            this.dialog.close();
+        } else {
+            this.dialog.removeAttribute('open');
+        }
+
+        if (this.opener && typeof this.opener.focus === 'function') {
+            this.opener.focus();
+        }
+    }
+
+    /**
+     * Close on Escape where the browser does not do it for us
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape' && typeof this.dialog.showModal !== 'function') {
+            this.close();
+        }
+    }
+
+    /**
+     * Show the current yes/no safety question
+     */
+    renderQuestion() {
+        const question = EmergencyTriage.QUESTIONS[this.questionIndex];
+        const total = EmergencyTriage.QUESTIONS.length;
+
+        this.body.innerHTML = `
+            <p class="triage-progress">Question ${this.questionIndex + 1} of ${total}</p>
+            <h3 class="triage-question" tabindex="-1">${question.text}</h3>
+            <div class="triage-answers">
+                <button type="button" class="btn btn-primary triage-answer" data-answer="yes">Yes</button>
+                <button type="button" class="btn btn-secondary triage-answer" data-answer="no">No</button>
+            </div>
+        `;
+
+        this.body.querySelectorAll('.triage-answer').forEach(button => {
+            button.addEventListener('click', () => this.answer(button.dataset.answer === 'yes'));
+        });
+        this.body.querySelector('.triage-question').focus();
+    }
+
+    /**
+     * Record an answer and move to the next question or the result.
+     * A "yes" to a danger question goes straight to the instructions.
+     */
+    answer(value) {
+        const question = EmergencyTriage.QUESTIONS[this.questionIndex];
+        this.answers[question.key] = value;
+        this.questionIndex++;
+
+        if (value && question.urgent) {
+            this.renderResult();
+        } else if (this.questionIndex < EmergencyTriage.QUESTIONS.length) {
+            this.renderQuestion();
+        } else {
+            this.renderResult();
+        }
+    }
+
+    /**
+     * Work out the priority and safety instructions from the answers
+     */
+    getAssessment(answers = this.answers) {
+        const reasons = EmergencyTriage.QUESTIONS
+            .filter(question => answers[question.key])
+            .map(question => question.key);
+
+        // Gas comes first: getting out matters more than the plumbing
+        const instructions = ['gasSmell', 'flooding', 'noWater']
+            .filter(key => reasons.includes(key))
+            .map(key => EmergencyTriage.INSTRUCTIONS[key]);
+
+        return {
+            priority: reasons.length > 0 ? 'urgent' : 'standard',
+            reasons,
+            instructions
+        };
+    }
+
+    /**
+     * Show safety instructions and the next step
+     */
+    renderResult() {
+        const assessment = this.getAssessment();
+        const priorityTag = assessment.reasons.map(key => EmergencyTriage.TAGS[key]).join(' + ');
+
+        const instructions = assessment.instructions.map(section => `
+            <div class="triage-instructions">
+                <h4><i class="${section.icon}"></i> ${section.title}</h4>
+                <ol>${section.steps.map(step => `<li>${step}</li>`).join('')}</ol>
+            </div>
+        `).join('');
+
+        if (assessment.priority === 'urgent') {
+            this.body.innerHTML = `
+                <h3 class="triage-question" tabindex="-1">Do this now, then call us</h3>
+                ${instructions}
+                <a href="tel:${this.phone}" class="btn btn-primary triage-call" data-route="call" data-priority="urgent">
+                    <i class="fas fa-phone"></i> Call ${this.phoneDisplay} now
+                </a>
+                <p class="triage-tag">When we answer, say <strong>"Priority: ${priorityTag}"</strong> so we can dispatch first.</p>
+            `;
+        } else {
+            this.body.innerHTML = `
+                <h3 class="triage-question" tabindex="-1">No immediate danger</h3>
+                <p>It sounds like this can wait for a scheduled visit. Send us the details and we'll get back to you quickly.</p>
+                <div class="triage-answers">
+                    <a href="#contact" class="btn btn-primary triage-quote" data-route="quote">Request service</a>
+                    <a href="tel:${this.phone}" class="btn btn-secondary triage-call" data-route="call" data-priority="standard">
+                        <i class="fas fa-phone"></i> Call us anyway
+                    </a>
+                </div>
+            `;
+        }
+
+        this.body.querySelectorAll('[data-route]').forEach(link => {
+            link.addEventListener('click', e => this.route(link.dataset.route, e));
+        });
+        this.body.querySelector('.triage-question').focus();
+    }
+
+    /**
+     * Follow the chosen route and log it
+     */
+    route(path, e) {
+        this.routed = true;
+        const entry = this.logRoute(path);
+
+        if (path === 'quote') {
+            if (e) e.preventDefault();
+            this.close();
+            this.openQuoteForm();
+        }
+        return entry;
+    }
+
+    /**
+     * Jump to the quote form with the emergency service already chosen
+     */
+    openQuoteForm() {
+        const form = document.querySelector('.contact-form form');
+        const contact = document.getElementById('contact');
+        if (form && form.elements.service) {
+            form.elements.service.value = 'emergency';
+            form.elements.service.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        if (contact) {
+            contact.scrollIntoView({ behavior: 'smooth' });
+        }
+        if (form && form.elements.service) {
+            form.elements.service.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Record which path was taken, locally and on the lead server
+     */
+    logRoute(path) {
+        const assessment = this.getAssessment();
+        const entry = {
+            path,
+            priority: assessment.priority,
+            answers: { ...this.answers },
+            at: new Date().toISOString()
+        };
+
+        console.log(`🚨 Emergency triage: ${path} (${entry.priority})`);
+        document.dispatchEvent(new CustomEvent('emergencytriage:route', { detail: entry }));
+        if (this.onRoute) {
+            this.onRoute(entry);
+        }
+
+        if (this.endpoint) {
+            // text/plain keeps the beacon a simple cross-origin request; the server parses the JSON anyway
+            const body = JSON.stringify(entry);
+            if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+                return entry;
+            }
+            if (typeof fetch === 'function') {
+                fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+            }
+        }
+        return entry;
+    }
+}
+
+// Gas is asked first because a "yes" to an urgent question ends the questions
+EmergencyTriage.QUESTIONS = [
+    { key: 'gasSmell', text: 'Do you smell gas (a rotten-egg smell)?', urgent: true },
+    { key: 'flooding', text: 'Is water actively flooding or spraying right now?', urgent: true },
+    { key: 'noWater', text: 'Do you have no water at all?' }
+];
+
+EmergencyTriage.TAGS = {
+    flooding: 'active flooding',
+    gasSmell: 'gas smell',
+    noWater: 'no water'
+};
+
+EmergencyTriage.INSTRUCTIONS = {
+    gasSmell: {
+        icon: 'fas fa-fire',
+        title: 'If you smell gas',
+        steps: [
+            'Leave the building now and take everyone with you.',
+            'Do not flip light switches, use flames or unplug anything on the way out.',
+            'From outside, call 911 or your gas utility before calling us.'
+        ]
+    },
+    flooding: {
+        icon: 'fas fa-water',
+        title: 'Stop the water',
+        steps: [
+            'Shut off the main water valve. It is usually in the basement where the water line comes through the wall, near the meter. Turn it clockwise.',
+            'If water is near outlets or appliances, stay out of it and switch off power at the breaker only if you can reach it safely.',
+            'Open a faucet on the lowest floor to drain the pipes, and move valuables off the floor.'
+        ]
+    },
+    noWater: {
+        icon: 'fas fa-tint-slash',
+        title: 'If you have no water',
+        steps: [
+            'Check with a neighbor. If they have no water either, it may be a city water main issue.',
+            'Make sure the main valve is fully open (turned counter-clockwise).',
+            'Turn your water heater to "vacation" or pilot so it does not run empty.'
+        ]
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.EmergencyTriage = EmergencyTriage;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmergencyTriage;
+}
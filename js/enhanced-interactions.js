@@ -220,34 +220,6 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     });
     
-    // ===== LOADING STATES =====
-    const form = document.querySelector('.contact-form form');
-    if (form) {
-        form.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            const submitButton = this.querySelector('button[type="submit"]');
-            const originalText = submitButton.textContent;
-            
-            // Show loading state
-            submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-            submitButton.disabled = true;
-            
-            // Simulate form submission
-            setTimeout(() => {
-                submitButton.innerHTML = '<i class="fas fa-check"></i> Message Sent!';
-                submitButton.style.background = '#10b981';
-                
-                setTimeout(() => {
-                    submitButton.innerHTML = originalText;
-                    submitButton.style.background = '';
-                    submitButton.disabled = false;
-                    this.reset();
-                }, 3000);
-            }, 2000);
-        });
-    }
-    
     // ===== TOOLTIP INITIALIZATION =====
     const tooltips = document.querySelectorAll('.tooltip');
     
@@ -0,0 +1,656 @@
+/**
+ * Quote Form Controller for Radius Works Website
+ * Owns the "Request a Quote" form lifecycle: idle → validating → submitting → success/queued/error
+ */
+
+/**
+ * Transport that posts leads as JSON to the lead intake server
+ */
+class FetchLeadTransport {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint || '/api/leads';
+        this.tokenEndpoint = options.tokenEndpoint || null;
+    }
+
+    /**
+     * Ask the server for a signed token proving when the form was loaded
+     */
+    async fetchFormToken() {
+        if (!this.tokenEndpoint) {
+            return null;
+        }
+
+        const response = await fetch(this.tokenEndpoint);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error('Could not get a form token');
+        }
+
+        return { token: result.token, readyAt: Date.now() + (result.minSubmitMs || 0) };
+    }
+
+    /**
+     * Send a lead and resolve with the server's response body
+     */
+    async send(lead) {
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(lead)
+            });
+        } catch (error) {
+            const networkError = new Error('We could not reach our server. Please check your connection or call (414) 800-9188.');
+            networkError.type = 'network';
+            throw networkError;
+        }
+
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            const serverError = new Error(result && result.error ? result.error.message : 'Something went wrong. Please call (414) 800-9188.');
+            serverError.type = 'server';
+            serverError.status = response.status;
+            serverError.code = result && result.error ? result.error.code : undefined;
+            serverError.fields = result && result.error ? result.error.fields : undefined;
+            throw serverError;
+        }
+
+        return result;
+    }
+}
+
+class QuoteFormController {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.validators = options.validators || [QuoteFormController.leadValidator];
+        this.transport = options.transport || new FetchLeadTransport(form.dataset.leadEndpoint, {
+            tokenEndpoint: form.dataset.tokenEndpoint
+        });
+        this.resetDelay = options.resetDelay !== undefined ? options.resetDelay : 3000;
+        this.onStateChange = options.onStateChange || null;
+        this.queue = options.queue || null;
+        this.attachments = options.attachments || null;
+
+        this.state = QuoteFormController.STATES.IDLE;
+        this.lastResult = null;
+        this.lastError = null;
+        this.resetTimer = null;
+        this.submissionId = null;
+        this.formTokenRequest = null;
+
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.statusElement = form.querySelector('.form-status');
+        this.originalButtonHtml = this.submitButton ? this.submitButton.innerHTML : '';
+
+        this.form.noValidate = true; // Inline messages replace the browser's validation bubbles
+
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleFieldBlur = this.handleFieldBlur.bind(this);
+        this.handleFieldInput = this.handleFieldInput.bind(this);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('focusout', this.handleFieldBlur);
+        this.form.addEventListener('input', this.handleFieldInput);
+        this.form.addEventListener('change', this.handleFieldInput);
+
+        if (this.attachments) {
+            this.attachments.onError = message => {
+                this.showFieldError(this.attachments.input, message);
+                this.announce(message);
+            };
+            this.attachments.onChange = () => this.clearFieldError(this.attachments.input);
+        }
+
+        this.getFormToken();
+
+        if (this.queue) {
+            this.handleOnline = this.handleOnline.bind(this);
+            window.addEventListener('online', this.handleOnline);
+            this.flushQueue();
+        }
+    }
+
+    /**
+     * Attach a controller to a form, reusing the existing one if already wired
+     */
+    static attach(form, options = {}) {
+        if (!form) {
+            return null;
+        }
+        if (!form.quoteFormController) {
+            form.quoteFormController = new QuoteFormController(form, options);
+        }
+        return form.quoteFormController;
+    }
+
+    /**
+     * Default validator backed by the shared lead validation rules
+     */
+    static leadValidator(values) {
+        const { errors, lead } = window.LeadValidation.validateLead(values);
+        return { errors, values: lead };
+    }
+
+    /**
+     * Handle the native submit event
+     */
+    handleSubmit(e) {
+        e.preventDefault();
+        return this.submit();
+    }
+
+    /**
+     * Validate a field when the user leaves it, once it has something in it
+     */
+    handleFieldBlur(e) {
+        const field = e.target;
+        if (!field.name || field.type === 'submit' || field.type === 'file') {
+            return;
+        }
+        if (field.value.trim() || field.getAttribute('aria-invalid') === 'true') {
+            this.validateField(field);
+        }
+    }
+
+    /**
+     * Clear an error as soon as the field has been corrected
+     */
+    handleFieldInput(e) {
+        // Photo errors are owned by the attachment manager, not the validators
+        if (e.target.type !== 'file' && e.target.getAttribute('aria-invalid') === 'true') {
+            this.validateField(e.target, { announce: false });
+        }
+    }
+
+    /**
+     * Validate one field against the full set of validators
+     */
+    validateField(field, options = {}) {
+        const { errors } = this.validate(this.getValues());
+        const message = errors[field.name];
+
+        if (message) {
+            const changed = this.getFieldError(field) !== message;
+            this.showFieldError(field, message);
+            if (changed && options.announce !== false) {
+                this.announce(message);
+            }
+        } else {
+            this.clearFieldError(field);
+        }
+
+        return !message;
+    }
+
+    /**
+     * Collect the current text values keyed by field name (photos are sent separately)
+     */
+    getValues() {
+        const entries = Array.from(new FormData(this.form).entries())
+            .filter(([, value]) => typeof value === 'string');
+        return Object.fromEntries(entries);
+    }
+
+    /**
+     * Run each validator in turn; validators may also normalize values
+     */
+    validate(values) {
+        let current = { ...values };
+        const errors = {};
+
+        this.validators.forEach(validator => {
+            const result = validator(current) || {};
+            Object.entries(result.errors || {}).forEach(([field, message]) => {
+                if (!errors[field]) {
+                    errors[field] = message;
+                }
+            });
+            if (result.values) {
+                current = { ...current, ...result.values };
+            }
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors, values: current };
+    }
+
+    /**
+     * Validate and send the form, moving through each lifecycle state
+     */
+    async submit() {
+        if (this.state === QuoteFormController.STATES.SUBMITTING) {
+            return this.lastResult;
+        }
+
+        clearTimeout(this.resetTimer);
+        this.setState(QuoteFormController.STATES.VALIDATING);
+
+        const { valid, errors, values } = this.validate(this.getValues());
+        if (!valid) {
+            const validationError = new Error('Please correct the highlighted fields.');
+            validationError.type = 'validation';
+            validationError.fields = errors;
+            this.fail(validationError);
+            return null;
+        }
+
+        this.setState(QuoteFormController.STATES.SUBMITTING);
+
+        // Reuse the id across retries of the same request so the server can de-duplicate it
+        if (!this.submissionId) {
+            this.submissionId = this.createSubmissionId();
+        }
+        const lead = { ...values, submissionId: this.submissionId };
+
+        if (this.attachments && this.attachments.photos.length > 0) {
+            try {
+                lead.photos = await this.attachments.collect();
+            } catch (error) {
+                const photoError = new Error('Your photos could not be prepared.');
+                photoError.type = 'validation';
+                photoError.fields = { [this.attachments.input.name]: 'We could not read one of your photos. Please remove it and try again.' };
+                this.fail(photoError);
+                return null;
+            }
+        }
+
+        const formToken = await this.getFormToken();
+        if (formToken) {
+            lead.formToken = formToken.token;
+        }
+
+        try {
+            this.lastResult = await this.sendLead(lead);
+            this.lastError = null;
+            this.submissionId = null;
+            this.renderFieldErrors({});
+            this.setState(QuoteFormController.STATES.SUCCESS, { result: this.lastResult });
+            this.announce('Your quote request was sent. Thank you!');
+            this.form.reset();
+            this.clearAttachments();
+            this.scheduleReset();
+            return this.lastResult;
+        } catch (error) {
+            const queued = error.type === 'network' && this.queue ? this.queue.enqueue(lead) : null;
+            if (queued) {
+                this.queueForLater(queued);
+                return null;
+            }
+            this.fail(error);
+            return null;
+        } finally {
+            // A token is used for one submit; fetch the next one now so its wait is over by then
+            this.formTokenRequest = null;
+            this.getFormToken();
+        }
+    }
+
+    /**
+     * Send a lead, and if the server says its form token is stale, send it once more with a new one
+     */
+    async sendLead(lead) {
+        try {
+            return await this.transport.send(lead);
+        } catch (error) {
+            if (error.code !== 'INVALID_TOKEN') {
+                throw error;
+            }
+            const formToken = await this.fetchFreshFormToken();
+            if (!formToken) {
+                throw error;
+            }
+            return this.transport.send({ ...lead, formToken: formToken.token });
+        }
+    }
+
+    /**
+     * Generate a unique id the server uses to de-duplicate retried submissions
+     */
+    createSubmissionId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `sub-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Fetch (once per submit) the signed form token used by the server's bot checks
+     */
+    getFormToken() {
+        if (typeof this.transport.fetchFormToken !== 'function') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.formTokenRequest) {
+            this.formTokenRequest = this.transport.fetchFormToken().catch(() => {
+                this.formTokenRequest = null; // Try again on the next submit
+                return null;
+            });
+        }
+        return this.formTokenRequest;
+    }
+
+    /**
+     * Fetch a new form token, waiting until the server will accept it. Used for queued leads (a
+     * token saved with the lead would stop verifying once it expires or the server restarts with a
+     * new secret) and to retry a stale one. Throws a network error when no token can be had, so
+     * queued leads stay queued.
+     */
+    async fetchFreshFormToken() {
+        if (typeof this.transport.fetchFormToken !== 'function') {
+            return null;
+        }
+
+        let formToken;
+        try {
+            formToken = await this.transport.fetchFormToken();
+        } catch (error) {
+            const networkError = new Error('Could not get a form token for the saved request');
+            networkError.type = 'network';
+            throw networkError;
+        }
+
+        // The server rejects tokens used sooner than its minimum time-to-submit
+        const wait = formToken ? formToken.readyAt - Date.now() : 0;
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        return formToken;
+    }
+
+    /**
+     * Keep a lead that failed on network loss until the connection returns
+     */
+    queueForLater(item) {
+        this.submissionId = null;
+        this.renderFieldErrors({});
+        this.setState(QuoteFormController.STATES.QUEUED, { lead: item.lead, droppedPhotos: item.droppedPhotos });
+        this.announce('You appear to be offline. Your request is saved and will be sent when you are back online.');
+        this.form.reset();
+        this.clearAttachments();
+    }
+
+    /**
+     * Drop attached photos once they have been sent or queued
+     */
+    clearAttachments() {
+        if (this.attachments) {
+            this.attachments.clear();
+        }
+    }
+
+    /**
+     * Retry queued leads when the browser reports it is back online
+     */
+    handleOnline() {
+        return this.flushQueue();
+    }
+
+    /**
+     * Send any leads saved while offline
+     */
+    async flushQueue() {
+        if (!this.queue || this.queue.size() === 0) {
+            return null;
+        }
+
+        // One fresh token for the whole flush, fetched when the first lead is sent
+        let formTokenRequest = null;
+        const outcome = await this.queue.flush({
+            send: async lead => {
+                formTokenRequest = formTokenRequest || this.fetchFreshFormToken();
+                const formToken = await formTokenRequest;
+                return this.sendLead(formToken ? { ...lead, formToken: formToken.token } : lead);
+            }
+        });
+        if (outcome.sent.length > 0) {
+            const { result } = outcome.sent[outcome.sent.length - 1];
+            this.lastResult = result;
+            this.setState(QuoteFormController.STATES.SUCCESS, { result, fromQueue: true });
+            this.announce('Your saved quote request was sent. Thank you!');
+            this.scheduleReset();
+        }
+
+        this.form.dispatchEvent(new CustomEvent('quoteform:queueflushed', { detail: outcome }));
+        return outcome;
+    }
+
+    /**
+     * Move into the error state, highlighting any fields that need attention
+     */
+    fail(error) {
+        this.lastError = error;
+
+        if (error.fields && Object.keys(error.fields).length > 0) {
+            this.renderFieldErrors(error.fields);
+            this.focusFirstInvalidField(error.fields);
+
+            const count = Object.keys(error.fields).length;
+            const summary = count === 1 ? '1 field needs attention' : `${count} fields need attention`;
+            this.announce(`${summary}. ${Object.values(error.fields)[0]}`);
+        } else {
+            this.announce(error.message);
+        }
+
+        this.setState(QuoteFormController.STATES.ERROR, { error });
+    }
+
+    /**
+     * Get the named form controls that take user input
+     */
+    getFields() {
+        return Array.from(this.form.elements).filter(field => field.name && field.type !== 'submit');
+    }
+
+    /**
+     * Show or clear the inline error for every field
+     */
+    renderFieldErrors(errors) {
+        this.getFields().forEach(field => {
+            if (errors[field.name]) {
+                this.showFieldError(field, errors[field.name]);
+            } else {
+                this.clearFieldError(field);
+            }
+        });
+    }
+
+    /**
+     * Move focus to the first field (in document order) with an error
+     */
+    focusFirstInvalidField(errors) {
+        const firstInvalid = this.getFields().find(field => errors[field.name]);
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+
+    /**
+     * Get (creating if needed) the error message element tied to a field
+     */
+    getErrorElement(field) {
+        if (!field.id) {
+            field.id = `quote-${field.name}`;
+        }
+
+        const errorId = `${field.id}-error`;
+        let errorElement = this.form.querySelector(`#${errorId}`);
+        if (!errorElement) {
+            errorElement = document.createElement('p');
+            errorElement.id = errorId;
+            errorElement.className = 'field-error';
+            errorElement.hidden = true;
+            field.insertAdjacentElement('afterend', errorElement);
+        }
+        return errorElement;
+    }
+
+    /**
+     * Get the error currently shown for a field, if any
+     */
+    getFieldError(field) {
+        return field.getAttribute('aria-invalid') === 'true' ? this.getErrorElement(field).textContent : '';
+    }
+
+    /**
+     * Mark a field invalid and describe the problem beside it
+     */
+    showFieldError(field, message) {
+        const errorElement = this.getErrorElement(field);
+        errorElement.textContent = message;
+        errorElement.hidden = false;
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            describedBy.push(errorElement.id);
+        }
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+        field.setAttribute('aria-invalid', 'true');
+
+        const group = field.closest('.form-group');
+        if (group) {
+            group.classList.add('has-error');
+        }
+    }
+
+    /**
+     * Remove a field's inline error
+     */
+    clearFieldError(field) {
+        const errorElement = field.id ? this.form.querySelector(`#${field.id}-error`) : null;
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.hidden = true;
+
+            const describedBy = (field.getAttribute('aria-describedby') || '')
+                .split(' ')
+                .filter(id => id && id !== errorElement.id);
+            if (describedBy.length > 0) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+        }
+
+        field.removeAttribute('aria-invalid');
+
+        const group = field.closest('.form-group');
+        if (group) {
+            group.classList.remove('has-error');
+        }
+    }
+
+    /**
+     * Announce a message through the shared screen reader live region
+     */
+    announce(message) {
+        if (message && typeof window.announceToScreenReader === 'function') {
+            window.announceToScreenReader(message);
+        }
+    }
+
+    /**
+     * Return to idle after the success message has been shown
+     */
+    scheduleReset() {
+        if (this.resetDelay === null) {
+            return;
+        }
+        this.resetTimer = setTimeout(() => this.setState(QuoteFormController.STATES.IDLE), this.resetDelay);
+    }
+
+    /**
+     * Change state, re-render and notify listeners
+     */
+    setState(state, detail = {}) {
+        const previousState = this.state;
+        this.state = state;
+        this.render(detail);
+
+        const eventDetail = { state, previousState, ...detail };
+        if (this.onStateChange) {
+            this.onStateChange(eventDetail);
+        }
+        this.form.dispatchEvent(new CustomEvent('quoteform:statechange', { detail: eventDetail }));
+    }
+
+    /**
+     * Reflect the current state on the submit button and status area
+     */
+    render(detail = {}) {
+        const { STATES } = QuoteFormController;
+        this.form.dataset.state = this.state;
+
+        if (this.submitButton) {
+            this.submitButton.disabled = this.state === STATES.VALIDATING || this.state === STATES.SUBMITTING;
+            this.submitButton.style.background = this.state === STATES.SUCCESS ? '#10b981' : '';
+
+            if (this.state === STATES.SUBMITTING) {
+                this.submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+            } else if (this.state === STATES.SUCCESS) {
+                this.submitButton.innerHTML = '<i class="fas fa-check"></i> Message Sent!';
+            } else if (this.state === STATES.QUEUED) {
+                this.submitButton.innerHTML = '<i class="fas fa-cloud-upload-alt"></i> Saved for Later';
+            } else {
+                this.submitButton.innerHTML = this.originalButtonHtml;
+            }
+        }
+
+        if (this.state === STATES.SUCCESS) {
+            const reference = detail.result && detail.result.lead ? ` Reference: ${detail.result.lead.id}` : '';
+            const message = detail.fromQueue ? 'Your saved request has now been sent.' : 'Thanks! Your request was received.';
+            this.setStatus('success', `${message}${reference}`);
+        } else if (this.state === STATES.QUEUED) {
+            const photos = detail.droppedPhotos
+                ? " Your photos could not be saved offline, so please send them again once we're in touch."
+                : '';
+            this.setStatus('queued', `You're offline right now. We saved your request and will send it automatically when you're back online.${photos}`);
+        } else if (this.state === STATES.ERROR) {
+            this.setStatus('error', detail.error ? detail.error.message : 'Something went wrong.');
+        } else if (this.state !== STATES.IDLE) {
+            this.setStatus('', '');
+        }
+    }
+
+    /**
+     * Write a message to the status area below the form
+     */
+    setStatus(type, message) {
+        if (!this.statusElement) return;
+        this.statusElement.className = type ? `form-status form-status-${type}` : 'form-status';
+        this.statusElement.textContent = message;
+    }
+
+    /**
+     * Detach the controller from its form
+     */
+    destroy() {
+        clearTimeout(this.resetTimer);
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('focusout', this.handleFieldBlur);
+        this.form.removeEventListener('input', this.handleFieldInput);
+        this.form.removeEventListener('change', this.handleFieldInput);
+        if (this.queue) {
+            window.removeEventListener('online', this.handleOnline);
+        }
+        delete this.form.quoteFormController;
+    }
+}
+
+QuoteFormController.STATES = {
+    IDLE: 'idle',
+    VALIDATING: 'validating',
+    SUBMITTING: 'submitting',
+    SUCCESS: 'success',
+    QUEUED: 'queued',
+    ERROR: 'error'
+};
+
+if (typeof window !== 'undefined') {
+    window.QuoteFormController = QuoteFormController;
+    window.FetchLeadTransport = FetchLeadTransport;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuoteFormController, FetchLeadTransport };
+}
@@ -4,12 +4,20 @@
  */
 
 class ImageEnhancementManager {
-    constructor() {
+    constructor(options = {}) {
         this.imageMetadata = null;
+        this.imageManifest = {};
+        this.sizes = { ...ImageEnhancementManager.DEFAULT_SIZES, ...options.sizes };
+        this.formatSupport = {};
+        this.formatDetection = null;
         this.lazyImages = [];
         this.observer = null;
         this.loadedImages = new Set();
+        this.handledErrors = new WeakSet();
+        this.fallbacks = typeof ImageFallbacks !== 'undefined' ? ImageFallbacks : require('./image-fallbacks.js');
         
+        // Before init() waits for the metadata, so images failing meanwhile are tracked here
+        this.setupImageErrorHandling();
         this.init();
     }
 
@@ -20,11 +28,9 @@ class ImageEnhancementManager {
         console.log('🖼️ Initializing Image Enhancement Manager...');
         
         try {
-            await this.loadImageMetadata();
+            await Promise.all([this.loadImageMetadata(), this.loadImageManifest()]);
             this.setupLazyLoading();
-            this.setupImageErrorHandling();
-            this.setupWebPSupport();
-            this.setupImagePreloading();
+            this.setupFormatSupport();
             this.enhanceExistingImages();
             this.monitorImagePerformance();
             
@@ -48,6 +54,28 @@ class ImageEnhancementManager {
         }
     }
 
+    /**
+     * Load the map from plain image paths to their content-hashed files.
+     * Without it images are requested by their plain names, which still exist.
+     */
+    async loadImageManifest() {
+        try {
+            const response = await fetch('images/manifest.json');
+            const manifest = await response.json();
+            this.imageManifest = manifest && typeof manifest === 'object' ? manifest : {};
+        } catch (error) {
+            this.imageManifest = {};
+        }
+    }
+
+    /**
+     * Hashed URL for an image path, or the path itself if the manifest does not list it
+     */
+    resolveImageUrl(src) {
+        const hashed = src ? this.imageManifest[src] : null;
+        return typeof hashed === 'string' ? hashed : src;
+    }
+
     /**
      * Create fallback metadata if JSON file is not available
      */
@@ -135,18 +163,29 @@ class ImageEnhancementManager {
     }
 
     /**
-     * Setup enhanced error handling for images
+     * Take over the page's image error listener (registered when this script loads),
+     * so failures from now on are handled and tracked by this manager
      */
     setupImageErrorHandling() {
-        document.addEventListener('error', (e) => {
-            if (e.target.tagName === 'IMG') {
-                this.handleImageError(e.target);
-            }
-        }, true);
+        ImageEnhancementManager.errorHandler = this;
     }
 
     /**
-     * Enhanced image error handling with three-tier fallback system
+     * Route a failed img[data-category] through its fallback chain, once per error event
+     * (pictures built here also listen on the image itself)
+     */
+    onImageError(event) {
+        const img = event.target;
+        if (img.tagName !== 'IMG' || !img.matches('[data-category]') || this.handledErrors.has(event)) {
+            return;
+        }
+        this.handledErrors.add(event);
+        this.handleEnhancedImageError(img);
+    }
+
+    /**
+     * Enhanced image error handling: move the image one step down its category's
+     * fallback chain (see js/image-fallbacks.js)
      */
     handleEnhancedImageError(img) {
         const originalSrc = img.src;
@@ -154,37 +193,17 @@ class ImageEnhancementManager {
         
         console.warn(`⚠️ Image failed to load (Level ${fallbackLevel}): ${originalSrc}`);
         
-        switch (fallbackLevel) {
-            case 0:
-                // First tier failed: Try secondary fallback (original image)
-                this.attemptSecondaryFallback(img);
-                break;
-            case 1:
-                // Second tier failed: Try tertiary fallback (CSS placeholder)
-                this.attemptTertiaryFallback(img);
-                break;
-            case 2:
-            default:
-                // All tiers failed: Final graceful degradation
-                this.handleFinalFallback(img);
-                break;
-        }
+        this.fallbacks.handleError(img);
         
         // Track fallback statistics
         this.trackFallbackUsage(img.dataset.category, img.dataset.imageName, fallbackLevel);
     }
 
     /**
-     * Attempt secondary fallback (original image)
+     * Attempt secondary fallback (alternate source)
      */
     attemptSecondaryFallback(img) {
-        const fallbackSrc = img.dataset.fallbackSrc;
-        if (fallbackSrc && fallbackSrc !== img.src) {
-            img.dataset.fallbackLevel = '1';
-            img.src = fallbackSrc;
-            img.classList.add('fallback-secondary');
-            console.log(`🔄 Attempting secondary fallback: ${fallbackSrc}`);
-        } else {
+        if (!this.fallbacks.applyType(img, 'source')) {
             // Skip to tertiary if no secondary available
             this.attemptTertiaryFallback(img);
         }
@@ -194,34 +213,14 @@ class ImageEnhancementManager {
      * Attempt tertiary fallback (CSS placeholder)
      */
     attemptTertiaryFallback(img) {
-        img.dataset.fallbackLevel = '2';
-        img.style.display = 'none';
-        img.classList.add('fallback-tertiary');
-        
-        const container = img.closest('.image-container, .service-card, .hero-image, .about-image, .enhanced-picture');
-        if (container) {
-            container.classList.add('image-placeholder');
-            this.createPlaceholderContent(container, img.dataset.category);
-        }
-        
-        console.log(`🎨 Using CSS placeholder for ${img.dataset.category}/${img.dataset.imageName}`);
+        this.fallbacks.applyType(img, 'placeholder');
     }
 
     /**
      * Handle final fallback when all options are exhausted
      */
     handleFinalFallback(img) {
-        img.dataset.fallbackLevel = '3';
-        img.style.display = 'none';
-        img.classList.add('fallback-final');
-        
-        const container = img.closest('.image-container, .service-card, .hero-image, .about-image, .enhanced-picture');
-        if (container) {
-            container.classList.add('image-failed');
-            this.createErrorPlaceholder(container, img.dataset.category);
-        }
-        
-        console.error(`❌ All fallback options exhausted for ${img.dataset.category}/${img.dataset.imageName}`);
+        this.fallbacks.applyType(img, 'hide');
     }
 
     /**
@@ -233,49 +232,80 @@ class ImageEnhancementManager {
     }
 
     /**
-     * Check WebP support and setup appropriate sources
+     * Detect AVIF/WebP support and flag it on <html> for CSS backgrounds.
+     * Picture elements need no help: the browser skips <source> types it cannot decode.
      */
-    setupWebPSupport() {
-        // Check WebP support
-        const webpSupported = this.checkWebPSupport();
-        
-        if (!webpSupported) {
-            console.log('ℹ️ WebP not supported, using JPEG fallbacks');
-            // Remove WebP sources from picture elements
-            document.querySelectorAll('source[type="image/webp"]').forEach(source => {
-                source.remove();
-            });
-        } else {
-            console.log('✅ WebP supported, using optimized images');
-        }
+    setupFormatSupport() {
+        return this.detectFormatSupport().then(support => {
+            const root = document.documentElement;
+            Object.keys(support).forEach(format => root.classList.toggle(format, support[format]));
+            console.log(`🖼️ Image formats: AVIF ${support.avif ? 'yes' : 'no'}, WebP ${support.webp ? 'yes' : 'no'}`);
+            return support;
+        });
     }
 
     /**
-     * Check if browser supports WebP
+     * Check which modern formats the browser decodes; the result is cached for the session
      */
-    checkWebPSupport() {
-        // Disabled WebP for better compatibility
-        return false;
+    detectFormatSupport() {
+        if (this.formatDetection) {
+            return this.formatDetection;
+        }
+
+        const storageKey = ImageEnhancementManager.FORMAT_SUPPORT_KEY;
+        try {
+            const cached = JSON.parse(window.sessionStorage.getItem(storageKey));
+            if (cached && typeof cached.avif === 'boolean' && typeof cached.webp === 'boolean') {
+                this.formatSupport = cached;
+                this.formatDetection = Promise.resolve(cached);
+                return this.formatDetection;
+            }
+        } catch (error) {
+            // Storage can be unavailable (private mode); just detect again
+        }
+
+        const probes = ImageEnhancementManager.FORMAT_PROBES;
+        this.formatDetection = Promise.all([
+            this.canDecode(probes.avif),
+            this.checkWebPSupport() || this.canDecode(probes.webp)
+        ]).then(([avif, webp]) => {
+            this.formatSupport = { avif, webp };
+            try {
+                window.sessionStorage.setItem(storageKey, JSON.stringify(this.formatSupport));
+            } catch (error) {
+                // Not cached, detection simply runs again next page
+            }
+            return this.formatSupport;
+        });
+
+        return this.formatDetection;
     }
 
     /**
-     * Preload critical images
+     * Try decoding a 1x1 data URI in the given format
      */
-    setupImagePreloading() {
-        // Preload hero images and other critical images
-        const criticalImages = [
-            'images/optimized/hero/hero-main-plumber.png'
-        ];
-
-        criticalImages.forEach(src => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.as = 'image';
-            link.href = src;
-            document.head.appendChild(link);
+    canDecode(dataUri) {
+        return new Promise(resolve => {
+            const probe = new Image();
+            probe.onload = () => resolve(probe.width === 1);
+            probe.onerror = () => resolve(false);
+            probe.src = dataUri;
         });
+    }
 
-        console.log(`⚡ Preloading ${criticalImages.length} critical images`);
+    /**
+     * Quick synchronous WebP check: browsers that can encode WebP on a canvas can decode it.
+     * A "no" is not final (Safari decodes WebP it cannot encode), so detectFormatSupport() confirms it.
+     */
+    checkWebPSupport() {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+            return String(canvas.toDataURL('image/webp')).indexOf('data:image/webp') === 0;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
@@ -299,7 +329,7 @@ class ImageEnhancementManager {
             return null;
         }
 
-        return format === 'webp' ? imageData.webp : imageData.optimized;
+        return this.resolveImageUrl(format === 'webp' || format === 'avif' ? imageData[format] : imageData.optimized);
     }
 
     /**
@@ -329,19 +359,21 @@ class ImageEnhancementManager {
         picture.dataset.category = category;
         picture.dataset.imageName = imageName;
 
-        // WebP source (modern format)
-        if (imageData.webp && this.checkWebPSupport()) {
-            const webpSource = document.createElement('source');
-            webpSource.srcset = imageData.webp;
-            webpSource.type = 'image/webp';
-            webpSource.dataset.format = 'webp';
-            picture.appendChild(webpSource);
-        }
+        const sizes = options.sizes || imageData.sizes || this.getSizes(category);
+
+        // Modern formats, best first; the browser takes the first type it supports
+        ['avif', 'webp'].filter(format => imageData[format]).forEach(format => {
+            const modernSource = document.createElement('source');
+            this.setSourceSet(modernSource, imageData, format, sizes);
+            modernSource.type = `image/${format}`;
+            modernSource.dataset.format = format;
+            picture.appendChild(modernSource);
+        });
 
         // JPEG/PNG source (standard format)
         if (imageData.optimized) {
             const standardSource = document.createElement('source');
-            standardSource.srcset = imageData.optimized;
+            this.setSourceSet(standardSource, imageData, 'original', sizes);
             standardSource.type = this.getImageMimeType(imageData.optimized);
             standardSource.dataset.format = 'standard';
             picture.appendChild(standardSource);
@@ -349,7 +381,7 @@ class ImageEnhancementManager {
 
         // Fallback img element with three-tier fallback
         const img = document.createElement('img');
-        img.src = imageData.src; // Primary: Stock image
+        img.src = this.resolveImageUrl(imageData.src); // Primary: Stock image
         img.alt = imageData.alt || this.generateAltText(category, imageName);
         img.loading = imageData.priority === 'high' || options.eager ? 'eager' : 'lazy';
         img.className = 'enhanced-image';
@@ -358,14 +390,63 @@ class ImageEnhancementManager {
         img.dataset.imageName = imageName;
         
         // Enhanced error handling with three-tier system
-        img.addEventListener('error', (e) => this.handleEnhancedImageError(e.target));
+        img.addEventListener('error', (e) => this.onImageError(e));
         img.addEventListener('load', (e) => this.handleImageLoad(e.target));
         
         picture.appendChild(img);
+        this.applyPlaceholder(picture, img, imageData);
         
         return picture;
     }
 
+    /**
+     * Show the blurred preview and dominant colour from the metadata behind an image,
+     * fading the image in over it once it has loaded
+     */
+    applyPlaceholder(container, img, imageData) {
+        if (!imageData || (!imageData.placeholder && !imageData.dominantColor)) {
+            return false;
+        }
+
+        if (imageData.dominantColor) {
+            container.style.backgroundColor = imageData.dominantColor;
+        }
+        if (imageData.placeholder) {
+            container.style.setProperty('--placeholder-image', `url("${imageData.placeholder}")`);
+        }
+        container.classList.add('has-placeholder');
+
+        const reveal = () => container.classList.add('placeholder-loaded');
+        if (img.complete && img.naturalWidth > 0) {
+            reveal();
+        } else {
+            img.addEventListener('load', reveal, { once: true });
+        }
+        return true;
+    }
+
+    /**
+     * Fill a source's srcset with width descriptors when the optimizer recorded responsive widths,
+     * otherwise point it at the single optimized file
+     */
+    setSourceSet(source, imageData, format, sizes) {
+        const variants = imageData.srcset?.[format];
+
+        if (variants && variants.length > 0) {
+            source.srcset = variants.map(variant => `${this.resolveImageUrl(variant.src)} ${variant.width}w`).join(', ');
+            source.sizes = sizes;
+        } else {
+            source.srcset = this.resolveImageUrl(format === 'original' ? imageData.optimized : imageData[format]);
+        }
+    }
+
+    /**
+     * Get the sizes attribute for a category
+     */
+    getSizes(category) {
+        return this.sizes[category] || '100vw';
+    }
+
     /**
      * Create fallback picture element when metadata is missing
      */
@@ -384,7 +465,7 @@ class ImageEnhancementManager {
         img.dataset.category = category;
         img.dataset.imageName = imageName;
         
-        img.addEventListener('error', (e) => this.handleEnhancedImageError(e.target));
+        img.addEventListener('error', (e) => this.onImageError(e));
         img.addEventListener('load', (e) => this.handleImageLoad(e.target));
         
         picture.appendChild(img);
@@ -403,23 +484,15 @@ class ImageEnhancementManager {
             reviews: 'images/hero-bg.jpg'
         };
         
-        return fallbacks[category] || 'images/hero-bg.jpg';
+        return this.resolveImageUrl(fallbacks[category] || 'images/hero-bg.jpg');
     }
 
     /**
      * Get MIME type for image file
      */
     getImageMimeType(src) {
-        const extension = src.split('.').pop().toLowerCase();
-        const mimeTypes = {
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'png': 'image/png',
-            'webp': 'image/webp',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml'
-        };
-        return mimeTypes[extension] || 'image/jpeg';
+        const mimeTypes = typeof ImageMimeTypes !== 'undefined' ? ImageMimeTypes : require('./image-mime-types.js');
+        return mimeTypes.fromFilename(src) || 'image/jpeg';
     }
 
     /**
@@ -459,66 +532,28 @@ class ImageEnhancementManager {
      * Create placeholder content for failed images
      */
     createPlaceholderContent(container, category) {
-        if (container.querySelector('.placeholder-content')) {
-            return; // Already has placeholder
-        }
-
-        const placeholder = document.createElement('div');
-        placeholder.className = 'placeholder-content';
-        
-        const icon = this.getPlaceholderIcon(category);
-        const text = this.getPlaceholderText(category);
-        
-        placeholder.innerHTML = `
-            <div class="placeholder-icon">${icon}</div>
-            <div class="placeholder-text">${text}</div>
-        `;
-        
-        container.appendChild(placeholder);
+        this.fallbacks.RENDERERS.placeholder(container, { category });
     }
 
     /**
      * Create error placeholder for completely failed images
      */
     createErrorPlaceholder(container, category) {
-        if (container.querySelector('.error-placeholder')) {
-            return; // Already has error placeholder
-        }
-
-        const errorPlaceholder = document.createElement('div');
-        errorPlaceholder.className = 'error-placeholder';
-        errorPlaceholder.innerHTML = `
-            <div class="error-icon">⚠️</div>
-            <div class="error-text">Image unavailable</div>
-        `;
-        
-        container.appendChild(errorPlaceholder);
+        this.fallbacks.RENDERERS.error(container, { category });
     }
 
     /**
      * Get placeholder icon for category
      */
     getPlaceholderIcon(category) {
-        const icons = {
-            hero: '🏠',
-            services: '🔧',
-            about: '👥',
-            reviews: '⭐'
-        };
-        return icons[category] || '🖼️';
+        return this.fallbacks.getPlaceholder(category).icon;
     }
 
     /**
      * Get placeholder text for category
      */
     getPlaceholderText(category) {
-        const texts = {
-            hero: 'Professional Plumbing Services',
-            services: 'Service Image',
-            about: 'Our Team',
-            reviews: 'Customer Review'
-        };
-        return texts[category] || 'Image';
+        return this.fallbacks.getPlaceholder(category).text;
     }
 
     /**
@@ -600,52 +635,78 @@ class ImageEnhancementManager {
             }
         });
         
-        // Specifically enhance hero images that are already using picture elements
-        this.enhanceHeroImages();
+        // Images the page marks up itself keep their element and are taken over in place
+        this.enhancePageImages();
+    }
+
+    /**
+     * Take over every img[data-category][data-image-name] on the page
+     * (picture elements built here already carry their metadata)
+     */
+    enhancePageImages() {
+        watchHeroImages();
+        const images = document.querySelectorAll('img[data-category][data-image-name]:not(.enhanced-image)');
+        const enhanced = Array.from(images).filter(img => this.enhancePageImage(img));
+        
+        console.log(`🎯 Enhanced ${enhanced.length} of ${images.length} page images`);
+        return enhanced;
     }
 
     /**
      * Enhance hero images with proper loading and SEO optimization
      */
     enhanceHeroImages() {
-        const heroImages = document.querySelectorAll('.hero-img-enhanced');
+        document.querySelectorAll('.hero-img-enhanced').forEach(img => this.enhancePageImage(img));
+    }
+
+    /**
+     * Apply an image's metadata (SEO alt text and title).
+     * Returns false for images the metadata does not know.
+     */
+    enhancePageImage(img) {
+        const category = img.dataset.category;
+        const imageName = img.dataset.imageName;
+        const imageData = this.imageMetadata?.[category]?.[imageName];
         
-        heroImages.forEach(img => {
-            const category = img.dataset.category;
-            const imageName = img.dataset.imageName;
-            
-            if (category === 'hero' && imageName && this.imageMetadata?.hero?.[imageName]) {
-                const imageData = this.imageMetadata.hero[imageName];
-                
-                // Update alt text with SEO-optimized version from metadata
-                if (imageData.alt) {
-                    img.alt = imageData.alt;
-                }
-                
-                // Add title attribute for additional SEO
-                if (imageData.title) {
-                    img.title = imageData.title;
-                }
-                
-                // Ensure eager loading for hero images
-                img.loading = 'eager';
-                
-                // Add loading state management
-                img.classList.add('loading');
-                
-                img.addEventListener('load', () => {
-                    img.classList.remove('loading');
-                    img.classList.add('loaded');
-                    console.log(`✅ Hero image loaded: ${imageName}`);
-                });
-                
-                img.addEventListener('error', () => {
-                    console.warn(`⚠️ Hero image failed to load: ${imageName}`);
-                });
-                
-                console.log(`🎯 Enhanced hero image: ${imageName} with SEO alt text`);
-            }
-        });
+        if (!imageData || img.dataset.enhanced === 'true') {
+            return false;
+        }
+        
+        // Update alt text with SEO-optimized version from metadata
+        if (imageData.alt) {
+            img.alt = imageData.alt;
+        }
+        
+        // Add title attribute for additional SEO
+        if (imageData.title) {
+            img.title = imageData.title;
+        }
+        
+        img.dataset.enhanced = 'true';
+        
+        if (category === 'hero') {
+            this.takeOverHeroImage(img, imageData);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Swap the generic gradient placeholder for the metadata's blurred preview
+     * (loading and failures are handled whether or not there is metadata, see watchHeroImages)
+     */
+    takeOverHeroImage(img, imageData) {
+        const container = img.closest('.hero-image-container') || img.parentElement;
+        
+        // The blurred preview replaces the generic gradient placeholder
+        if (this.applyPlaceholder(container, img, imageData)) {
+            hideHeroPlaceholder(img);
+        }
+        
+        // Ensure eager loading for hero images
+        img.loading = 'eager';
+        
+        console.log(`🎯 Enhanced hero image: ${img.dataset.imageName} with SEO alt text`);
     }
 
     /**
@@ -743,6 +804,32 @@ class ImageEnhancementManager {
     }
 }
 
+/**
+ * How wide each category's images are displayed, so the browser can pick the smallest file that fits
+ * (the site switches to a single column at 768px and caps content at 1200px)
+ */
+ImageEnhancementManager.DEFAULT_SIZES = (typeof ImageSizes !== 'undefined' ? ImageSizes : require('./image-sizes.js')).BY_CATEGORY;
+
+ImageEnhancementManager.FORMAT_SUPPORT_KEY = 'radiusworks:image-formats';
+
+// 1x1 images used to test decoding
+ImageEnhancementManager.FORMAT_PROBES = {
+    avif: 'data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZgAAAOptZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAAA5waXRtAAAAAAABAAAAImlsb2MAAAAAREAAAQABAAAAAAEOAAEAAAAAAAAAFwAAACNpaW5mAAAAAAABAAAAFWluZmUCAAAAAAEAAGF2MDEAAAAAamlwcnAAAABLaXBjbwAAABNjb2xybmNseAABAA0ABoAAAAAMYXYxQ4EgAgAAAAAUaXNwZQAAAAAAAAABAAAAAQAAABBwaXhpAAAAAAMICAgAAAAXaXBtYQAAAAAAAAABAAEEAYIDBAAAAB9tZGF0EgAKBzgABhAQ0GkyChgAAABAALASmpg=',
+    webp: 'data:image/webp;base64,UklGRh4AAABXRUJQVlA4TBEAAAAvAAAAAAfQ//73v/+BiOh/AAA='
+};
+
+// The manager page image failures are routed to; until one starts they go straight to the fallback chains
+ImageEnhancementManager.errorHandler = null;
+
+// Listen for image failures as soon as this script runs rather than once the manager has its
+// metadata: eager images can fail before DOMContentLoaded, and the metadata may never load
+document.addEventListener('error', handlePageImageError, true);
+recoverFailedPageImages();
+
+// Hero images are watched once each, by whichever of script load and the manager sees them first
+const watchedHeroImages = new WeakSet();
+watchHeroImages();
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.imageEnhancementManager = new ImageEnhancementManager();
@@ -758,68 +845,20 @@ if (typeof module !== 'undefined' && module.exports) {
  * These functions are called directly from HTML onerror attributes
  */
 
+/**
+ * Handle hero image errors with enhanced fallback system
+ */
+function handleHeroImageError(img) {
+    console.warn('⚠️ Hero image failed to load:', img.src);
+    handleCategoryImageError(img, 'hero');
+}
+
 /**
  * Handle about section image errors with enhanced fallback system
  */
 function handleAboutImageError(img) {
     console.warn('⚠️ About image failed to load:', img.src);
-    
-    const fallbackLevel = parseInt(img.dataset.fallbackLevel || '0');
-    const category = img.dataset.category || 'about';
-    const imageName = img.dataset.imageName || 'unknown';
-    
-    switch (fallbackLevel) {
-        case 0:
-            // First attempt: Try fallback source
-            const fallbackSrc = img.dataset.fallbackSrc;
-            if (fallbackSrc && fallbackSrc !== img.src) {
-                img.dataset.fallbackLevel = '1';
-                img.src = fallbackSrc;
-                img.classList.add('fallback-secondary');
-                console.log(`🔄 About image attempting secondary fallback: ${fallbackSrc}`);
-            } else {
-                handleAboutImageError(img); // Skip to next level
-            }
-            break;
-            
-        case 1:
-            // Second attempt failed: Use CSS placeholder
-            img.dataset.fallbackLevel = '2';
-            img.style.display = 'none';
-            img.classList.add('fallback-tertiary');
-            
-            // Add fallback styling to parent containers
-            const teamMember = img.closest('.team-member');
-            const teamPrimary = img.closest('.team-primary');
-            
-            if (teamMember) {
-                teamMember.classList.add('team-fallback');
-                console.log(`🎨 About team member using CSS placeholder: ${imageName}`);
-            } else if (teamPrimary) {
-                teamPrimary.classList.add('team-fallback');
-                console.log(`🎨 About team primary using CSS placeholder: ${imageName}`);
-            }
-            break;
-            
-        default:
-            // Final fallback: Hide completely
-            img.dataset.fallbackLevel = '3';
-            img.style.display = 'none';
-            img.classList.add('fallback-final');
-            
-            const container = img.closest('.team-member, .team-primary, .about-team-gallery');
-            if (container) {
-                container.classList.add('image-failed');
-            }
-            
-            console.error(`❌ All about image fallback options exhausted: ${imageName}`);
-            break;
-    }
-    
-    // Track fallback usage if manager is available
-    if (window.imageEnhancementManager) {
-        window.imageEnhancementManager.trackFallbackUsage(category, imageName, fallbackLevel);
-    }
+    handleCategoryImageError(img, 'about');
 }
 
 /**
@@ -827,72 +866,84 @@ function handleAboutImageError(img) {
  */
 function handleReviewImageError(img) {
     console.warn('⚠️ Review image failed to load:', img.src);
-    
+    handleCategoryImageError(img, 'reviews');
+}
+
+/**
+ * Apply the category's chain from the fallback registry and track it if the manager is running
+ */
+function handleCategoryImageError(img, defaultCategory) {
+    const fallbacks = typeof ImageFallbacks !== 'undefined' ? ImageFallbacks : require('./image-fallbacks.js');
     const fallbackLevel = parseInt(img.dataset.fallbackLevel || '0');
-    const category = img.dataset.category || 'reviews';
-    const imageName = img.dataset.imageName || 'unknown';
+    const category = img.dataset.category || defaultCategory;
     
-    switch (fallbackLevel) {
-        case 0:
-            // First attempt: Try fallback source
-            const fallbackSrc = img.dataset.fallbackSrc;
-            if (fallbackSrc && fallbackSrc !== img.src) {
-                img.dataset.fallbackLevel = '1';
-                img.src = fallbackSrc;
-                img.classList.add('fallback-secondary');
-                console.log(`🔄 Review image attempting secondary fallback: ${fallbackSrc}`);
-            } else {
-                handleReviewImageError(img); // Skip to next level
-            }
-            break;
-            
-        case 1:
-            // Second attempt failed: Use subtle CSS placeholder
-            img.dataset.fallbackLevel = '2';
-            img.style.display = 'none';
-            img.classList.add('fallback-tertiary');
-            
-            // Add subtle fallback styling to review card
-            const reviewCard = img.closest('.review-card.enhanced');
-            const reviewBackground = img.closest('.review-background');
-            
-            if (reviewCard && reviewBackground) {
-                reviewBackground.classList.add('review-fallback');
-                reviewCard.classList.add('review-no-image');
-                
-                // Create subtle gradient background instead of image
-                reviewBackground.style.background = `
-                    linear-gradient(135deg, 
-                        rgba(41, 53, 78, 0.03) 0%, 
-                        rgba(16, 185, 129, 0.02) 50%, 
-                        rgba(248, 250, 252, 0.05) 100%)
-                `;
-                
-                console.log(`🎨 Review card using gradient placeholder: ${imageName}`);
-            }
-            break;
-            
-        default:
-            // Final fallback: Clean white background
-            img.dataset.fallbackLevel = '3';
-            img.style.display = 'none';
-            img.classList.add('fallback-final');
-            
-            const container = img.closest('.review-card.enhanced');
-            if (container) {
-                container.classList.add('review-image-failed');
-                const background = container.querySelector('.review-background');
-                if (background) {
-                    background.style.background = '#ffffff';
-                }
-            }
-            
-            console.error(`❌ All review image fallback options exhausted: ${imageName}`);
-            break;
-    }
+    fallbacks.handleError(img, { category });
     
     // Track fallback usage if manager is available
     if (window.imageEnhancementManager) {
-        window.imageEnhancementManager.trackFallbackUsage(category, imageName, fallbackLevel);
+        window.imageEnhancementManager.trackFallbackUsage(category, img.dataset.imageName || 'unknown', fallbackLevel);
+    }
+}
+
+/**
+ * Capture-phase listener for every image failure on the page: img[data-category] goes down
+ * its fallback chain, through the running manager if there is one
+ */
+function handlePageImageError(event) {
+    const img = event.target;
+    if (ImageEnhancementManager.errorHandler) {
+        ImageEnhancementManager.errorHandler.onImageError(event);
+    } else if (img.tagName === 'IMG' && img.matches('[data-category]')) {
+        handleCategoryImageError(img);
+    }
+}
+
+/**
+ * Images that failed before this script was listening only show as broken; start their fallback chains
+ */
+function recoverFailedPageImages() {
+    document.querySelectorAll('img[data-category]').forEach(img => {
+        if (img.complete && img.naturalWidth === 0 && img.getAttribute('src') && !img.dataset.fallbackLevel) {
+            handleCategoryImageError(img);
+        }
+    });
+}
+
+/**
+ * Show hero images once they (or their fallbacks) load, keeping the generic gradient placeholder
+ * over them until then. Needs no metadata, so the placeholder goes even if it never loads.
+ */
+function watchHeroImages() {
+    document.querySelectorAll('img[data-category="hero"]').forEach(img => {
+        if (watchedHeroImages.has(img)) {
+            return;
+        }
+        watchedHeroImages.add(img);
+
+        const loaded = () => {
+            img.classList.remove('loading');
+            img.classList.add('loaded');
+            hideHeroPlaceholder(img);
+            console.log(`✅ Hero image loaded: ${img.dataset.imageName || img.src}`);
+        };
+
+        if (img.complete && img.naturalWidth > 0) {
+            loaded();
+        } else {
+            // Also fires for the fallback source
+            img.classList.add('loading');
+            img.addEventListener('load', loaded);
+        }
+    });
+}
+
+/**
+ * Hide the generic gradient placeholder shown over a hero image
+ */
+function hideHeroPlaceholder(img) {
+    const container = img.closest('.hero-image-container') || img.parentElement;
+    const placeholder = container && container.querySelector('.hero-placeholder');
+    if (placeholder) {
+        placeholder.style.display = 'none';
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,286 @@
+/**
+ * Image Fallback Strategies for Radius Works Website
+ * Declares, per image category, what happens each time an image fails to load.
+ * Used by ImageEnhancementManager, script.js and the page's hero handler.
+ */
+
+// Containers the generic placeholder and error states are drawn in
+const FALLBACK_CONTAINERS = '.image-container, .service-card, .hero-image, .about-image, .enhanced-picture';
+
+const ImageFallbacks = {
+    CONTAINERS: FALLBACK_CONTAINERS,
+
+    STEP_TYPES: ['source', 'placeholder', 'hide'],
+
+    /**
+     * Each category's chain is tried in order, one step per failure:
+     *   source      - swap in the image's data-fallback-src (skipped when it has none)
+     *   placeholder - hide the image and dress up its container
+     *   hide        - hide the image for good
+     * A step's `decorate` entries style the closest matching ancestor (className, style, content).
+     * When none of them match, the default chain's decorations for that step type are used.
+     */
+    STRATEGIES: {
+        default: [
+            { type: 'source' },
+            { type: 'placeholder', decorate: [{ closest: FALLBACK_CONTAINERS, className: 'image-placeholder', content: 'placeholder' }] },
+            { type: 'hide', decorate: [{ closest: FALLBACK_CONTAINERS, className: 'image-failed', content: 'error' }] }
+        ],
+        hero: [
+            { type: 'source' },
+            {
+                type: 'placeholder',
+                decorate: [{ closest: '.hero-image-container', className: 'hero-fallback-gradient', style: { animation: 'fadeIn 0.5s ease-in-out' } }]
+            },
+            { type: 'hide' }
+        ],
+        services: [
+            { type: 'source' },
+            {
+                type: 'placeholder',
+                decorate: [{
+                    closest: '.service-background',
+                    className: 'service-fallback-gradient',
+                    style: { background: ({ img }) => ImageFallbacks.getServiceGradient(img) },
+                    content: 'service-icon'
+                }]
+            },
+            { type: 'hide' }
+        ],
+        about: [
+            { type: 'source' },
+            { type: 'placeholder', decorate: [{ closest: '.team-member, .team-primary', className: 'team-fallback' }] },
+            { type: 'hide', decorate: [{ closest: '.team-member, .team-primary, .about-team-gallery', className: 'image-failed' }] }
+        ],
+        reviews: [
+            { type: 'source' },
+            {
+                type: 'placeholder',
+                decorate: [
+                    {
+                        closest: '.review-background',
+                        className: 'review-fallback',
+                        style: { background: 'linear-gradient(135deg, rgba(41, 53, 78, 0.03) 0%, rgba(16, 185, 129, 0.02) 50%, rgba(248, 250, 252, 0.05) 100%)' }
+                    },
+                    { closest: '.review-card.enhanced', className: 'review-no-image' }
+                ]
+            },
+            {
+                type: 'hide',
+                decorate: [
+                    { closest: '.review-card.enhanced', className: 'review-image-failed' },
+                    { closest: '.review-background', style: { background: '#ffffff' } }
+                ]
+            }
+        ]
+    },
+
+    PLACEHOLDERS: {
+        hero: { icon: '🏠', text: 'Professional Plumbing Services' },
+        services: { icon: '🔧', text: 'Service Image' },
+        about: { icon: '👥', text: 'Our Team' },
+        reviews: { icon: '⭐', text: 'Customer Review' },
+        default: { icon: '🖼️', text: 'Image' }
+    },
+
+    SERVICE_GRADIENTS: {
+        'residential': { start: 'rgba(59, 130, 246, 0.8)', end: 'rgba(37, 99, 235, 0.9)' },
+        'commercial': { start: 'rgba(16, 185, 129, 0.8)', end: 'rgba(5, 150, 105, 0.9)' },
+        'water-heater': { start: 'rgba(245, 158, 11, 0.8)', end: 'rgba(217, 119, 6, 0.9)' },
+        'drain-cleaning': { start: 'rgba(139, 92, 246, 0.8)', end: 'rgba(124, 58, 237, 0.9)' },
+        'water-filtration': { start: 'rgba(6, 182, 212, 0.8)', end: 'rgba(8, 145, 178, 0.9)' },
+        'emergency': { start: 'rgba(220, 38, 38, 0.9)', end: 'rgba(185, 28, 28, 0.95)' },
+        default: { start: 'rgba(71, 85, 105, 0.8)', end: 'rgba(51, 65, 85, 0.9)' }
+    },
+
+    /**
+     * Content drawn into a decorated container
+     */
+    RENDERERS: {
+        placeholder(container, { category }) {
+            if (container.querySelector('.placeholder-content')) {
+                return; // Already has placeholder
+            }
+            const { icon, text } = ImageFallbacks.getPlaceholder(category);
+            const placeholder = container.ownerDocument.createElement('div');
+            placeholder.className = 'placeholder-content';
+            placeholder.innerHTML = `
+            <div class="placeholder-icon">${icon}</div>
+            <div class="placeholder-text">${text}</div>
+        `;
+            container.appendChild(placeholder);
+        },
+
+        error(container) {
+            if (container.querySelector('.error-placeholder')) {
+                return; // Already has error placeholder
+            }
+            const errorPlaceholder = container.ownerDocument.createElement('div');
+            errorPlaceholder.className = 'error-placeholder';
+            errorPlaceholder.innerHTML = `
+            <div class="error-icon">⚠️</div>
+            <div class="error-text">Image unavailable</div>
+        `;
+            container.appendChild(errorPlaceholder);
+        },
+
+        // The card's own icon, large, in place of the photo
+        'service-icon'(container, { img }) {
+            const card = img.closest('.service-card-enhanced');
+            const icon = card && card.querySelector('.service-icon i');
+            if (!icon) {
+                return;
+            }
+            container.innerHTML = `
+                <div class="service-fallback-icon">
+                    <i class="${icon.className}"></i>
+                </div>
+                <div class="service-overlay"></div>
+            `;
+        }
+    },
+
+    /**
+     * Add or replace a category's chain
+     */
+    register(category, chain) {
+        chain.forEach(step => {
+            if (!this.STEP_TYPES.includes(step.type)) {
+                throw new Error(`Unknown fallback step "${step.type}" for ${category} (use ${this.STEP_TYPES.join(', ')})`);
+            }
+        });
+        this.STRATEGIES[category] = chain;
+    },
+
+    getChain(category) {
+        return this.STRATEGIES[category] || this.STRATEGIES.default;
+    },
+
+    /**
+     * Move an image one step down its category's chain after a failure.
+     * `failedSrc` lets callers that learn about failures late (e.g. from a probe Image) pass
+     * the URL that failed; if the image has already moved on to another URL it is ignored.
+     * Returns the step applied, or null when there was nothing left to try.
+     */
+    handleError(img, options = {}) {
+        if (options.failedSrc && options.failedSrc !== img.src) {
+            return null;
+        }
+
+        const category = img.dataset.category || options.category;
+        const chain = this.getChain(category);
+        for (let index = parseInt(img.dataset.fallbackLevel || '0'); index < chain.length; index++) {
+            if (this.applyStep(img, chain[index], index + 1, category)) {
+                return chain[index];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Apply the step of one type from the image's chain, wherever it sits in the chain
+     */
+    applyType(img, type, category = img.dataset.category) {
+        const chain = this.getChain(category);
+        const index = chain.findIndex(step => step.type === type);
+        return index !== -1 && this.applyStep(img, chain[index], index + 1, category);
+    },
+
+    /**
+     * Apply one step and announce it; false if a source step had no alternate to try
+     */
+    applyStep(img, step, level, category = img.dataset.category) {
+        const imageName = img.dataset.imageName;
+        const failedSrc = img.src;
+
+        if (step.type === 'source') {
+            const fallbackSrc = img.dataset.fallbackSrc;
+            if (!fallbackSrc || fallbackSrc === img.src) {
+                return false;
+            }
+            img.dataset.fallbackLevel = String(level);
+            img.src = fallbackSrc;
+            img.classList.add(step.imageClass || 'fallback-secondary');
+            console.log(`🔄 Attempting secondary fallback: ${fallbackSrc}`);
+        } else {
+            img.dataset.fallbackLevel = String(level);
+            img.style.display = 'none';
+            img.classList.add(step.imageClass || (step.type === 'hide' ? 'fallback-final' : 'fallback-tertiary'));
+            this.decorate(img, step, { img, category, imageName, level });
+
+            if (step.type === 'hide') {
+                console.error(`❌ All fallback options exhausted for ${category}/${imageName}`);
+            } else {
+                console.log(`🎨 Using CSS placeholder for ${category}/${imageName}`);
+            }
+        }
+
+        this.emit(img, { category, imageName, level, type: step.type, failedSrc, src: img.src });
+        return true;
+    },
+
+    /**
+     * Style the containers a step names, or the default ones if none of them are present
+     */
+    decorate(img, step, context) {
+        const find = decorations => (decorations || [])
+            .map(decoration => ({ decoration, container: typeof img.closest === 'function' ? img.closest(decoration.closest) : null }))
+            .filter(match => match.container);
+
+        const defaults = this.STRATEGIES.default.find(candidate => candidate.type === step.type);
+        let matches = find(step.decorate);
+        if (matches.length === 0 && defaults && defaults !== step) {
+            matches = find(defaults.decorate);
+        }
+
+        matches.forEach(({ decoration, container }) => {
+            [].concat(decoration.className || []).forEach(name => container.classList.add(name));
+            Object.entries(decoration.style || {}).forEach(([property, value]) => {
+                container.style[property] = typeof value === 'function' ? value(context) : value;
+            });
+            if (decoration.content) {
+                this.RENDERERS[decoration.content](container, context);
+            }
+        });
+        return matches.map(match => match.container);
+    },
+
+    /**
+     * Fire a bubbling "imagefallback" event on the image for each level it moves to.
+     * An image its own placeholder replaced (the service icon) fires it on its document instead.
+     */
+    emit(img, detail) {
+        const view = img.ownerDocument && img.ownerDocument.defaultView;
+        if (!view || typeof img.dispatchEvent !== 'function') {
+            return;
+        }
+        const target = img.isConnected === false ? img.ownerDocument : img;
+        target.dispatchEvent(new view.CustomEvent('imagefallback', { bubbles: true, detail }));
+    },
+
+    getPlaceholder(category) {
+        return this.PLACEHOLDERS[category] || this.PLACEHOLDERS.default;
+    },
+
+    getServiceGradientColors(serviceType) {
+        return this.SERVICE_GRADIENTS[serviceType] || this.SERVICE_GRADIENTS.default;
+    },
+
+    /**
+     * Gradient for the service card an image sits in
+     */
+    getServiceGradient(img) {
+        const card = img.closest('.service-card-enhanced');
+        const { start, end } = this.getServiceGradientColors(card ? card.dataset.service : null);
+        return `linear-gradient(135deg, ${start} 0%, ${end} 100%)`;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ImageFallbacks = ImageFallbacks;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageFallbacks;
+}
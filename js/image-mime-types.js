@@ -0,0 +1,74 @@
+/**
+ * Image MIME Type Lookup for Radius Works Website
+ * Shared by ImageEnhancementManager, photo uploads and the lead intake server
+ */
+
+const ImageMimeTypes = {
+    BY_EXTENSION: {
+        'jpg': 'image/jpeg',
+        'jpeg': 'image/jpeg',
+        'png': 'image/png',
+        'webp': 'image/webp',
+        'avif': 'image/avif',
+        'gif': 'image/gif',
+        'svg': 'image/svg+xml'
+    },
+
+    /**
+     * Get the MIME type for a file name or URL, or null if it is not a known image
+     */
+    fromFilename(src) {
+        const extension = String(src || '').split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return this.BY_EXTENSION[extension] || null;
+    },
+
+    /**
+     * Get the preferred file extension for a MIME type
+     */
+    extensionFor(mimeType) {
+        const match = Object.keys(this.BY_EXTENSION).find(extension => this.BY_EXTENSION[extension] === mimeType);
+        return match || null;
+    },
+
+    /**
+     * Detect a raster image type from its leading bytes
+     */
+    sniff(bytes) {
+        if (!bytes || bytes.length < 12) {
+            return null;
+        }
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+            return 'image/jpeg';
+        }
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+            return 'image/png';
+        }
+        const riff = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+        const webp = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+        if (riff === 'RIFF' && webp === 'WEBP') {
+            return 'image/webp';
+        }
+        // ISO-BMFF "ftyp" box with an AVIF brand
+        const box = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+        const brand = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+        if (box === 'ftyp' && (brand === 'avif' || brand === 'avis')) {
+            return 'image/avif';
+        }
+        const gif = String.fromCharCode(bytes[0], bytes[1], bytes[2]);
+        if (gif === 'GIF') {
+            return 'image/gif';
+        }
+
+        return null;
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ImageMimeTypes = ImageMimeTypes;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageMimeTypes;
+}
@@ -0,0 +1,31 @@
+/**
+ * Responsive Image Sizes for Radius Works Website
+ * The sizes attribute for each image category, shared by ImageEnhancementManager and the
+ * build-time preloads, so a preload asks for the same width the browser picks
+ */
+
+const ImageSizes = {
+    BY_CATEGORY: {
+        hero: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 600px',
+        services: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px',
+        about: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 600px',
+        reviews: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px',
+        backgrounds: '100vw'
+    },
+
+    /**
+     * Get the sizes attribute for a category, the full viewport width if it has none
+     */
+    forCategory(category) {
+        return this.BY_CATEGORY[category] || '100vw';
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.ImageSizes = ImageSizes;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageSizes;
+}
@@ -0,0 +1,169 @@
+/**
+ * Image Telemetry for Radius Works Website
+ * Batches image fallbacks and slow image downloads and beacons them to the report collector
+ * (server/image-report-collector.js) when the visitor leaves or hides the page
+ */
+
+class ImageTelemetry {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || null;
+        this.slowImageMs = options.slowImageMs || 2000;
+        this.maxBatchSize = options.maxBatchSize || 25;
+        this.page = options.page || (typeof location !== 'undefined' ? location.pathname : null);
+
+        this.events = [];
+        this.observer = null;
+        this.document = null;
+
+        this.handleFallback = this.handleFallback.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.flush = this.flush.bind(this);
+    }
+
+    /**
+     * Start listening for fallbacks (the "imagefallback" events from js/image-fallbacks.js),
+     * image resource timings and the page being hidden
+     */
+    attach(doc = document) {
+        this.document = doc;
+        doc.addEventListener('imagefallback', this.handleFallback);
+        doc.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        const view = doc.defaultView;
+        // Safari does not always fire visibilitychange when a tab is closed
+        view.addEventListener('pagehide', this.flush);
+
+        if ('PerformanceObserver' in view) {
+            this.observer = new view.PerformanceObserver(list => {
+                list.getEntries().forEach(entry => this.recordTiming(entry));
+            });
+            // Buffered, so images that finished before the page scripts ran are included
+            this.observer.observe({ type: 'resource', buffered: true });
+        }
+
+        console.log(`📡 Image telemetry reporting to ${this.endpoint}`);
+        return this;
+    }
+
+    /**
+     * Stop listening and send whatever is still queued
+     */
+    detach() {
+        if (this.document) {
+            this.document.removeEventListener('imagefallback', this.handleFallback);
+            this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            this.document.defaultView.removeEventListener('pagehide', this.flush);
+        }
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.flush();
+    }
+
+    handleFallback(event) {
+        this.recordFallback(event.detail);
+    }
+
+    handleVisibilityChange() {
+        if (this.document.visibilityState === 'hidden') {
+            this.flush();
+        }
+    }
+
+    /**
+     * Queue an image moving down its fallback chain
+     */
+    recordFallback({ category, imageName, level, type, failedSrc, src }) {
+        return this.record({
+            kind: 'fallback',
+            category: category || null,
+            imageName: imageName || null,
+            level,
+            type,
+            failedSrc: ImageTelemetry.toPath(failedSrc),
+            src: ImageTelemetry.toPath(src)
+        });
+    }
+
+    /**
+     * Queue an image download that took longer than the slow threshold
+     */
+    recordTiming(entry) {
+        if (!ImageTelemetry.isImageEntry(entry) || entry.duration < this.slowImageMs) {
+            return null;
+        }
+        return this.record({
+            kind: 'slow-image',
+            src: ImageTelemetry.toPath(entry.name),
+            duration: Math.round(entry.duration),
+            size: entry.transferSize || entry.encodedBodySize || null
+        });
+    }
+
+    record(event) {
+        const entry = { ...event, at: new Date().toISOString() };
+        this.events.push(entry);
+
+        // A long visit should not hold an unbounded batch until the page is hidden
+        if (this.events.length >= this.maxBatchSize) {
+            this.flush();
+        }
+        return entry;
+    }
+
+    /**
+     * Send the queued events as one report; false if there was nothing to send or nowhere to send it
+     */
+    flush() {
+        if (this.events.length === 0 || !this.endpoint) {
+            return false;
+        }
+
+        const report = { page: this.page, sentAt: new Date().toISOString(), events: this.events };
+        this.events = [];
+
+        // text/plain keeps the beacon a simple cross-origin request; the collector parses the JSON anyway
+        const body = JSON.stringify(report);
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+            return true;
+        }
+        if (typeof fetch === 'function') {
+            fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+        }
+        return true;
+    }
+
+    /**
+     * Resource timings for images, whether from an <img> or a CSS background
+     */
+    static isImageEntry(entry) {
+        return entry.entryType === 'resource' && (
+            entry.initiatorType === 'img' || /\.(?:jpe?g|png|webp|avif|gif|svg)(?:[?#]|$)/i.test(entry.name)
+        );
+    }
+
+    /**
+     * Same-site URLs are reported by path so reports from every host group together
+     */
+    static toPath(url) {
+        if (!url) {
+            return null;
+        }
+        try {
+            const parsed = new URL(url, location.href);
+            return parsed.origin === location.origin ? parsed.pathname : parsed.href;
+        } catch (error) {
+            return url;
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ImageTelemetry = ImageTelemetry;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageTelemetry;
+}
@@ -0,0 +1,181 @@
+/**
+ * Offline Lead Queue for the Radius Works Quote Form
+ * Holds quote requests that could not be sent and retries them once back online
+ */
+
+class OfflineLeadQueue {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'radiusworks:lead-queue';
+        this.storage = options.storage || (typeof window !== 'undefined' ? window.localStorage : null);
+        this.flushing = null;
+    }
+
+    /**
+     * Fingerprint a lead by its content so the same request is only queued once
+     */
+    static fingerprint(lead) {
+        return ['name', 'email', 'phone', 'service', 'message']
+            .map(field => String(lead[field] || '').trim().toLowerCase())
+            .join('|');
+    }
+
+    /**
+     * Read the queued items, tolerating missing or corrupt storage
+     */
+    getAll() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const items = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            console.warn('⚠️ Could not read the offline lead queue, starting fresh');
+            return [];
+        }
+    }
+
+    /**
+     * Persist the queued items
+     */
+    save(items) {
+        if (!this.storage) {
+            return false;
+        }
+
+        try {
+            if (items.length === 0) {
+                this.storage.removeItem(this.storageKey);
+            } else {
+                this.storage.setItem(this.storageKey, JSON.stringify(items));
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not save the offline lead queue:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Number of leads waiting to be sent
+     */
+    size() {
+        return this.getAll().length;
+    }
+
+    /**
+     * Queue a lead, skipping it if the same submission or content is already waiting.
+     * Its form token is not kept (a fresh one is fetched when the queue is sent) and neither are
+     * its photos, which would not fit in localStorage; `droppedPhotos` says how many were left out
+     */
+    enqueue(submission) {
+        const { formToken, photos, ...lead } = submission;
+        const items = this.getAll();
+        const fingerprint = OfflineLeadQueue.fingerprint(lead);
+        const existing = items.find(item =>
+            item.lead.submissionId === lead.submissionId || item.fingerprint === fingerprint
+        );
+
+        if (existing) {
+            return existing;
+        }
+
+        const item = {
+            lead,
+            fingerprint,
+            droppedPhotos: Array.isArray(photos) ? photos.length : 0,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        };
+
+        items.push(item);
+        return this.save(items) ? item : null;
+    }
+
+    /**
+     * Remove a queued lead by its submission id
+     */
+    remove(submissionId) {
+        this.save(this.getAll().filter(item => item.lead.submissionId !== submissionId));
+    }
+
+    /**
+     * Send every queued lead through the transport, oldest first
+     */
+    flush(transport) {
+        // Share one in-flight flush so an `online` event during page load cannot double-send
+        if (!this.flushing) {
+            this.flushing = this.sendQueued(transport).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Work through the queue, stopping at the first network failure
+     */
+    async sendQueued(transport) {
+        const sent = [];
+        const discarded = [];
+
+        for (const item of this.getAll()) {
+            try {
+                const result = await transport.send(item.lead);
+                this.remove(item.lead.submissionId);
+                sent.push({ lead: item.lead, result });
+            } catch (error) {
+                if (error.type === 'network') {
+                    break;
+                }
+
+                if (this.isPermanentFailure(error)) {
+                    // The server will never accept this lead, so retrying only repeats the failure
+                    this.remove(item.lead.submissionId);
+                    discarded.push({ lead: item.lead, error });
+                    console.warn(`⚠️ Discarding queued lead rejected by server: ${error.message}`);
+                } else {
+                    this.recordAttempt(item.lead.submissionId);
+                }
+            }
+        }
+
+        return { sent, discarded, remaining: this.size() };
+    }
+
+    /**
+     * Client errors other than rate limiting and form token rejections will not succeed on retry
+     */
+    isPermanentFailure(error) {
+        if (OfflineLeadQueue.RETRYABLE_CODES.includes(error.code)) {
+            return false;
+        }
+        return error.status >= 400 && error.status < 500 && error.status !== 429;
+    }
+
+    /**
+     * Count a failed retry against a queued lead
+     */
+    recordAttempt(submissionId) {
+        const items = this.getAll().map(item => {
+            if (item.lead.submissionId === submissionId) {
+                return { ...item, attempts: item.attempts + 1, lastAttemptAt: new Date().toISOString() };
+            }
+            return item;
+        });
+        this.save(items);
+    }
+}
+
+// Server error codes that are about the form token rather than the lead, so the next flush can fix them
+OfflineLeadQueue.RETRYABLE_CODES = ['INVALID_TOKEN', 'TOO_FAST'];
+
+if (typeof window !== 'undefined') {
+    window.OfflineLeadQueue = OfflineLeadQueue;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineLeadQueue;
+}
@@ -0,0 +1,161 @@
+/**
+ * Lead Validation Rules for the Radius Works Quote Form
+ * Shared by the browser form and the Node lead-intake server
+ */
+
+const LeadValidation = {
+    SERVICE_TYPES: [
+        'residential',
+        'commercial',
+        'emergency',
+        'water-heater',
+        'drain-cleaning',
+        'water-filtration'
+    ],
+
+    FIELD_LIMITS: {
+        name: 100,
+        email: 254,
+        phone: 30,
+        message: 2000
+    },
+
+    EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+    SUBMISSION_ID_PATTERN: /^[A-Za-z0-9-]{8,64}$/,
+
+    /**
+     * Trim string fields and drop anything that is not part of a lead
+     */
+    normalizeLead(payload = {}) {
+        const clean = value => (typeof value === 'string' ? value.trim() : '');
+
+        const lead = {
+            name: clean(payload.name),
+            email: clean(payload.email).toLowerCase(),
+            phone: clean(payload.phone),
+            service: clean(payload.service),
+            message: clean(payload.message),
+            zip: clean(payload.zip)
+        };
+
+        // Structured follow-up answers from the quote wizard; unknown questions and answers are dropped
+        const questions = typeof QuoteQuestions !== 'undefined' ? QuoteQuestions : require('./quote-questions.js');
+        const details = questions.normalizeDetails(lead.service, payload.details);
+        if (Object.keys(details).length > 0) {
+            lead.details = details;
+        }
+
+        // Client-generated id that lets retried submissions be recognised
+        const submissionId = clean(payload.submissionId);
+        if (this.SUBMISSION_ID_PATTERN.test(submissionId)) {
+            lead.submissionId = submissionId;
+        }
+
+        return lead;
+    },
+
+    /**
+     * Shared ZIP code rules from the service area lookup
+     */
+    getServiceArea() {
+        return typeof ServiceArea !== 'undefined' ? ServiceArea : require('./service-area.js').ServiceArea;
+    },
+
+    /**
+     * Normalize a US phone number to E.164 (e.g. +14148009188), or null if invalid
+     */
+    normalizePhone(phone) {
+        let digits = String(phone || '').replace(/\D/g, '');
+
+        if (digits.length === 11 && digits.startsWith('1')) {
+            digits = digits.slice(1);
+        }
+
+        // NANP: area code and exchange cannot start with 0 or 1
+        if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(digits)) {
+            return null;
+        }
+
+        return `+1${digits}`;
+    },
+
+    /**
+     * Validate a single field, returning an error message or null
+     */
+    validateField(field, value) {
+        const text = typeof value === 'string' ? value.trim() : '';
+        let error = null;
+
+        switch (field) {
+            case 'name':
+                if (!text) error = 'Please enter your name';
+                break;
+            case 'email':
+                if (!text) error = 'Please enter your email address';
+                else if (!this.EMAIL_PATTERN.test(text)) error = 'Please enter a valid email address, like name@example.com';
+                break;
+            case 'phone':
+                if (!text) error = 'Please enter your phone number';
+                else if (!this.normalizePhone(text)) error = 'Please enter a 10-digit US phone number, like (414) 800-9188';
+                break;
+            case 'service':
+                if (!text) error = 'Please select a service type';
+                else if (!this.SERVICE_TYPES.includes(text)) error = 'Please select a valid service type';
+                break;
+            case 'message':
+                if (!text) error = 'Please describe your plumbing needs';
+                break;
+            case 'zip':
+                // Optional, but used to check the address is in our service area
+                if (text && !this.getServiceArea().normalizeZip(text)) error = 'Please enter a 5-digit ZIP code, like 53212';
+                break;
+            default:
+                break;
+        }
+
+        const limit = this.FIELD_LIMITS[field];
+        if (!error && limit && text.length > limit) {
+            error = `Please keep this under ${limit} characters`;
+        }
+
+        return error;
+    },
+
+    /**
+     * Validate a lead payload, returning field-keyed error messages
+     */
+    validateLead(payload) {
+        const lead = this.normalizeLead(payload);
+        const errors = {};
+
+        ['name', 'email', 'phone', 'service', 'message', 'zip'].forEach(field => {
+            const error = this.validateField(field, lead[field]);
+            if (error) {
+                errors[field] = error;
+            }
+        });
+
+        if (!errors.phone) {
+            lead.phone = this.normalizePhone(lead.phone);
+        }
+        if (lead.zip && !errors.zip) {
+            lead.zip = this.getServiceArea().normalizeZip(lead.zip);
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            lead
+        };
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.LeadValidation = LeadValidation;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeadValidation;
+}
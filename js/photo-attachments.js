@@ -0,0 +1,212 @@
+/**
+ * Photo Attachments for the Radius Works Quote Form
+ * Checks, previews and downscales customer photos before they are uploaded
+ */
+
+class PhotoAttachmentManager {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.maxFiles = options.maxFiles || 5;
+        this.maxFileSize = options.maxFileSize || 20 * 1024 * 1024; // 20MB before downscaling
+        this.maxDimension = options.maxDimension || 1600;
+        this.quality = options.quality || 0.82;
+        this.acceptedTypes = options.acceptedTypes || ['image/jpeg', 'image/png', 'image/webp'];
+
+        this.onError = options.onError || null;
+        this.onChange = options.onChange || null;
+
+        this.photos = [];
+        this.nextId = 1;
+
+        this.previewList = document.createElement('ul');
+        this.previewList.className = 'photo-previews';
+        this.previewList.setAttribute('aria-label', 'Attached photos');
+        this.input.insertAdjacentElement('afterend', this.previewList);
+
+        this.handleChange = this.handleChange.bind(this);
+        this.input.addEventListener('change', this.handleChange);
+    }
+
+    /**
+     * Get a file's MIME type, falling back to its extension when the browser reports none
+     */
+    getFileType(file) {
+        if (file.type) {
+            return file.type;
+        }
+        return typeof ImageMimeTypes !== 'undefined' ? ImageMimeTypes.fromFilename(file.name) : null;
+    }
+
+    /**
+     * Add newly selected files
+     */
+    handleChange() {
+        this.addFiles(Array.from(this.input.files || []));
+        this.input.value = ''; // Allow re-selecting the same file after removing it
+    }
+
+    /**
+     * Validate and attach files, reporting any that were skipped
+     */
+    addFiles(files) {
+        const problems = [];
+
+        files.forEach(file => {
+            const type = this.getFileType(file);
+
+            if (!this.acceptedTypes.includes(type)) {
+                problems.push(`${file.name} is not a JPEG, PNG or WebP photo`);
+            } else if (file.size > this.maxFileSize) {
+                problems.push(`${file.name} is larger than ${Math.round(this.maxFileSize / (1024 * 1024))}MB`);
+            } else if (this.photos.length >= this.maxFiles) {
+                problems.push(`You can attach up to ${this.maxFiles} photos`);
+            } else {
+                this.photos.push({
+                    id: this.nextId++,
+                    file,
+                    type,
+                    previewUrl: URL.createObjectURL(file)
+                });
+            }
+        });
+
+        this.renderPreviews();
+
+        if (problems.length > 0 && this.onError) {
+            this.onError([...new Set(problems)].join('. ') + '.');
+        } else if (this.onChange) {
+            this.onChange(this.photos);
+        }
+    }
+
+    /**
+     * Remove an attached photo
+     */
+    remove(id) {
+        const photo = this.photos.find(item => item.id === id);
+        if (!photo) return;
+
+        URL.revokeObjectURL(photo.previewUrl);
+        this.photos = this.photos.filter(item => item.id !== id);
+        this.renderPreviews();
+
+        if (this.onChange) {
+            this.onChange(this.photos);
+        }
+        this.input.focus();
+    }
+
+    /**
+     * Show a thumbnail with a remove button for each photo
+     */
+    renderPreviews() {
+        this.previewList.innerHTML = '';
+
+        this.photos.forEach((photo, index) => {
+            const item = document.createElement('li');
+            item.className = 'photo-preview';
+
+            const thumbnail = document.createElement('img');
+            thumbnail.src = photo.previewUrl;
+            thumbnail.alt = `Photo ${index + 1}: ${photo.file.name}`;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'photo-remove';
+            removeButton.setAttribute('aria-label', `Remove ${photo.file.name}`);
+            removeButton.innerHTML = '<i class="fas fa-times"></i>';
+            removeButton.addEventListener('click', () => this.remove(photo.id));
+
+            item.appendChild(thumbnail);
+            item.appendChild(removeButton);
+            this.previewList.appendChild(item);
+        });
+    }
+
+    /**
+     * Shrink a photo to the maximum dimension, re-encoding it as JPEG
+     */
+    async downscale(file) {
+        // Browsers without createImageBitmap upload the original; the server still enforces its size limit
+        if (typeof createImageBitmap !== 'function') {
+            return file;
+        }
+
+        try {
+            const image = await createImageBitmap(file);
+            const width = image.width;
+            const height = image.height;
+            const scale = Math.min(1, this.maxDimension / Math.max(width, height));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+
+            const context = canvas.getContext('2d');
+            if (!context) {
+                return file;
+            }
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', this.quality));
+
+            // Keep the original if the browser could not encode, or re-encoding made it bigger
+            if (!blob || (scale === 1 && blob.size >= file.size)) {
+                return file;
+            }
+            return blob;
+        } catch (error) {
+            console.warn(`⚠️ Could not downscale ${file.name}, uploading original:`, error);
+            return file;
+        }
+    }
+
+    /**
+     * Read a blob as base64 without the data URL prefix
+     */
+    toBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Prepare every attached photo for upload
+     */
+    async collect() {
+        return Promise.all(this.photos.map(async photo => {
+            const blob = await this.downscale(photo.file);
+            const type = blob.type || photo.type;
+            const baseName = photo.file.name.replace(/\.[^.]+$/, '');
+            const extension = typeof ImageMimeTypes !== 'undefined' ? ImageMimeTypes.extensionFor(type) : null;
+
+            return {
+                name: extension ? `${baseName}.${extension}` : photo.file.name,
+                type,
+                size: blob.size,
+                data: await this.toBase64(blob)
+            };
+        }));
+    }
+
+    /**
+     * Remove every attached photo
+     */
+    clear() {
+        this.photos.forEach(photo => URL.revokeObjectURL(photo.previewUrl));
+        this.photos = [];
+        this.renderPreviews();
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.PhotoAttachmentManager = PhotoAttachmentManager;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoAttachmentManager;
+}
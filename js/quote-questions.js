@@ -0,0 +1,213 @@
+/**
+ * Service Follow-Up Questions for the Radius Works Quote Wizard
+ * Shared by the browser wizard and the Node lead-intake server
+ */
+
+const QuoteQuestions = {
+    BY_SERVICE: {
+        'residential': [
+            {
+                name: 'issueType',
+                label: 'What do you need help with?',
+                required: true,
+                options: [
+                    { value: 'leak', label: 'Leak or dripping' },
+                    { value: 'fixture', label: 'Fixture repair or install' },
+                    { value: 'repipe', label: 'Repiping' },
+                    { value: 'remodel', label: 'Kitchen or bath remodel' },
+                    { value: 'other', label: 'Something else' }
+                ]
+            },
+            {
+                name: 'propertyType',
+                label: 'What type of home is it?',
+                options: [
+                    { value: 'house', label: 'Single-family house' },
+                    { value: 'duplex', label: 'Duplex' },
+                    { value: 'condo', label: 'Condo or apartment' }
+                ]
+            }
+        ],
+        'commercial': [
+            {
+                name: 'businessType',
+                label: 'What type of business is it?',
+                required: true,
+                options: [
+                    { value: 'restaurant', label: 'Restaurant or food service' },
+                    { value: 'office', label: 'Office' },
+                    { value: 'retail', label: 'Retail' },
+                    { value: 'multi-unit', label: 'Multi-unit residential' },
+                    { value: 'industrial', label: 'Industrial or warehouse' },
+                    { value: 'other', label: 'Other' }
+                ]
+            },
+            {
+                name: 'afterHours',
+                label: 'Does the work need to happen outside business hours?',
+                options: [
+                    { value: 'yes', label: 'Yes' },
+                    { value: 'no', label: 'No' },
+                    { value: 'flexible', label: 'Either is fine' }
+                ]
+            }
+        ],
+        'emergency': [
+            {
+                name: 'emergencyType',
+                label: 'What is happening right now?',
+                required: true,
+                options: [
+                    { value: 'burst-pipe', label: 'Burst or leaking pipe' },
+                    { value: 'sewer-backup', label: 'Sewer or drain backup' },
+                    { value: 'no-water', label: 'No water' },
+                    { value: 'no-hot-water', label: 'No hot water' },
+                    { value: 'other', label: 'Something else' }
+                ]
+            },
+            {
+                name: 'waterShutOff',
+                label: 'Have you shut off the water?',
+                options: [
+                    { value: 'yes', label: 'Yes' },
+                    { value: 'no', label: 'No' },
+                    { value: 'unsure', label: 'Not sure how' }
+                ]
+            }
+        ],
+        'water-heater': [
+            {
+                name: 'tankType',
+                label: 'What kind of water heater is it?',
+                required: true,
+                options: [
+                    { value: 'tank', label: 'Tank' },
+                    { value: 'tankless', label: 'Tankless' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            },
+            {
+                name: 'fuelType',
+                label: 'How is it powered?',
+                required: true,
+                options: [
+                    { value: 'gas', label: 'Natural gas' },
+                    { value: 'electric', label: 'Electric' },
+                    { value: 'propane', label: 'Propane' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            },
+            {
+                name: 'heaterAge',
+                label: 'About how old is it?',
+                options: [
+                    { value: 'under-5', label: 'Under 5 years' },
+                    { value: '5-10', label: '5 to 10 years' },
+                    { value: 'over-10', label: 'Over 10 years' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            }
+        ],
+        'drain-cleaning': [
+            {
+                name: 'drainCount',
+                label: 'How many drains are affected?',
+                required: true,
+                options: [
+                    { value: '1', label: 'One drain' },
+                    { value: '2-3', label: 'Two or three' },
+                    { value: '4+', label: 'Four or more' },
+                    { value: 'whole-house', label: 'The whole house' }
+                ]
+            },
+            {
+                name: 'drainLocation',
+                label: 'Where is the problem?',
+                options: [
+                    { value: 'kitchen', label: 'Kitchen' },
+                    { value: 'bathroom', label: 'Bathroom' },
+                    { value: 'basement', label: 'Basement floor drain' },
+                    { value: 'main-line', label: 'Main sewer line' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            }
+        ],
+        'water-filtration': [
+            {
+                name: 'waterSource',
+                label: 'Where does your water come from?',
+                required: true,
+                options: [
+                    { value: 'municipal', label: 'City water' },
+                    { value: 'well', label: 'Private well' },
+                    { value: 'unsure', label: 'Not sure' }
+                ]
+            },
+            {
+                name: 'waterConcern',
+                label: 'What would you like to improve?',
+                options: [
+                    { value: 'taste-odor', label: 'Taste or odor' },
+                    { value: 'hardness', label: 'Hard water' },
+                    { value: 'lead', label: 'Lead or contaminants' },
+                    { value: 'whole-house', label: 'Whole-house filtration' },
+                    { value: 'other', label: 'Something else' }
+                ]
+            }
+        ]
+    },
+
+    /**
+     * Get the follow-up questions for a service type
+     */
+    forService(service) {
+        return this.BY_SERVICE[service] || [];
+    },
+
+    /**
+     * Keep only answers that match a question and one of its options for the service
+     */
+    normalizeDetails(service, details) {
+        const clean = {};
+        if (!details || typeof details !== 'object') {
+            return clean;
+        }
+
+        this.forService(service).forEach(question => {
+            const answer = typeof details[question.name] === 'string' ? details[question.name].trim() : '';
+            if (question.options.some(option => option.value === answer)) {
+                clean[question.name] = answer;
+            }
+        });
+
+        return clean;
+    },
+
+    /**
+     * Turn stored answers back into question and answer labels for staff
+     */
+    describe(service, details = {}) {
+        return this.forService(service)
+            .filter(question => details[question.name])
+            .map(question => {
+                const option = question.options.find(item => item.value === details[question.name]);
+                return { question: question.label, answer: option ? option.label : details[question.name] };
+            });
+    },
+
+    /**
+     * List required questions that have no answer
+     */
+    findUnanswered(service, details = {}) {
+        return this.forService(service).filter(question => question.required && !details[question.name]);
+    }
+};
+
+if (typeof window !== 'undefined') {
+    window.QuoteQuestions = QuoteQuestions;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteQuestions;
+}
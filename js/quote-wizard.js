@@ -0,0 +1,388 @@
+/**
+ * Guided Quote Wizard for Radius Works Website
+ * Splits the quote form into steps, asks service-specific follow-up questions and keeps a draft
+ */
+
+class QuoteWizard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.questions = options.questions || window.QuoteQuestions;
+        this.storageKey = options.storageKey || 'radiusworks:quote-draft';
+        this.storage = options.storage !== undefined ? options.storage : window.localStorage;
+        this.draftMaxAgeMs = options.draftMaxAgeMs || 7 * 24 * 60 * 60 * 1000; // 7 days
+
+        this.steps = Array.from(form.querySelectorAll('.wizard-step'));
+        this.detailsStep = form.querySelector('.wizard-step[data-step="details"]');
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.currentIndex = 0;
+
+        this.validator = this.validator.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+        this.handleReset = this.handleReset.bind(this);
+
+        this.buildProgress();
+        this.buildNavigation();
+        this.renderDetails();
+
+        // Registered before the form controller so unfinished steps never reach it
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('input', this.handleChange);
+        this.form.addEventListener('change', this.handleChange);
+        this.form.addEventListener('quoteform:statechange', this.handleStateChange);
+        this.form.addEventListener('reset', this.handleReset);
+
+        this.form.classList.add('quote-wizard');
+        this.restoreDraft();
+        this.showStep(this.currentIndex, { focus: false });
+    }
+
+    /**
+     * Steps the user will actually see (the details step is skipped for services without questions)
+     */
+    getActiveSteps() {
+        return this.steps.filter(step => step !== this.detailsStep || this.getQuestions().length > 0);
+    }
+
+    /**
+     * Follow-up questions for the currently selected service
+     */
+    getQuestions() {
+        const service = this.form.elements.service ? this.form.elements.service.value : '';
+        return this.questions.forService(service);
+    }
+
+    /**
+     * Named controls inside a step
+     */
+    getStepFields(step) {
+        return Array.from(step.querySelectorAll('input, select, textarea'))
+            .filter(field => field.name && field.type !== 'file');
+    }
+
+    /**
+     * Add the "Step 1 of 3" progress indicator
+     */
+    buildProgress() {
+        this.progress = document.createElement('ol');
+        this.progress.className = 'wizard-progress';
+        this.progress.setAttribute('aria-label', 'Quote request progress');
+        this.form.insertBefore(this.progress, this.form.firstElementChild);
+    }
+
+    /**
+     * Refresh the progress indicator for the current step
+     */
+    renderProgress() {
+        const steps = this.getActiveSteps();
+        this.progress.innerHTML = '';
+
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'wizard-progress-step';
+            item.textContent = step.dataset.title || step.querySelector('legend').textContent;
+
+            if (index < this.currentIndex) {
+                item.classList.add('complete');
+            } else if (index === this.currentIndex) {
+                item.classList.add('current');
+                item.setAttribute('aria-current', 'step');
+            }
+            this.progress.appendChild(item);
+        });
+    }
+
+    /**
+     * Add back and next buttons beside the submit button
+     */
+    buildNavigation() {
+        this.nav = document.createElement('div');
+        this.nav.className = 'wizard-nav';
+
+        this.backButton = document.createElement('button');
+        this.backButton.type = 'button';
+        this.backButton.className = 'btn btn-secondary wizard-back';
+        this.backButton.innerHTML = '<i class="fas fa-arrow-left"></i> Back';
+        this.backButton.addEventListener('click', () => this.back());
+
+        this.nextButton = document.createElement('button');
+        this.nextButton.type = 'button';
+        this.nextButton.className = 'btn btn-primary wizard-next';
+        this.nextButton.innerHTML = 'Next <i class="fas fa-arrow-right"></i>';
+        this.nextButton.addEventListener('click', () => this.next());
+
+        this.nav.appendChild(this.backButton);
+        this.nav.appendChild(this.nextButton);
+        this.submitButton.insertAdjacentElement('beforebegin', this.nav);
+        this.nav.appendChild(this.submitButton);
+    }
+
+    /**
+     * Render the follow-up questions for the selected service, keeping matching answers
+     */
+    renderDetails() {
+        if (!this.detailsStep) return;
+
+        const previous = this.getDetails();
+        const legend = this.detailsStep.querySelector('legend');
+        this.detailsStep.innerHTML = '';
+        this.detailsStep.appendChild(legend);
+
+        this.getQuestions().forEach(question => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const id = `quote-detail-${question.name}`;
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = question.required ? question.label : `${question.label} (optional)`;
+
+            const select = document.createElement('select');
+            select.id = id;
+            select.name = `details[${question.name}]`;
+            select.required = Boolean(question.required);
+            select.innerHTML = '<option value="">Choose one</option>' + question.options
+                .map(option => `<option value="${option.value}">${option.label}</option>`)
+                .join('');
+            select.value = previous[question.name] || '';
+
+            group.appendChild(label);
+            group.appendChild(select);
+            this.detailsStep.appendChild(group);
+        });
+    }
+
+    /**
+     * Read the follow-up answers currently in the form
+     */
+    getDetails(values) {
+        const source = values || Object.fromEntries(
+            Array.from(this.form.elements).filter(field => field.name).map(field => [field.name, field.value])
+        );
+
+        return Object.keys(source).reduce((details, key) => {
+            const match = key.match(/^details\[(\w+)\]$/);
+            if (match && source[key]) {
+                details[match[1]] = source[key];
+            }
+            return details;
+        }, {});
+    }
+
+    /**
+     * Form controller validator: groups the follow-up answers and requires the essential ones
+     */
+    validator(values) {
+        const details = this.questions.normalizeDetails(values.service, this.getDetails(values));
+        const errors = {};
+
+        this.questions.findUnanswered(values.service, details).forEach(question => {
+            errors[`details[${question.name}]`] = 'Please choose an answer';
+        });
+
+        return { errors, values: { details } };
+    }
+
+    /**
+     * Show a step, hiding the rest
+     */
+    showStep(index, options = {}) {
+        const steps = this.getActiveSteps();
+        this.currentIndex = Math.max(0, Math.min(index, steps.length - 1));
+        const current = steps[this.currentIndex];
+        const isLast = this.currentIndex === steps.length - 1;
+
+        this.steps.forEach(step => {
+            step.hidden = step !== current;
+        });
+        this.backButton.hidden = this.currentIndex === 0;
+        this.nextButton.hidden = isLast;
+        this.submitButton.hidden = !isLast;
+        this.form.dataset.step = current.dataset.step;
+        this.renderProgress();
+
+        if (options.focus !== false) {
+            const firstField = this.getStepFields(current)[0];
+            if (firstField) {
+                firstField.focus();
+            }
+            this.announce(`Step ${this.currentIndex + 1} of ${steps.length}: ${current.querySelector('legend').textContent}`);
+        }
+    }
+
+    /**
+     * Validate the current step, then move forward
+     */
+    next() {
+        const current = this.getActiveSteps()[this.currentIndex];
+        const controller = this.form.quoteFormController;
+
+        if (controller) {
+            const invalid = this.getStepFields(current).filter(field => !controller.validateField(field, { announce: false }));
+            if (invalid.length > 0) {
+                invalid[0].focus();
+                controller.announce(controller.getFieldError(invalid[0]));
+                return false;
+            }
+        }
+
+        this.showStep(this.currentIndex + 1);
+        this.saveDraft();
+        return true;
+    }
+
+    /**
+     * Move back a step
+     */
+    back() {
+        this.showStep(this.currentIndex - 1);
+        this.saveDraft();
+    }
+
+    /**
+     * Pressing Enter before the last step moves forward instead of submitting
+     */
+    handleSubmit(e) {
+        if (this.currentIndex < this.getActiveSteps().length - 1) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.next();
+        }
+    }
+
+    /**
+     * Swap the follow-up questions when the service changes and save progress
+     */
+    handleChange(e) {
+        if (e.type === 'change' && e.target.name === 'service') {
+            this.renderDetails();
+            this.renderProgress();
+        }
+        this.saveDraft();
+    }
+
+    /**
+     * Follow the form controller: show fields with errors and start fresh after sending
+     */
+    handleStateChange(e) {
+        const { state, fromQueue } = e.detail;
+
+        // A flushed offline request is unrelated to whatever is being typed now
+        if ((state === 'success' && !fromQueue) || state === 'queued') {
+            this.clearDraft();
+        } else if (state === 'error') {
+            const steps = this.getActiveSteps();
+            const invalidStep = steps.findIndex(step => step.querySelector('[aria-invalid="true"]'));
+            if (invalidStep !== -1 && invalidStep !== this.currentIndex) {
+                this.showStep(invalidStep, { focus: false });
+                steps[invalidStep].querySelector('[aria-invalid="true"]').focus();
+            }
+        }
+    }
+
+    /**
+     * Go back to the first step once the form has been cleared
+     */
+    handleReset() {
+        // The reset event fires before the fields are cleared
+        setTimeout(() => {
+            this.renderDetails();
+            this.showStep(0, { focus: false });
+        }, 0);
+    }
+
+    /**
+     * Save the step and text answers so an interrupted request can be picked up later
+     */
+    saveDraft() {
+        if (!this.storage) return;
+
+        const values = {};
+        this.steps.forEach(step => {
+            this.getStepFields(step).forEach(field => {
+                if (field.value) {
+                    values[field.name] = field.value;
+                }
+            });
+        });
+
+        try {
+            if (Object.keys(values).length === 0) {
+                this.storage.removeItem(this.storageKey);
+                return;
+            }
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                step: this.currentIndex,
+                values,
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save quote draft:', error);
+        }
+    }
+
+    /**
+     * Refill the form from a saved draft, if there is a recent one
+     */
+    restoreDraft() {
+        if (!this.storage) return false;
+
+        let draft;
+        try {
+            draft = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            draft = null;
+        }
+
+        if (!draft || !draft.values || Date.now() - new Date(draft.savedAt).getTime() > this.draftMaxAgeMs) {
+            this.clearDraft();
+            return false;
+        }
+
+        // Fill the service first so the right follow-up questions exist for their answers
+        const fill = name => {
+            const field = this.form.elements[name];
+            if (field && typeof field.value === 'string' && field.type !== 'file') {
+                field.value = draft.values[name];
+            }
+        };
+        fill('service');
+        this.renderDetails();
+        Object.keys(draft.values).filter(name => name !== 'service').forEach(fill);
+
+        this.currentIndex = Number(draft.step) || 0;
+        this.form.dispatchEvent(new CustomEvent('quotewizard:restored', { detail: draft }));
+        return true;
+    }
+
+    /**
+     * Forget the saved draft
+     */
+    clearDraft() {
+        if (!this.storage) return;
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Could not clear quote draft:', error);
+        }
+    }
+
+    /**
+     * Announce a message through the shared screen reader live region
+     */
+    announce(message) {
+        if (typeof window.announceToScreenReader === 'function') {
+            window.announceToScreenReader(message);
+        }
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.QuoteWizard = QuoteWizard;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteWizard;
+}
@@ -0,0 +1,174 @@
+/**
+ * Service Area Lookup for Radius Works Website
+ * Checks ZIP codes against the Greater Milwaukee list in scripts/service-areas.json
+ */
+
+const ServiceArea = {
+    DATA_URL: 'scripts/service-areas.json',
+    ZIP_PATTERN: /^(\d{5})(?:-?\d{4})?$/,
+
+    data: null,
+    loading: null,
+
+    /**
+     * Fetch the service area data once and cache it
+     */
+    load(url = this.DATA_URL) {
+        if (this.data) {
+            return Promise.resolve(this.data);
+        }
+
+        if (!this.loading) {
+            this.loading = fetch(url)
+                .then(response => response.json())
+                .then(data => {
+                    this.data = data;
+                    return data;
+                })
+                .catch(error => {
+                    console.warn('⚠️ Could not load service areas:', error);
+                    this.loading = null;
+                    return null;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Reduce a ZIP or ZIP+4 code to its five digits, or null if it is not a ZIP code
+     */
+    normalizeZip(zip) {
+        const match = String(zip || '').trim().match(this.ZIP_PATTERN);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Find which municipalities we serve in a ZIP code
+     */
+    lookup(zip, data = this.data) {
+        const normalized = this.normalizeZip(zip);
+        if (!normalized) {
+            return { zip: null, valid: false, served: false, areas: [] };
+        }
+        if (!data) {
+            return { zip: normalized, valid: true, served: null, areas: [] };
+        }
+
+        const areas = data.areas
+            .filter(area => area.zips.includes(normalized))
+            .map(area => area.name);
+
+        return { zip: normalized, valid: true, served: areas.length > 0, areas };
+    },
+
+    /**
+     * Describe a lead's location for staff: in-area, out-of-area or unknown
+     */
+    tag(zip, data = this.data) {
+        const result = this.lookup(zip, data);
+
+        let status = 'unknown';
+        if (result.served === true) {
+            status = 'in-area';
+        } else if (result.served === false && result.valid) {
+            status = 'out-of-area';
+        }
+
+        return { zip: result.zip, status, areas: result.areas };
+    }
+};
+
+/**
+ * Shows whether a ZIP code is in our service area next to an input
+ */
+class ServiceAreaChecker {
+    constructor(input, output, options = {}) {
+        this.input = input;
+        this.output = output;
+        this.serviceArea = options.serviceArea || ServiceArea;
+        this.trigger = options.trigger || 'submit';
+        this.showInvalid = options.showInvalid !== undefined ? options.showInvalid : true;
+        this.outsideMessage = options.outsideMessage || (zip =>
+            `${zip} is outside our usual service area, but call (414) 800-9188 and we'll see what we can do.`);
+
+        this.handleTrigger = this.handleTrigger.bind(this);
+
+        if (this.trigger === 'submit' && this.input.form) {
+            this.input.form.addEventListener('submit', this.handleTrigger);
+        } else {
+            this.input.addEventListener('change', this.handleTrigger);
+        }
+
+        if (this.input.form) {
+            this.input.form.addEventListener('reset', () => this.clear());
+        }
+    }
+
+    /**
+     * Check the ZIP code without leaving the page
+     */
+    handleTrigger(e) {
+        if (e.type === 'submit') {
+            e.preventDefault();
+        }
+        return this.check();
+    }
+
+    /**
+     * Look up the current ZIP code and show the answer
+     */
+    async check() {
+        await this.serviceArea.load();
+        const result = this.serviceArea.lookup(this.input.value);
+        this.render(result);
+        return result;
+    }
+
+    /**
+     * Show the lookup result
+     */
+    render(result) {
+        let type = '';
+        let message = '';
+
+        if (!this.input.value.trim()) {
+            type = '';
+        } else if (!result.valid) {
+            if (this.showInvalid) {
+                type = 'invalid';
+                message = 'Please enter a 5-digit ZIP code, like 53212.';
+            }
+        } else if (result.served === null) {
+            type = 'unknown';
+            message = 'We could not check your area right now. Please call (414) 800-9188.';
+        } else if (result.served) {
+            type = 'served';
+            message = `Good news! We serve ${result.zip} (${result.areas.join(', ')}).`;
+        } else {
+            type = 'outside';
+            message = this.outsideMessage(result.zip);
+        }
+
+        this.output.textContent = message;
+        this.output.className = type ? `area-result area-result-${type}` : 'area-result';
+    }
+
+    /**
+     * Remove any shown result
+     */
+    clear() {
+        this.output.textContent = '';
+        this.output.className = 'area-result';
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ServiceArea = ServiceArea;
+    window.ServiceAreaChecker = ServiceAreaChecker;
+}
+
+// Export for use in other scripts; Node reads the data file directly
+if (typeof module !== 'undefined' && module.exports) {
+    ServiceArea.data = require('../scripts/service-areas.json');
+    module.exports = { ServiceArea, ServiceAreaChecker };
+}
@@ -0,0 +1,325 @@
+/**
+ * Core Web Vitals for Radius Works Website
+ * Measures LCP, CLS, INP and long tasks, says which image (from the image metadata) was the
+ * LCP and which elements shifted, and can beacon the report when the page is hidden
+ */
+
+class WebVitals {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint || null;
+        // Image metadata is loaded by the image manager after this starts, so it is looked up when needed
+        this.getMetadata = options.getMetadata || (() => options.metadata || null);
+        this.page = options.page || (typeof location !== 'undefined' ? location.pathname : null);
+
+        this.lcp = null;
+        this.cls = { value: 0, window: [], windowValue: 0, sources: {} };
+        this.interactions = {};
+        this.longTasks = { count: 0, totalBlockingTime: 0, longest: null };
+
+        this.observers = [];
+        this.document = null;
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Start observing every metric the browser supports; buffered, so entries from before the
+     * page scripts ran are included
+     */
+    attach(doc = document) {
+        this.document = doc;
+        const view = doc.defaultView;
+        const Observer = view.PerformanceObserver;
+        const supported = (Observer && Observer.supportedEntryTypes) || [];
+
+        const observe = (type, handler, options = {}) => {
+            if (!supported.includes(type)) {
+                return;
+            }
+            const observer = new Observer(list => list.getEntries().forEach(entry => handler.call(this, entry)));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+        };
+
+        observe('largest-contentful-paint', this.recordLcp);
+        observe('layout-shift', this.recordLayoutShift);
+        observe('event', this.recordInteraction, { durationThreshold: 40 });
+        observe('first-input', this.recordInteraction);
+        observe('longtask', this.recordLongTask);
+
+        if (this.endpoint) {
+            doc.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+
+        console.log(`📈 Observing Core Web Vitals (${this.observers.length} metric(s) supported)`);
+        return this;
+    }
+
+    /**
+     * Stop observing
+     */
+    detach() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        if (this.document) {
+            this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+    }
+
+    handleVisibilityChange() {
+        if (this.document.visibilityState === 'hidden') {
+            this.sendReport();
+        }
+    }
+
+    /**
+     * The latest LCP candidate replaces the previous one
+     */
+    recordLcp(entry) {
+        this.lcp = {
+            value: Math.round(entry.renderTime || entry.loadTime || entry.startTime),
+            element: entry.element || null,
+            selector: WebVitals.describeElement(entry.element),
+            url: entry.url || null
+        };
+    }
+
+    /**
+     * CLS is the worst session window: shifts less than 1s apart, at most 5s long.
+     * Each shift is charged to its most impactful source element.
+     */
+    recordLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        const cls = this.cls;
+        const first = cls.window[0];
+        const last = cls.window[cls.window.length - 1];
+        if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            cls.window.push(entry);
+            cls.windowValue += entry.value;
+        } else {
+            cls.window = [entry];
+            cls.windowValue = entry.value;
+        }
+        cls.value = Math.max(cls.value, cls.windowValue);
+
+        const source = WebVitals.largestSource(entry.sources);
+        const selector = source ? WebVitals.describeElement(source.node) : 'unknown';
+        const shifted = cls.sources[selector] || (cls.sources[selector] = { selector, value: 0, count: 0 });
+        shifted.value += entry.value;
+        shifted.count++;
+    }
+
+    /**
+     * Keep the slowest event of each interaction (a click is pointerdown, pointerup and click)
+     */
+    recordInteraction(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+
+        const existing = this.interactions[entry.interactionId];
+        if (!existing || entry.duration > existing.duration) {
+            this.interactions[entry.interactionId] = {
+                duration: entry.duration,
+                eventType: entry.name,
+                target: WebVitals.describeElement(entry.target),
+                startTime: Math.round(entry.startTime)
+            };
+        }
+    }
+
+    /**
+     * Long tasks block input; anything past 50ms counts towards total blocking time
+     */
+    recordLongTask(entry) {
+        const tasks = this.longTasks;
+        tasks.count++;
+        tasks.totalBlockingTime += Math.max(0, entry.duration - 50);
+        if (!tasks.longest || entry.duration > tasks.longest.duration) {
+            const attribution = (entry.attribution || [])[0];
+            tasks.longest = {
+                duration: Math.round(entry.duration),
+                startTime: Math.round(entry.startTime),
+                container: attribution ? (attribution.containerSrc || attribution.containerName || attribution.containerType || null) : null
+            };
+        }
+    }
+
+    /**
+     * INP: the slowest interaction, ignoring one outlier for every 50 interactions
+     */
+    getInp() {
+        const interactions = Object.values(this.interactions).sort((a, b) => b.duration - a.duration);
+        if (interactions.length === 0) {
+            return null;
+        }
+        return interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))];
+    }
+
+    /**
+     * Which metadata image the LCP was: the tagged element it belongs to, or the image whose
+     * files (plain or content-hashed) include the LCP URL
+     */
+    attributeImage(element, url) {
+        const tagged = element && typeof element.closest === 'function'
+            ? element.closest('[data-category][data-image-name]')
+            : null;
+        if (tagged) {
+            return { category: tagged.dataset.category, imageName: tagged.dataset.imageName };
+        }
+
+        const path = WebVitals.toImagePath(url);
+        const metadata = this.getMetadata() || {};
+        if (!path) {
+            return null;
+        }
+
+        for (const [category, images] of Object.entries(metadata)) {
+            if (category === 'seo' || !images || typeof images !== 'object') {
+                continue;
+            }
+            for (const [imageName, imageData] of Object.entries(images)) {
+                if (WebVitals.getImageFiles(imageData).includes(path)) {
+                    return { category, imageName };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Current values, ratings and attribution for every observed metric
+     */
+    getVitalsReport() {
+        const lcp = this.lcp && {
+            value: this.lcp.value,
+            rating: WebVitals.rate('lcp', this.lcp.value),
+            element: this.lcp.selector,
+            url: this.lcp.url,
+            image: this.attributeImage(this.lcp.element, this.lcp.url)
+        };
+
+        const clsValue = Math.round(this.cls.value * 1000) / 1000;
+        const inp = this.getInp();
+
+        return {
+            page: this.page,
+            collectedAt: new Date().toISOString(),
+            lcp,
+            cls: {
+                value: clsValue,
+                rating: WebVitals.rate('cls', clsValue),
+                sources: Object.values(this.cls.sources)
+                    .map(source => ({ ...source, value: Math.round(source.value * 1000) / 1000 }))
+                    .sort((a, b) => b.value - a.value)
+            },
+            inp: inp && {
+                value: Math.round(inp.duration),
+                rating: WebVitals.rate('inp', inp.duration),
+                eventType: inp.eventType,
+                target: inp.target,
+                startTime: inp.startTime
+            },
+            longTasks: { ...this.longTasks, totalBlockingTime: Math.round(this.longTasks.totalBlockingTime) }
+        };
+    }
+
+    /**
+     * Beacon the report to the configured endpoint; false if there is none
+     */
+    sendReport() {
+        if (!this.endpoint) {
+            return false;
+        }
+
+        // text/plain keeps the beacon a simple cross-origin request; the receiver parses the JSON anyway
+        const body = JSON.stringify(this.getVitalsReport());
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+            return true;
+        }
+        if (typeof fetch === 'function') {
+            fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+        }
+        return true;
+    }
+
+    static rate(metric, value) {
+        const [good, poor] = WebVitals.THRESHOLDS[metric];
+        if (value <= good) {
+            return 'good';
+        }
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Short CSS-like name for an element, e.g. "img.hero-img-enhanced" or "header#top"
+     */
+    static describeElement(element) {
+        if (!element || !element.tagName) {
+            return null;
+        }
+        const tag = element.tagName.toLowerCase();
+        if (element.id) {
+            return `${tag}#${element.id}`;
+        }
+        const classes = Array.from(element.classList || []).slice(0, 2);
+        return classes.length > 0 ? `${tag}.${classes.join('.')}` : tag;
+    }
+
+    /**
+     * The shift source with the largest area after the shift
+     */
+    static largestSource(sources = []) {
+        return Array.from(sources).reduce((largest, source) => {
+            const rect = source.currentRect || {};
+            const area = (rect.width || 0) * (rect.height || 0);
+            return !largest || area > largest.area ? { node: source.node, area } : largest;
+        }, null);
+    }
+
+    /**
+     * Every file an image's metadata points at, as site-relative paths
+     */
+    static getImageFiles(imageData = {}) {
+        const files = ['src', 'optimized', 'webp', 'avif'].map(key => imageData[key]);
+        Object.values(imageData.srcset || {}).forEach(variants => variants.forEach(variant => files.push(variant.src)));
+        return files.filter(Boolean).map(file => file.replace(/^\//, ''));
+    }
+
+    /**
+     * Site-relative path of a same-site image URL with any content hash removed
+     * (images/hero.1a2b3c4d.jpg -> images/hero.jpg)
+     */
+    static toImagePath(url) {
+        if (!url) {
+            return null;
+        }
+        try {
+            const parsed = new URL(url, location.href);
+            if (parsed.origin !== location.origin) {
+                return null;
+            }
+            return parsed.pathname.replace(/^\//, '').replace(/\.[0-9a-f]{8}(\.\w+)$/, '$1');
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// "good" up to the first value, "poor" past the second (web.dev thresholds)
+WebVitals.THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500]
+};
+
+if (typeof window !== 'undefined') {
+    window.WebVitals = WebVitals;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebVitals;
+}
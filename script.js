@@ -54,56 +54,31 @@ window.addEventListener('scroll', function() {
 });
 
 // Form handling
-document.querySelector('.contact-form form').addEventListener('submit', function(e) {
-    e.preventDefault();
-    
-    // Get form data
-    const formData = new FormData(this);
-    const name = this.querySelector('input[type="text"]').value;
-    const email = this.querySelector('input[type="email"]').value;
-    const phone = this.querySelector('input[type="tel"]').value;
-    const service = this.querySelector('select').value;
-    const message = this.querySelector('textarea').value;
-    
-    // Basic validation
-    if (!name || !email || !phone || !service || !message) {
-        alert('Please fill in all fields');
-        return;
-    }
-    
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-        alert('Please enter a valid email address');
-        return;
-    }
-    
-    // Phone validation (basic)
-    const phoneRegex = /^[\d\s\-\(\)\+\.]+$/;
-    if (!phoneRegex.test(phone)) {
-        alert('Please enter a valid phone number');
-        return;
-    }
-    
-    // Show success message
-    const button = this.querySelector('button[type="submit"]');
-    const originalText = button.textContent;
-    button.textContent = 'Message Sent!';
-    button.style.background = '#10b981';
-    
-    // Reset form
-    this.reset();
-    
-    // Reset button after 3 seconds
-    setTimeout(() => {
-        button.textContent = originalText;
-        button.style.background = '#1e40af';
-    }, 3000);
-    
-    // In a real implementation, you would send this data to your server
-    console.log('Form submitted:', { name, email, phone, service, message });
+const quoteForm = document.querySelector('.contact-form form');
+const quotePhotoInput = quoteForm ? quoteForm.querySelector('input[type="file"][name="photos"]') : null;
+window.quoteWizard = quoteForm ? new QuoteWizard(quoteForm) : null;
+window.quoteFormController = QuoteFormController.attach(quoteForm, {
+    validators: window.quoteWizard
+        ? [window.quoteWizard.validator, QuoteFormController.leadValidator]
+        : [QuoteFormController.leadValidator],
+    queue: new OfflineLeadQueue(),
+    attachments: quotePhotoInput ? new PhotoAttachmentManager(quotePhotoInput) : null
 });
 
+// Service area checks
+const areaCheckerForm = document.querySelector('.area-checker');
+if (areaCheckerForm) {
+    new ServiceAreaChecker(areaCheckerForm.elements.zip, areaCheckerForm.querySelector('.area-result'));
+}
+if (quoteForm && quoteForm.elements.zip) {
+    // Out-of-area requests are flagged but can still be sent; the lead is tagged on the server
+    new ServiceAreaChecker(quoteForm.elements.zip, document.getElementById('quote-zip-area'), {
+        trigger: 'change',
+        showInvalid: false,
+        outsideMessage: zip => `${zip} is outside our usual service area. You can still send your request and we'll let you know if we can help.`
+    });
+}
+
 // Intersection Observer for animations
 const observerOptions = {
     threshold: 0.1,
@@ -162,20 +137,30 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 });
 
-// Emergency service highlighting
+// Emergency triage (the card's pulse is a CSS animation)
 document.addEventListener('DOMContentLoaded', function() {
-    const emergencyCard = document.querySelector('.service-card.emergency');
-    if (emergencyCard) {
-        // Add pulsing effect
-        setInterval(() => {
-            emergencyCard.style.boxShadow = '0 20px 40px rgba(220, 38, 38, 0.3)';
-            setTimeout(() => {
-                emergencyCard.style.boxShadow = '0 4px 20px rgba(0,0,0,0.08)';
-            }, 1000);
-        }, 3000);
+    const triageDialog = document.getElementById('emergency-triage');
+    const triageLaunch = document.querySelector('.service-card.emergency .triage-launch');
+    if (triageDialog && triageLaunch) {
+        window.emergencyTriage = new EmergencyTriage(triageDialog);
+        triageLaunch.addEventListener('click', () => window.emergencyTriage.open(triageLaunch));
     }
 });
 
+// Image fallback and slow-image reports, sent when the visitor leaves or hides the page
+document.addEventListener('DOMContentLoaded', function() {
+    const endpoint = document.body.dataset.imageReportEndpoint;
+    if (endpoint) {
+        window.imageTelemetry = new ImageTelemetry({ endpoint }).attach();
+    }
+
+    // Vitals are always measured (window.webVitals.getVitalsReport()); beaconed only when an endpoint is set
+    window.webVitals = new WebVitals({
+        endpoint: document.body.dataset.vitalsEndpoint || null,
+        getMetadata: () => window.imageEnhancementManager && window.imageEnhancementManager.imageMetadata
+    }).attach();
+});
+
 // Scroll to top functionality
 window.addEventListener('scroll', function() {
     if (window.scrollY > 500) {
@@ -223,75 +208,18 @@ window.addEventListener('scroll', function() {
     }
 });
 
-// Enhanced service image error handling
-function handleServiceImageError(img) {
-    const fallbackSrc = img.dataset.fallbackSrc;
-    const fallbackLevel = parseInt(img.dataset.fallbackLevel || '0');
-    
-    console.warn(`⚠️ Service image failed to load (Level ${fallbackLevel}): ${img.src}`);
-    
-    switch (fallbackLevel) {
-        case 0:
-            // First tier failed: Try secondary fallback
-            if (fallbackSrc && fallbackSrc !== img.src) {
-                img.dataset.fallbackLevel = '1';
-                img.src = fallbackSrc;
-                img.classList.add('fallback-secondary');
-                console.log(`🔄 Attempting service image fallback: ${fallbackSrc}`);
-            } else {
-                handleServiceImageFinalFallback(img);
-            }
-            break;
-        case 1:
-        default:
-            // All fallbacks failed: Use CSS placeholder
-            handleServiceImageFinalFallback(img);
-            break;
-    }
+// Service image error handling: thin wrappers over the fallback registry (js/image-fallbacks.js)
+function handleServiceImageError(img, failedSrc) {
+    console.warn(`⚠️ Service image failed to load (Level ${img.dataset.fallbackLevel || '0'}): ${failedSrc || img.src}`);
+    ImageFallbacks.handleError(img, { category: 'services', failedSrc });
 }
 
 function handleServiceImageFinalFallback(img) {
-    img.dataset.fallbackLevel = '2';
-    img.style.display = 'none';
-    
-    const serviceCard = img.closest('.service-card-enhanced');
-    const serviceBackground = img.closest('.service-background');
-    
-    if (serviceBackground && serviceCard) {
-        // Create a gradient background based on service type
-        const serviceType = serviceCard.dataset.service;
-        const gradientColors = getServiceGradientColors(serviceType);
-        
-        serviceBackground.style.background = `linear-gradient(135deg, ${gradientColors.start} 0%, ${gradientColors.end} 100%)`;
-        serviceBackground.classList.add('service-fallback-gradient');
-        
-        // Add service icon as background
-        const serviceIcon = serviceCard.querySelector('.service-icon i');
-        if (serviceIcon) {
-            const iconClass = serviceIcon.className;
-            serviceBackground.innerHTML = `
-                <div class="service-fallback-icon">
-                    <i class="${iconClass}"></i>
-                </div>
-                <div class="service-overlay"></div>
-            `;
-        }
-        
-        console.log(`🎨 Using gradient fallback for service: ${serviceType}`);
-    }
+    ImageFallbacks.applyType(img, 'placeholder', 'services');
 }
 
 function getServiceGradientColors(serviceType) {
-    const gradients = {
-        'residential': { start: 'rgba(59, 130, 246, 0.8)', end: 'rgba(37, 99, 235, 0.9)' },
-        'commercial': { start: 'rgba(16, 185, 129, 0.8)', end: 'rgba(5, 150, 105, 0.9)' },
-        'water-heater': { start: 'rgba(245, 158, 11, 0.8)', end: 'rgba(217, 119, 6, 0.9)' },
-        'drain-cleaning': { start: 'rgba(139, 92, 246, 0.8)', end: 'rgba(124, 58, 237, 0.9)' },
-        'water-filtration': { start: 'rgba(6, 182, 212, 0.8)', end: 'rgba(8, 145, 178, 0.9)' },
-        'emergency': { start: 'rgba(220, 38, 38, 0.9)', end: 'rgba(185, 28, 28, 0.95)' }
-    };
-    
-    return gradients[serviceType] || { start: 'rgba(71, 85, 105, 0.8)', end: 'rgba(51, 65, 85, 0.9)' };
+    return ImageFallbacks.getServiceGradientColors(serviceType);
 }
 
 // Initialize service card lazy loading
@@ -313,8 +241,9 @@ document.addEventListener('DOMContentLoaded', function() {
                     console.log(`✅ Service image loaded: ${img.dataset.imageName}`);
                 };
                 
+                // The image may already have moved on if its own error fired first
                 tempImg.onerror = () => {
-                    handleServiceImageError(img);
+                    handleServiceImageError(img, tempImg.src);
                 };
                 
                 tempImg.src = img.src;
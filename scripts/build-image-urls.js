@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Image URL Builder for Radius Works Website
+ * Points every image URL in index.html at its content-hashed file from images/manifest.json and
+ * writes the critical image preloads and fetchpriority hints into the markup, where the browser
+ * sees them before any script runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ImageOptimizer = require('./optimize-images');
+const ImageSizes = require('../js/image-sizes');
+
+class ImageUrlBuilder {
+    constructor(options = {}) {
+        this.manifestPath = options.manifestPath || 'images/manifest.json';
+        this.htmlPath = options.htmlPath || 'index.html';
+        this.metadataPath = options.metadataPath || 'scripts/image-metadata.json';
+        // Where the page's relative image URLs resolve, to leave out preloads for missing files
+        this.rootDir = options.rootDir || path.dirname(this.htmlPath);
+    }
+
+    /**
+     * Rewrite image paths (plain or already hashed) to the current hashed path.
+     * Absolute URLs on the site and relative ones are both matched; paths missing from the
+     * manifest are left alone.
+     */
+    build(html, manifest, metadata = {}) {
+        const built = html.replace(/\bimages\/[\w\-./]+?\.(?:jpe?g|png|webp|avif|gif|svg)\b/gi, url => {
+            const plain = ImageOptimizer.stripHash(url);
+            return manifest[plain] || manifest[url] || url;
+        });
+        return this.addPriorityHints(built, metadata, manifest);
+    }
+
+    /**
+     * Preload the eager (above-the-fold) images the metadata marks priority "high", give the first
+     * of them, the LCP image, fetchpriority="high" and let lazy images wait with "low".
+     * A plain img with responsive widths in the metadata gets them as its srcset and sizes, so its
+     * preload names the same file the browser picks. The preloads replace the ones from the last build.
+     */
+    addPriorityHints(html, metadata, manifest = {}) {
+        const preloads = [];
+        let lcpFound = false;
+
+        const hinted = html.replace(/<img\b[^>]*>/gi, (tag, offset) => {
+            const category = ImageUrlBuilder.getAttribute(tag, 'data-category');
+            const imageName = ImageUrlBuilder.getAttribute(tag, 'data-image-name');
+            if (!category || !imageName) {
+                return tag;
+            }
+
+            const loading = ImageUrlBuilder.getAttribute(tag, 'loading');
+            if (loading === 'lazy') {
+                return ImageUrlBuilder.setAttribute(tag, 'fetchpriority', 'low');
+            }
+            if (loading !== 'eager' || metadata[category]?.[imageName]?.priority !== 'high') {
+                return tag;
+            }
+
+            const isLcp = !lcpFound;
+            lcpFound = true;
+            const sources = ImageUrlBuilder.getPictureSources(html, offset);
+            const srcset = sources.length === 0 && this.getSourceSet(metadata[category][imageName], manifest);
+            let hinted = tag;
+            if (srcset) {
+                hinted = ImageUrlBuilder.setAttribute(hinted, 'srcset', srcset);
+                hinted = ImageUrlBuilder.setAttribute(hinted, 'sizes', metadata[category][imageName].sizes || ImageSizes.forCategory(category));
+            }
+
+            const preload = this.getPreload(hinted, sources, isLcp, manifest);
+            if (preload) {
+                preloads.push(preload);
+            }
+            return isLcp ? ImageUrlBuilder.setAttribute(hinted, 'fetchpriority', 'high') : hinted;
+        });
+
+        const withoutOld = hinted.replace(/\n[ \t]*<!-- image preloads[\s\S]*?<!-- \/image preloads -->/, '');
+        if (preloads.length === 0) {
+            return withoutOld;
+        }
+
+        const block = [ImageUrlBuilder.PRELOAD_START, ...preloads, ImageUrlBuilder.PRELOAD_END]
+            .map(line => `    ${line}`)
+            .join('\n');
+        // Ahead of the stylesheets, so the preload is requested as early as possible
+        const anchor = withoutOld.search(/\n[ \t]*<link\b/i);
+        const at = anchor !== -1 ? anchor : withoutOld.search(/\n[ \t]*<\/head>/i);
+        return at === -1 ? withoutOld : `${withoutOld.slice(0, at)}\n${block}${withoutOld.slice(at)}`;
+    }
+
+    /**
+     * <link rel="preload"> for the file the browser will pick for an image: the first <source> of
+     * its <picture> (typed, so browsers that cannot decode it skip the preload), else the img's own
+     * srcset or src. Null when a media query decides, since a preload for a different file is a
+     * second download, and when a file it names is neither in the manifest nor on disk, since a
+     * high-priority 404 only delays the page.
+     */
+    getPreload(tag, sources, highPriority, manifest = {}) {
+        const source = sources[0];
+        if (source && ImageUrlBuilder.getAttribute(source, 'media')) {
+            return null;
+        }
+
+        const from = source || tag;
+        const srcset = ImageUrlBuilder.getAttribute(from, 'srcset');
+        const urls = srcset
+            ? srcset.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+            : [ImageUrlBuilder.getAttribute(tag, 'src')].filter(Boolean);
+        if (!urls.every(url => this.fileExists(url, manifest))) {
+            return null;
+        }
+
+        const attributes = ['rel="preload"', 'as="image"'];
+        if (srcset) {
+            // No href alongside imagesrcset: browsers without imagesrcset would fetch it on top of the picture's choice
+            attributes.push(`imagesrcset="${srcset}"`);
+            const sizes = ImageUrlBuilder.getAttribute(from, 'sizes');
+            if (sizes) {
+                attributes.push(`imagesizes="${sizes}"`);
+            }
+        } else if (!source && ImageUrlBuilder.getAttribute(tag, 'src')) {
+            attributes.push(`href="${ImageUrlBuilder.getAttribute(tag, 'src')}"`);
+        } else {
+            return null;
+        }
+
+        const type = source && ImageUrlBuilder.getAttribute(source, 'type');
+        if (type) {
+            attributes.push(`type="${type}"`);
+        }
+        if (highPriority) {
+            attributes.push('fetchpriority="high"');
+        }
+        return `<link ${attributes.join(' ')}>`;
+    }
+
+    /**
+     * The srcset for an image's optimized widths, with hashed URLs, or null when the optimizer
+     * recorded none or some of the files are missing
+     */
+    getSourceSet(imageData, manifest = {}) {
+        const variants = imageData.srcset?.original;
+        if (!Array.isArray(variants) || variants.length === 0) {
+            return null;
+        }
+        const candidates = variants.map(variant => ({ url: manifest[variant.src] || variant.src, width: variant.width }));
+        if (!candidates.every(candidate => this.fileExists(candidate.url, manifest))) {
+            return null;
+        }
+        return candidates.map(candidate => `${candidate.url} ${candidate.width}w`).join(', ');
+    }
+
+    /**
+     * Whether a page URL points at a real file: a hashed copy the manifest lists, or a file under rootDir
+     */
+    fileExists(url, manifest = {}) {
+        if (/^(?:[a-z]+:)?\/\//i.test(url) || url.startsWith('data:')) {
+            return true;
+        }
+        if (Object.values(manifest).includes(url)) {
+            return true;
+        }
+        return fs.existsSync(path.join(this.rootDir, url.split(/[?#]/)[0]));
+    }
+
+    /**
+     * Update index.html, or with `check` just report whether it is out of date
+     */
+    run(options = {}) {
+        if (!fs.existsSync(this.manifestPath)) {
+            console.error(`❌ ${this.manifestPath} not found. Run: npm run optimize-images`);
+            return false;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        // Without metadata there is nothing marked high priority, so no preloads
+        const metadata = fs.existsSync(this.metadataPath) ? JSON.parse(fs.readFileSync(this.metadataPath, 'utf8')) : {};
+        const html = fs.readFileSync(this.htmlPath, 'utf8');
+        const built = this.build(html, manifest, metadata);
+
+        if (built === html) {
+            console.log(`✅ ${this.htmlPath} image URLs and preloads are up to date`);
+            return true;
+        }
+
+        if (options.check) {
+            console.error(`❌ ${this.htmlPath} image URLs or preloads are out of date. Run: npm run build-image-urls`);
+            return false;
+        }
+
+        fs.writeFileSync(this.htmlPath, built);
+        console.log(`🔑 Updated image URLs and preloads in ${this.htmlPath} from ${this.manifestPath} and ${this.metadataPath}`);
+        return true;
+    }
+
+    /**
+     * An attribute's value in a tag, '' for a bare attribute and null if it is missing
+     */
+    static getAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}(?:\\s*=\\s*"([^"]*)")?(?=[\\s/>])`, 'i'));
+        return match ? (match[1] || '') : null;
+    }
+
+    /**
+     * Set an attribute in a tag, adding it after the last one (on its own line if they are)
+     */
+    static setAttribute(tag, name, value) {
+        if (ImageUrlBuilder.getAttribute(tag, name) !== null) {
+            return tag.replace(new RegExp(`(\\s${name})(?:\\s*=\\s*"[^"]*")?(?=[\\s/>])`, 'i'), `$1="${value}"`);
+        }
+        const separator = (tag.match(/(\s+)[\w-]+(?:="[^"]*")?\s*\/?>$/) || [null, ' '])[1];
+        return tag.replace(/\s*\/?>$/, end => `${separator}${name}="${value}"${end}`);
+    }
+
+    /**
+     * The <source> tags of the <picture> an img at `offset` is in, if it is in one
+     */
+    static getPictureSources(html, offset) {
+        const before = html.slice(0, offset);
+        const pictureStart = before.toLowerCase().lastIndexOf('<picture');
+        if (pictureStart === -1 || before.toLowerCase().lastIndexOf('</picture') > pictureStart) {
+            return [];
+        }
+        return before.slice(pictureStart).match(/<source\b[^>]*>/gi) || [];
+    }
+}
+
+ImageUrlBuilder.PRELOAD_START = '<!-- image preloads: written by npm run build-image-urls from the image metadata -->';
+ImageUrlBuilder.PRELOAD_END = '<!-- /image preloads -->';
+
+// Run the builder if called directly
+if (require.main === module) {
+    const builder = new ImageUrlBuilder();
+    const ok = builder.run({ check: process.argv.includes('--check') });
+    process.exitCode = ok ? 0 : 1;
+}
+
+module.exports = ImageUrlBuilder;
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Service Area Builder for Radius Works Website
+ * Writes the visible area grid and the JSON-LD serviceArea in index.html from scripts/service-areas.json
+ */
+
+const fs = require('fs');
+
+class ServiceAreaBuilder {
+    constructor(options = {}) {
+        this.dataPath = options.dataPath || 'scripts/service-areas.json';
+        this.htmlPath = options.htmlPath || 'index.html';
+    }
+
+    /**
+     * Rebuild the area grid between its marker comments
+     */
+    renderGrid(html, data) {
+        const pattern = /(\n([ \t]*)<!-- service-areas:start -->\n)[\s\S]*?(\n[ \t]*<!-- service-areas:end -->)/;
+        const match = html.match(pattern);
+        if (!match) {
+            throw new Error('Could not find the <!-- service-areas:start --> marker in the page');
+        }
+
+        const indent = match[2];
+        const items = data.areas
+            .map(area => `${indent}<div class="area">${area.name}</div>`)
+            .join('\n');
+
+        return html.replace(pattern, (all, start, _indent, end) => `${start}${items}${end}`);
+    }
+
+    /**
+     * Rebuild the serviceArea list in the LocalBusiness structured data
+     */
+    renderStructuredData(html, data) {
+        const pattern = /(<script type="application\/ld\+json">\n)([\s\S]*?)(\n([ \t]*)<\/script>)/;
+        const match = html.match(pattern);
+        if (!match) {
+            throw new Error('Could not find the JSON-LD block in the page');
+        }
+
+        const indent = match[4];
+        const structuredData = JSON.parse(match[2]);
+        structuredData.serviceArea = data.areas.map(area => ({
+            '@type': 'City',
+            'name': `${area.name}, ${data.state}`
+        }));
+
+        const json = JSON.stringify(structuredData, null, 2)
+            .split('\n')
+            .map(line => indent + line)
+            .join('\n');
+
+        return html.replace(pattern, (all, start, _body, end) => `${start}${json}${end}`);
+    }
+
+    /**
+     * Apply both generated sections to a page
+     */
+    build(html, data) {
+        return this.renderStructuredData(this.renderGrid(html, data), data);
+    }
+
+    /**
+     * Update index.html, or with `check` just report whether it is out of date
+     */
+    run(options = {}) {
+        const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
+        const html = fs.readFileSync(this.htmlPath, 'utf8');
+        const built = this.build(html, data);
+
+        if (built === html) {
+            console.log(`✅ ${this.htmlPath} service areas are up to date`);
+            return true;
+        }
+
+        if (options.check) {
+            console.error(`❌ ${this.htmlPath} service areas are out of date. Run: npm run build-service-areas`);
+            return false;
+        }
+
+        fs.writeFileSync(this.htmlPath, built);
+        console.log(`📍 Updated ${data.areas.length} service areas in ${this.htmlPath}`);
+        return true;
+    }
+}
+
+// Run the builder if called directly
+if (require.main === module) {
+    const builder = new ServiceAreaBuilder();
+    const ok = builder.run({ check: process.argv.includes('--check') });
+    process.exitCode = ok ? 0 : 1;
+}
+
+module.exports = ServiceAreaBuilder;
@@ -2,24 +2,74 @@
 
 /**
  * Image Optimization Utility for Radius Works Website
- * Converts images to WebP format and optimizes file sizes
+ * Recompresses JPEG/PNG images, creates AVIF and WebP versions and keeps every file within the size budget,
+ * then writes content-hashed copies and a manifest so the site can cache images for a long time
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
 
 class ImageOptimizer {
-    constructor() {
-        this.sourceDir = 'images/stock';
-        this.outputDir = 'images/optimized';
-        this.maxFileSize = 500 * 1024; // 500KB max file size
-        this.supportedFormats = ['.jpg', '.jpeg', '.png'];
+    constructor(options = {}) {
+        this.sourceDir = options.sourceDir || 'images/stock';
+        this.outputDir = options.outputDir || 'images/optimized';
+        this.maxFileSize = options.maxFileSize || 500 * 1024; // 500KB max file size
+        this.supportedFormats = options.supportedFormats || ['.jpg', '.jpeg', '.png'];
+        this.formats = options.formats || ['avif', 'webp']; // Modern formats made alongside the original
+        this.quality = { jpeg: 82, png: 80, webp: 80, avif: 55, ...options.quality };
+        this.minQuality = options.minQuality || 40;
+        this.qualityStep = options.qualityStep || 6;
+        this.widths = options.widths || [480, 768, 1200, 1920];
+        this.aspectRatio = options.aspectRatio || null; // e.g. "16:9" to crop; by default images keep their shape
+        this.metadataPath = options.metadataPath || 'scripts/image-metadata.json';
+        this.descriptionsPath = options.descriptionsPath || 'scripts/image-descriptions.json';
+        this.manifestPath = options.manifestPath || 'images/manifest.json';
+        // Per-category quality, widths, formats, maxFileSize and aspectRatio on top of the settings above
+        this.categorySettings = ImageOptimizer.normalizeCategories(options.categories || ImageOptimizer.DEFAULT_CATEGORIES);
+        this.categories = Object.keys(this.categorySettings);
+        this.only = options.only || null; // Categories to process; metadata still covers them all
+        this.cachePath = options.cachePath || path.join(this.outputDir, '.optimizer-cache.json');
+        this.force = options.force || false; // Reprocess even when the cache says nothing changed
+        this.watchDelayMs = options.watchDelayMs !== undefined ? options.watchDelayMs : 300;
+        this.dryRun = options.dryRun || false; // Report what would happen without writing anything
+        this.cache = null;
+        this.queue = Promise.resolve();
+        this.results = [];
+
+        const unknown = (this.only || []).filter(category => !this.categories.includes(category));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown image category: ${unknown.join(', ')} (use ${this.categories.join(', ')})`);
+        }
+        // Fail on a bad config now rather than halfway through a run
+        this.categories.forEach(category => this.getSettings(category));
+    }
+
+    /**
+     * Settings for one category: its own overrides on top of the global ones
+     */
+    getSettings(category) {
+        const overrides = this.categorySettings[category] || {};
+        ImageOptimizer.checkFormats(overrides.formats || this.formats, `formats for ${category}`);
+        return {
+            quality: { ...this.quality, ...overrides.quality },
+            widths: overrides.widths || this.widths,
+            formats: overrides.formats || this.formats,
+            maxFileSize: overrides.maxFileSize || this.maxFileSize,
+            aspectRatio: ImageOptimizer.parseAspectRatio(overrides.aspectRatio || this.aspectRatio),
+            crop: overrides.aspectRatio || this.aspectRatio
+        };
     }
 
     /**
      * Initialize the optimization process
      */
     async init() {
+        if (this.dryRun) {
+            return this.planAllImages();
+        }
+
         console.log('🖼️  Starting image optimization for Radius Works...');
         
         // Check if directories exist
@@ -30,6 +80,9 @@ class ImageOptimizer {
         }
 
         await this.processAllImages();
+        await this.generateImageMetadata();
+        this.writeManifest();
+        this.printSummary();
         console.log('✅ Image optimization complete!');
     }
 
@@ -37,9 +90,7 @@ class ImageOptimizer {
      * Create the directory structure for stock images
      */
     createDirectoryStructure() {
-        const dirs = ['hero', 'services', 'about', 'reviews', 'backgrounds'];
-        
-        dirs.forEach(dir => {
+        this.categories.forEach(dir => {
             const stockPath = path.join(this.sourceDir, dir);
             const optimizedPath = path.join(this.outputDir, dir);
             
@@ -61,12 +112,10 @@ class ImageOptimizer {
      * Process all images in the stock directory
      */
     async processAllImages() {
-        const categories = ['hero', 'services', 'about', 'reviews', 'backgrounds'];
-        
-        for (const category of categories) {
+        for (const category of this.getSelectedCategories()) {
             const categoryPath = path.join(this.sourceDir, category);
             
-            if (fs.existsSync(categoryPath)) {
+            if (fs.existsSync(categoryPath) || this.getCachedNames(category).length > 0) {
                 console.log(`\n📂 Processing ${category} images...`);
                 await this.processCategory(category);
             }
@@ -74,63 +123,451 @@ class ImageOptimizer {
     }
 
     /**
-     * Process images in a specific category
+     * Categories picked with --category, or all of them
+     */
+    getSelectedCategories() {
+        return this.only || this.categories;
+    }
+
+    /**
+     * Process images in a specific category, skipping sources the cache says are unchanged
+     * and removing the outputs of sources that were deleted
      */
     async processCategory(category) {
+        const cache = this.loadCache();
+        const plan = this.planCategory(category);
+        const summary = { processed: 0, skipped: plan.skip.length, removed: 0 };
+
+        plan.remove.forEach(file => {
+            this.removeOutputs(cache.images[`${category}/${file}`].result);
+            delete cache.images[`${category}/${file}`];
+            summary.removed++;
+            console.log(`  🗑️  Removed outputs of deleted source: ${file}`);
+        });
+
+        if (plan.process.length === 0 && plan.skip.length === 0) {
+            console.log(`  ⚠️  No images found in ${category}`);
+            this.saveCache();
+            return summary;
+        }
+
+        plan.skip.forEach(item => {
+            console.log(`  ⏭️  Unchanged: ${item.file}`);
+            this.results.push({ ...item.entry.result, cached: true });
+        });
+
+        for (const item of plan.process) {
+            // A changed source may now produce fewer widths; clear the old set first
+            if (item.entry) {
+                this.removeOutputs(item.entry.result);
+            }
+            const result = await this.optimizeImage(category, item.file, item.input);
+            cache.images[`${category}/${item.file}`] = { key: item.key, source: item.source, result };
+            this.saveCache();
+            summary.processed++;
+        }
+
+        this.saveCache();
+        return summary;
+    }
+
+    /**
+     * Work out, without writing anything, which sources in a category need processing and why,
+     * which are unchanged and which were deleted
+     */
+    planCategory(category) {
         const sourcePath = path.join(this.sourceDir, category);
-        const outputPath = path.join(this.outputDir, category);
-        
-        const files = fs.readdirSync(sourcePath);
+        const cache = this.loadCache();
+
+        const files = fs.existsSync(sourcePath) ? fs.readdirSync(sourcePath) : [];
         const imageFiles = files.filter(file => 
             this.supportedFormats.includes(path.extname(file).toLowerCase())
         );
 
-        if (imageFiles.length === 0) {
-            console.log(`  ⚠️  No images found in ${category}`);
+        const plan = {
+            category,
+            process: [],
+            skip: [],
+            remove: this.getCachedNames(category).filter(file => !imageFiles.includes(file))
+        };
+
+        imageFiles.forEach(file => {
+            const input = fs.readFileSync(path.join(sourcePath, file));
+            const item = { file, input, key: this.getCacheKey(input, category), source: this.hash(input), entry: cache.images[`${category}/${file}`] };
+
+            if (this.force) {
+                item.reason = 'forced';
+            } else if (!item.entry) {
+                item.reason = 'new';
+            } else if (item.entry.key !== item.key) {
+                item.reason = item.entry.source === item.source ? 'settings changed' : 'source changed';
+            } else if (!this.outputsExist(item.entry.result)) {
+                item.reason = 'outputs missing';
+            }
+
+            (item.reason ? plan.process : plan.skip).push(item);
+        });
+
+        return plan;
+    }
+
+    /**
+     * Dry run: print what a real run would do for each selected category
+     */
+    async planAllImages() {
+        console.log('🧪 Dry run: nothing will be written');
+        const plans = [];
+
+        for (const category of this.getSelectedCategories()) {
+            const plan = this.planCategory(category);
+            if (plan.process.length + plan.skip.length + plan.remove.length === 0) {
+                continue;
+            }
+            plans.push(plan);
+
+            const settings = this.getSettings(category);
+            console.log(`\n📂 ${category}: ${this.describeSettings(settings)}`);
+
+            for (const item of plan.process) {
+                const widths = this.getTargetWidths(await this.getSourceWidth(item.input), settings.widths);
+                item.widths = widths;
+                console.log(`  🔄 ${item.file} (${item.reason}): would write ${widths.join(', ')}px as ${[this.getSourceFormat(item.file)].concat(settings.formats).join(', ')}`);
+            }
+            plan.skip.forEach(item => console.log(`  ⏭️  ${item.file}: unchanged`));
+            plan.remove.forEach(file => console.log(`  🗑️  ${file}: source deleted, would remove its outputs`));
+        }
+
+        const count = key => plans.reduce((sum, plan) => sum + plan[key].length, 0);
+        console.log(`\n🧪 ${count('process')} to process, ${count('skip')} unchanged, ${count('remove')} to remove`);
+        return plans;
+    }
+
+    /**
+     * One-line summary of a category's settings
+     */
+    describeSettings(settings) {
+        const parts = [
+            `widths ${settings.widths.join('/')}`,
+            `formats ${settings.formats.join(', ')}`,
+            `budget ${this.formatFileSize(settings.maxFileSize)}`
+        ];
+        if (settings.crop) {
+            parts.push(`crop ${settings.crop}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Cache key for a source: its content plus every option that changes the output
+     */
+    getCacheKey(input, category) {
+        const settings = JSON.stringify({
+            ...this.getSettings(category),
+            minQuality: this.minQuality,
+            qualityStep: this.qualityStep
+        });
+        return crypto.createHash('sha256').update(input).update(settings).digest('hex');
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    loadCache() {
+        if (!this.cache) {
+            const cache = this.readJson(this.cachePath);
+            this.cache = { images: {}, ...cache };
+        }
+        return this.cache;
+    }
+
+    saveCache() {
+        if (!this.cache) {
             return;
         }
+        fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+        fs.writeFileSync(this.cachePath, JSON.stringify(this.cache, null, 2));
+    }
+
+    /**
+     * Source file names the cache has outputs for in a category
+     */
+    getCachedNames(category) {
+        const prefix = `${category}/`;
+        return Object.keys(this.loadCache().images)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length));
+    }
 
-        for (const file of imageFiles) {
-            await this.optimizeImage(category, file);
+    /**
+     * Every file written for one source image
+     */
+    getOutputFiles(result) {
+        const files = new Set(Object.values(result.files));
+        Object.values(result.variants).forEach(variants => variants.forEach(variant => files.add(variant.file)));
+        return [...files].map(file => path.join(this.outputDir, result.category, file));
+    }
+
+    outputsExist(result) {
+        return this.getOutputFiles(result).every(file => fs.existsSync(file));
+    }
+
+    removeOutputs(result) {
+        this.getOutputFiles(result).forEach(file => fs.rmSync(file, { force: true }));
+    }
+
+    /**
+     * Reprocess sources as they are added, changed or deleted, then refresh the metadata and manifest.
+     * Returns a handle whose close() stops watching.
+     */
+    watch() {
+        const timers = {};
+        const watchers = this.getSelectedCategories().map(category => {
+            const dir = path.join(this.sourceDir, category);
+            fs.mkdirSync(dir, { recursive: true });
+
+            // Editors write a file in several steps, so wait for the events to settle
+            return fs.watch(dir, () => {
+                clearTimeout(timers[category]);
+                timers[category] = setTimeout(() => this.enqueue(() => this.rebuild(category)), this.watchDelayMs);
+            });
+        });
+
+        console.log(`👀 Watching ${this.getSelectedCategories().map(category => path.join(this.sourceDir, category)).join(', ')} for changes...`);
+        return {
+            close: () => {
+                watchers.forEach(watcher => watcher.close());
+                Object.values(timers).forEach(timer => clearTimeout(timer));
+            }
+        };
+    }
+
+    /**
+     * Run rebuilds one at a time so two batches never write the same files
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => console.error('❌ Rebuild failed:', error));
+        return this.queue;
+    }
+
+    /**
+     * Incremental pass over one category, refreshing the metadata and manifest if anything changed
+     */
+    async rebuild(category) {
+        this.results = [];
+        const summary = await this.processCategory(category);
+
+        if (summary.processed > 0 || summary.removed > 0) {
+            await this.generateImageMetadata();
+            this.writeManifest();
+            console.log(`✅ ${category}: ${summary.processed} processed, ${summary.removed} removed`);
         }
+        return summary;
     }
 
     /**
-     * Optimize a single image
+     * Optimize a single image: recompress it in its own format and create AVIF/WebP versions at each width
      */
-    async optimizeImage(category, filename) {
-        const sourcePath = path.join(this.sourceDir, category, filename);
-        const stats = fs.statSync(sourcePath);
-        
+    async optimizeImage(category, filename, input = fs.readFileSync(path.join(this.sourceDir, category, filename))) {
+        const settings = this.getSettings(category);
+        const format = this.getSourceFormat(filename);
+        const name = path.basename(filename, path.extname(filename));
+        const sourceWidth = await this.getSourceWidth(input);
+        const widths = this.getTargetWidths(sourceWidth, settings.widths);
+
         console.log(`  🔄 Processing: ${filename}`);
-        console.log(`     Original size: ${this.formatFileSize(stats.size)}`);
-        
-        // For now, we'll create a placeholder optimization
-        // In a real implementation, you'd use sharp, imagemin, or similar
-        const outputFilename = this.getOptimizedFilename(filename);
-        const outputPath = path.join(this.outputDir, category, outputFilename);
-        
-        // Copy file as placeholder (in real implementation, this would be actual optimization)
-        fs.copyFileSync(sourcePath, outputPath);
-        
-        // Create WebP version filename
-        const webpFilename = filename.replace(/\.(jpg|jpeg|png)$/i, '.webp');
-        const webpPath = path.join(this.outputDir, category, webpFilename);
-        
-        // Placeholder for WebP conversion (would use actual conversion library)
-        fs.copyFileSync(sourcePath, webpPath);
-        
-        console.log(`     ✅ Optimized: ${outputFilename}`);
-        console.log(`     ✅ WebP created: ${webpFilename}`);
+        console.log(`     Original size: ${this.formatFileSize(input.length)} (${sourceWidth}px wide)`);
+
+        fs.mkdirSync(path.join(this.outputDir, category), { recursive: true });
+
+        const variants = { original: [] };
+        settings.formats.forEach(modern => { variants[modern] = []; });
+        let withinBudget = true;
+
+        for (const width of widths) {
+            let optimized = await this.encodeWithinBudget(input, format, width, settings);
+
+            // Re-encoding an already well-compressed file can make it bigger; keep the original then
+            // (unless it is being cropped, when the original is the wrong shape)
+            if (width === sourceWidth && !settings.aspectRatio && optimized.buffer.length >= input.length && input.length <= settings.maxFileSize) {
+                optimized = { buffer: input, quality: null, withinBudget: true };
+            }
+
+            const outputs = [['original', this.getOptimizedFilename(filename, width), optimized]];
+            for (const modern of settings.formats) {
+                outputs.push([modern, `${name}-${width}.${modern}`, await this.encodeWithinBudget(input, modern, width, settings)]);
+            }
+
+            outputs.forEach(([key, file, encoded]) => {
+                fs.writeFileSync(path.join(this.outputDir, category, file), encoded.buffer);
+                variants[key].push({ width, file, size: encoded.buffer.length });
+                console.log(`     ✅ ${file} (${this.formatFileSize(encoded.buffer.length)}${this.describeQuality(encoded)})`);
+
+                if (!encoded.withinBudget) {
+                    withinBudget = false;
+                    console.log(`     ⚠️  ${file} is still over the ${this.formatFileSize(settings.maxFileSize)} budget at minimum quality`);
+                }
+            });
+        }
+
+        // The largest width is also written without a suffix, for plain src attributes
+        const largest = {};
+        const files = {};
+        Object.keys(variants).forEach(key => {
+            largest[key] = variants[key][variants[key].length - 1];
+            files[key] = key === 'original' ? this.getOptimizedFilename(filename) : `${name}.${key}`;
+            fs.copyFileSync(path.join(this.outputDir, category, largest[key].file), path.join(this.outputDir, category, files[key]));
+        });
+
+        const result = {
+            category,
+            name,
+            file: filename,
+            files,
+            variants,
+            originalSize: input.length,
+            optimizedSize: largest.original.size,
+            webpSize: largest.webp ? largest.webp.size : 0,
+            avifSize: largest.avif ? largest.avif.size : 0,
+            withinBudget
+        };
+        this.results.push(result);
+        return result;
+    }
+
+    /**
+     * Displayed width of the source, taking EXIF rotation into account
+     */
+    async getSourceWidth(input) {
+        const { width, height, orientation } = await sharp(input).metadata();
+        return orientation >= 5 ? height : width;
+    }
+
+    /**
+     * Configured widths narrower than the source, plus the source width itself (capped at the widest)
+     * so small images are never upscaled
+     */
+    getTargetWidths(sourceWidth, targets = this.widths) {
+        const widest = Math.max(...targets);
+        const widths = targets.filter(width => width < sourceWidth);
+        widths.push(Math.min(sourceWidth, widest));
+        return [...new Set(widths)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Encoder name for a source file
+     */
+    getSourceFormat(filename) {
+        return path.extname(filename).toLowerCase() === '.png' ? 'png' : 'jpeg';
+    }
+
+    /**
+     * Encode an image at a given quality, cropping it to an aspect ratio if one is set
+     */
+    encode(input, format, quality, width, aspectRatio = null) {
+        // Crops keep the most interesting part of the photo rather than the centre
+        const resize = aspectRatio
+            ? { width, height: Math.round(width / aspectRatio), fit: 'cover', position: sharp.strategy.attention, withoutEnlargement: true }
+            : { width, withoutEnlargement: true };
+        // rotate() applies the EXIF orientation before the metadata is stripped
+        const image = sharp(input).rotate().resize(resize);
+
+        if (format === 'jpeg') {
+            return image.jpeg({ quality, mozjpeg: true }).toBuffer();
+        }
+        if (format === 'png') {
+            // Quantising to a palette is what makes PNG quality (and so the budget) adjustable
+            return image.png({ quality, palette: true, compressionLevel: 9, effort: 10 }).toBuffer();
+        }
+        if (format === 'webp') {
+            return image.webp({ quality, effort: 6 }).toBuffer();
+        }
+        if (format === 'avif') {
+            // AVIF looks as good as WebP at a lower quality number, so it has its own starting point
+            return image.avif({ quality, effort: 4 }).toBuffer();
+        }
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+
+    /**
+     * Step the quality down until the file fits in maxFileSize, stopping at minQuality
+     */
+    async encodeWithinBudget(input, format, width, settings = this.getSettings()) {
+        let quality = settings.quality[format];
+        let buffer = await this.encode(input, format, quality, width, settings.aspectRatio);
+
+        while (buffer.length > settings.maxFileSize && quality > this.minQuality) {
+            quality = Math.max(quality - this.qualityStep, this.minQuality);
+            buffer = await this.encode(input, format, quality, width, settings.aspectRatio);
+        }
+
+        return { buffer, quality, withinBudget: buffer.length <= settings.maxFileSize };
     }
 
     /**
-     * Get optimized filename
+     * Quality note for the log line
      */
-    getOptimizedFilename(filename) {
+    describeQuality(result) {
+        return result.quality === null ? ', original kept' : `, quality ${result.quality}`;
+    }
+
+    /**
+     * Print before/after totals for each category
+     */
+    printSummary() {
+        if (this.results.length === 0) {
+            return;
+        }
+
+        const rows = [['Category', 'Images', 'Before', 'After', 'WebP', 'AVIF', 'Saved', 'Over budget']];
+        const categories = [...new Set(this.results.map(result => result.category))];
+        const total = (results, key) => results.reduce((sum, result) => sum + result[key], 0);
+
+        categories.concat('total').forEach(category => {
+            const results = category === 'total'
+                ? this.results
+                : this.results.filter(result => result.category === category);
+            const before = total(results, 'originalSize');
+            const after = total(results, 'optimizedSize');
+
+            rows.push([
+                category === 'total' ? 'Total' : category,
+                String(results.length),
+                this.formatFileSize(before),
+                this.formatFileSize(after),
+                this.formatFileSize(total(results, 'webpSize')),
+                this.formatFileSize(total(results, 'avifSize')),
+                `${Math.round((1 - after / before) * 100)}%`,
+                String(results.filter(result => !result.withinBudget).length)
+            ]);
+        });
+
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        const line = row => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ');
+
+        console.log('\n📊 Optimization summary');
+        rows.forEach((row, index) => {
+            console.log(`  ${line(row)}`);
+            if (index === 0 || index === rows.length - 2) {
+                console.log(`  ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+            }
+        });
+    }
+
+    /**
+     * Get optimized filename, with a width suffix for responsive variants
+     */
+    getOptimizedFilename(filename, width) {
         const ext = path.extname(filename);
         const name = path.basename(filename, ext);
-        return `${name}${ext}`;
+        return width ? `${name}-${width}${ext}` : `${name}${ext}`;
+    }
+
+    /**
+     * Site-relative URL of an output file
+     */
+    getPublicPath(category, file) {
+        return [this.outputDir, category, file].join('/').replace(/\\/g, '/');
     }
 
     /**
@@ -145,30 +582,432 @@ class ImageOptimizer {
     }
 
     /**
-     * Generate image metadata for SEO
+     * Rebuild the metadata file from the optimized images on disk.
+     * Alt text, titles and other editorial fields come from the descriptions file, falling back to
+     * whatever the metadata already had, so nothing written by hand is lost on a re-run.
+     */
+    async generateImageMetadata() {
+        console.log('📊 Generating image metadata...');
+
+        const existing = this.readJson(this.metadataPath);
+        const descriptions = this.readJson(this.descriptionsPath);
+        const metadata = {};
+        let missingAlt = 0;
+
+        for (const category of this.categories) {
+            metadata[category] = {};
+
+            for (const image of this.scanOutputs(category)) {
+                const entry = await this.describeImage(
+                    category,
+                    image,
+                    (existing[category] || {})[image.name],
+                    (descriptions[category] || {})[image.name]
+                );
+                if (!entry.alt) {
+                    missingAlt++;
+                    console.log(`  ⚠️  ${category}/${image.name} has no alt text; add it to ${this.descriptionsPath}`);
+                }
+                metadata[category][image.name] = entry;
+            }
+
+            Object.keys(descriptions[category] || {})
+                .filter(name => !metadata[category][name])
+                .forEach(name => console.log(`  ⚠️  ${category}/${name} is described but has no optimized image`));
+        }
+
+        // Sections that are not image categories (e.g. seo) are hand-maintained and kept as they are
+        Object.keys(existing)
+            .filter(key => !this.categories.includes(key))
+            .forEach(key => { metadata[key] = existing[key]; });
+
+        const count = this.categories.reduce((sum, category) => sum + Object.keys(metadata[category]).length, 0);
+        const alt = missingAlt ? ` (${missingAlt} missing alt text)` : '';
+        if (this.dryRun) {
+            console.log(`📄 Would save metadata for ${count} images to: ${this.metadataPath}${alt}`);
+            return metadata;
+        }
+
+        fs.writeFileSync(this.metadataPath, JSON.stringify(metadata, null, 2));
+        console.log(`📄 Metadata for ${count} images saved to: ${this.metadataPath}${alt}`);
+        return metadata;
+    }
+
+    /**
+     * Find each optimized image in a category with its responsive and modern-format files
      */
-    generateImageMetadata() {
-        const metadata = {
-            hero: {},
-            services: {},
-            about: {},
-            reviews: {},
-            backgrounds: {}
+    scanOutputs(category) {
+        const dir = path.join(this.outputDir, category);
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+
+        const files = new Set(fs.readdirSync(dir));
+        const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // name-480.jpg is a variant only when name.jpg exists too; otherwise it is an image of its own
+        const isVariant = file => {
+            const match = file.match(/^(.+)-\d+(\.[a-z]+)$/i);
+            return Boolean(match && files.has(`${match[1]}${match[2]}`));
         };
 
-        // This would scan optimized images and generate metadata
-        console.log('📊 Generating image metadata...');
-        
-        const metadataPath = 'scripts/image-metadata.json';
-        fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-        console.log(`📄 Metadata saved to: ${metadataPath}`);
+        return [...files]
+            .filter(file => this.supportedFormats.includes(path.extname(file).toLowerCase()))
+            .filter(file => !isVariant(file) && !ImageOptimizer.isHashedFilename(file))
+            .sort()
+            .map(file => {
+                const ext = path.extname(file);
+                const name = path.basename(file, ext);
+                const variantsOf = extension => {
+                    const pattern = new RegExp(`^${escape(name)}-(\\d+)${escape(extension)}$`);
+                    return [...files]
+                        .map(candidate => candidate.match(pattern))
+                        .filter(Boolean)
+                        .map(match => ({ width: Number(match[1]), file: match[0] }))
+                        .sort((a, b) => a.width - b.width);
+                };
+
+                const image = { name, files: { original: file }, variants: { original: variantsOf(ext) } };
+                this.getSettings(category).formats.forEach(format => {
+                    if (files.has(`${name}.${format}`)) {
+                        image.files[format] = `${name}.${format}`;
+                        image.variants[format] = variantsOf(`.${format}`);
+                    }
+                });
+                return image;
+            });
+    }
+
+    /**
+     * Build one metadata entry: editorial fields first, then everything measured from the files
+     */
+    async describeImage(category, image, existingEntry = {}, description = {}) {
+        const dir = path.join(this.outputDir, category);
+        const size = file => fs.statSync(path.join(dir, file)).size;
+        const { width, height } = await sharp(path.join(dir, image.files.original)).metadata();
+
+        const entry = {};
+        ImageOptimizer.EDITORIAL_FIELDS.forEach(field => {
+            const value = description[field] !== undefined ? description[field] : existingEntry[field];
+            if (value !== undefined) {
+                entry[field] = value;
+            }
+        });
+
+        entry.src = this.getPublicPath(category, image.files.original);
+        entry.optimized = entry.src;
+        entry.category = category;
+        entry.dimensions = { width, height };
+        entry.bytes = {};
+        entry.srcset = {};
+
+        Object.keys(image.files).forEach(format => {
+            if (format !== 'original') {
+                entry[format] = this.getPublicPath(category, image.files[format]);
+            }
+            entry.bytes[format] = size(image.files[format]);
+            entry.srcset[format] = image.variants[format].map(variant => ({
+                width: variant.width,
+                src: this.getPublicPath(category, variant.file),
+                bytes: size(variant.file)
+            }));
+        });
+        entry.widths = image.variants.original.map(variant => variant.width);
+        Object.assign(entry, await this.createPlaceholder(path.join(dir, image.files.original)));
+
+        return entry;
+    }
+
+    /**
+     * Tiny preview and dominant colour, shown while the real image loads
+     */
+    async createPlaceholder(file) {
+        const [preview, stats] = await Promise.all([
+            sharp(file).resize(16, 16, { fit: 'inside' }).webp({ quality: 40 }).toBuffer(),
+            sharp(file).stats()
+        ]);
+        const hex = value => value.toString(16).padStart(2, '0');
+        const { r, g, b } = stats.dominant;
+
+        return {
+            placeholder: `data:image/webp;base64,${preview.toString('base64')}`,
+            dominantColor: `#${hex(r)}${hex(g)}${hex(b)}`
+        };
+    }
+
+    /**
+     * Copy every optimized image to a name that includes a hash of its content and map the
+     * plain path to the hashed one. A changed image gets a new URL, so browsers and CDNs can
+     * keep the old one forever. Hand-placed originals are not hashed: they have not been
+     * through the size budget. Hashed copies the previous manifest listed that are no longer
+     * current are removed; any other file that merely looks hashed is left alone.
+     */
+    writeManifest() {
+        const manifest = {};
+        const previous = new Set(Object.values(this.readJson(this.manifestPath)).map(url => path.normalize(url)));
+        const dirs = this.categories.map(category => path.join(this.outputDir, category));
+
+        dirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+            const files = fs.readdirSync(dir).filter(file => fs.statSync(path.join(dir, file)).isFile());
+            const current = new Set();
+
+            files
+                .filter(file => this.isServedImage(file) && !ImageOptimizer.isHashedFilename(file))
+                .forEach(file => {
+                    const content = fs.readFileSync(path.join(dir, file));
+                    const hashed = this.getHashedFilename(file, content);
+                    if (!this.dryRun && !fs.existsSync(path.join(dir, hashed))) {
+                        fs.writeFileSync(path.join(dir, hashed), content);
+                    }
+                    current.add(hashed);
+                    manifest[this.toUrl(path.join(dir, file))] = this.toUrl(path.join(dir, hashed));
+                });
+
+            files
+                .filter(file => !current.has(file) && previous.has(path.normalize(path.join(dir, file))))
+                .forEach(file => {
+                    if (this.dryRun) {
+                        console.log(`  🗑️  Would remove ${this.toUrl(path.join(dir, file))}`);
+                    } else {
+                        fs.unlinkSync(path.join(dir, file));
+                    }
+                });
+        });
+
+        const sorted = {};
+        Object.keys(manifest).sort().forEach(key => { sorted[key] = manifest[key]; });
+        if (this.dryRun) {
+            console.log(`🔑 Would save a manifest for ${Object.keys(sorted).length} images to: ${this.manifestPath}`);
+            return sorted;
+        }
+        fs.mkdirSync(path.dirname(this.manifestPath), { recursive: true });
+        fs.writeFileSync(this.manifestPath, JSON.stringify(sorted, null, 2));
+
+        console.log(`🔑 Manifest for ${Object.keys(sorted).length} images saved to: ${this.manifestPath}`);
+        return sorted;
+    }
+
+    /**
+     * name.ext -> name.<first 8 hex digits of the SHA-256 of the content>.ext
+     */
+    getHashedFilename(filename, content) {
+        const ext = path.extname(filename);
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+        return `${path.basename(filename, ext)}.${hash}${ext}`;
+    }
+
+    /**
+     * Source formats plus the modern formats the optimizer writes
+     */
+    isServedImage(file) {
+        const ext = path.extname(file).toLowerCase();
+        return this.supportedFormats.includes(ext) || ['.webp', '.avif', '.gif', '.svg'].includes(ext);
+    }
+
+    /**
+     * Site-relative URL for a path on disk
+     */
+    toUrl(file) {
+        return path.normalize(file).split(path.sep).join('/');
+    }
+
+    /**
+     * Read a JSON file, or an empty object if it does not exist yet
+     */
+    readJson(file) {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
     }
 }
 
+/**
+ * Whether a file name carries a content hash (hero-bg.1a2b3c4d.jpg)
+ */
+ImageOptimizer.isHashedFilename = file => /\.[0-9a-f]{8}\.[a-z0-9]+$/i.test(file);
+
+/**
+ * Plain name for a hashed file name or URL (images/hero-bg.1a2b3c4d.jpg -> images/hero-bg.jpg)
+ */
+ImageOptimizer.stripHash = file => file.replace(/\.[0-9a-f]{8}(\.[a-z0-9]+)$/i, '$1');
+
+ImageOptimizer.DEFAULT_CATEGORIES = ['hero', 'services', 'about', 'reviews', 'backgrounds'];
+
+// Formats the optimizer can write alongside each image's original format
+ImageOptimizer.MODERN_FORMATS = ['avif', 'webp'];
+
+/**
+ * Throw on any format the optimizer cannot write, before a run starts rather than partway through
+ */
+ImageOptimizer.checkFormats = (formats, name = 'formats') => {
+    const unknown = formats.filter(format => !ImageOptimizer.MODERN_FORMATS.includes(format));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${name}: ${unknown.join(', ')} (use ${ImageOptimizer.MODERN_FORMATS.join(', ')})`);
+    }
+    return formats;
+};
+
+// Settings a category in the config file may override
+ImageOptimizer.CATEGORY_SETTINGS = ['quality', 'widths', 'formats', 'maxFileSize', 'aspectRatio'];
+
+/**
+ * Categories as { name: settings }, from either a list of names or a settings object
+ */
+ImageOptimizer.normalizeCategories = categories => {
+    if (Array.isArray(categories)) {
+        return Object.fromEntries(categories.map(category => [category, {}]));
+    }
+    Object.entries(categories).forEach(([category, settings]) => {
+        const unknown = Object.keys(settings || {}).filter(key => !ImageOptimizer.CATEGORY_SETTINGS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown setting for ${category}: ${unknown.join(', ')} (use ${ImageOptimizer.CATEGORY_SETTINGS.join(', ')})`);
+        }
+    });
+    return Object.fromEntries(Object.entries(categories).map(([category, settings]) => [category, settings || {}]));
+};
+
+/**
+ * Width ÷ height from "16:9", "4/3" or a number; null when not set
+ */
+ImageOptimizer.parseAspectRatio = value => {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*(?:[:/]\s*(\d+(?:\.\d+)?))?\s*$/);
+    const ratio = match ? Number(match[1]) / (match[2] ? Number(match[2]) : 1) : NaN;
+    if (!Number.isFinite(ratio) || ratio <= 0) {
+        throw new Error(`Invalid aspect ratio "${value}" (use e.g. "16:9")`);
+    }
+    return ratio;
+};
+
+/**
+ * Read images.config.js or images.config.json from a directory, or a given file.
+ * Returns an empty object when there is no config, so the built-in defaults apply.
+ */
+ImageOptimizer.loadConfig = (file = null, dir = '.') => {
+    const candidates = file ? [file] : ['images.config.js', 'images.config.json'];
+    const found = candidates.map(candidate => path.resolve(dir, candidate)).find(candidate => fs.existsSync(candidate));
+
+    if (!found) {
+        if (file) {
+            throw new Error(`Config file not found: ${file}`);
+        }
+        return {};
+    }
+    return path.extname(found) === '.json' ? JSON.parse(fs.readFileSync(found, 'utf8')) : require(found);
+};
+
+/**
+ * Combine a config with overrides (CLI flags or code). An override wins everywhere, including over
+ * a category's own value for the same setting, so `--widths 480` really means every category.
+ */
+ImageOptimizer.mergeOptions = (config, overrides) => {
+    const merged = { ...config, ...overrides };
+    if (config.quality || overrides.quality) {
+        merged.quality = { ...config.quality, ...overrides.quality };
+    }
+
+    if (config.categories && !Array.isArray(config.categories) && !overrides.categories) {
+        merged.categories = Object.fromEntries(Object.entries(config.categories).map(([category, settings]) => {
+            const own = { ...settings };
+            ['widths', 'formats', 'maxFileSize', 'aspectRatio'].filter(key => overrides[key] !== undefined).forEach(key => delete own[key]);
+            if (own.quality && overrides.quality) {
+                own.quality = { ...own.quality };
+                Object.keys(overrides.quality).forEach(format => delete own.quality[format]);
+            }
+            return [category, own];
+        }));
+    }
+    return merged;
+};
+
+/**
+ * Create an optimizer from the config file plus overrides, the same way the command line does
+ */
+ImageOptimizer.fromConfig = (overrides = {}, configPath = null) => {
+    return new ImageOptimizer(ImageOptimizer.mergeOptions(ImageOptimizer.loadConfig(configPath), overrides));
+};
+
+/**
+ * Turn command-line arguments into { mode, configPath, options }
+ */
+ImageOptimizer.parseArgs = args => {
+    const value = name => {
+        const index = args.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+        if (index === -1) return undefined;
+        const found = args[index].includes('=') ? args[index].slice(args[index].indexOf('=') + 1) : args[index + 1];
+        if (found === undefined || found.startsWith('--')) {
+            throw new Error(`${name} needs a value`);
+        }
+        return found;
+    };
+    const list = text => text.split(',').map(item => item.trim()).filter(Boolean);
+    const number = (name, text) => {
+        const parsed = Number(text);
+        if (!Number.isFinite(parsed) || parsed <= 0) {
+            throw new Error(`${name} must be a positive number, got "${text}"`);
+        }
+        return parsed;
+    };
+
+    const options = {};
+    if (value('--source') !== undefined) options.sourceDir = value('--source');
+    if (value('--output') !== undefined) options.outputDir = value('--output');
+    if (value('--max-size') !== undefined) options.maxFileSize = number('--max-size', value('--max-size')) * 1024; // In KB
+    if (value('--widths') !== undefined) options.widths = list(value('--widths')).map(width => number('--widths', width));
+    if (value('--formats') !== undefined) options.formats = ImageOptimizer.checkFormats(list(value('--formats')), '--formats');
+    if (value('--aspect-ratio') !== undefined) options.aspectRatio = value('--aspect-ratio');
+    if (value('--category') !== undefined) options.only = list(value('--category'));
+    if (args.includes('--force')) options.force = true;
+    if (args.includes('--dry-run')) options.dryRun = true;
+
+    // --quality 70 sets every format; --quality webp=70,avif=50 sets some
+    if (value('--quality') !== undefined) {
+        const quality = value('--quality');
+        options.quality = /^\d+$/.test(quality)
+            ? { jpeg: Number(quality), png: Number(quality), webp: Number(quality), avif: Number(quality) }
+            : Object.fromEntries(list(quality).map(pair => {
+                const [format, level] = pair.split('=');
+                return [format, number('--quality', level)];
+            }));
+    }
+
+    let mode = 'optimize';
+    if (args.includes('--metadata-only')) mode = 'metadata';
+    else if (args.includes('--manifest-only')) mode = 'manifest';
+    else if (args.includes('--watch')) mode = 'watch';
+
+    return { mode, configPath: value('--config') || null, options };
+};
+
+// Fields people write; everything else in the metadata is measured from the image files
+ImageOptimizer.EDITORIAL_FIELDS = ['alt', 'title', 'keywords', 'caption', 'serviceType', 'testimonialMatch', 'priority', 'sizes'];
+
 // Run the optimizer if called directly
 if (require.main === module) {
-    const optimizer = new ImageOptimizer();
-    optimizer.init().catch(console.error);
+    const run = async () => {
+        const { mode, configPath, options } = ImageOptimizer.parseArgs(process.argv.slice(2));
+        const optimizer = ImageOptimizer.fromConfig(options, configPath);
+
+        if (optimizer.dryRun && (mode === 'metadata' || mode === 'manifest')) {
+            console.log('🧪 Dry run: nothing will be written');
+        }
+        if (mode === 'metadata') {
+            return optimizer.generateImageMetadata();
+        }
+        if (mode === 'manifest') {
+            return optimizer.writeManifest();
+        }
+        // Bring everything up to date once; --watch then follows changes
+        await optimizer.init();
+        if (mode === 'watch' && !optimizer.dryRun) {
+            optimizer.watch();
+        }
+    };
+
+    run().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
 }
 
-module.exports = ImageOptimizer;
\ No newline at end of file
+module.exports = ImageOptimizer;
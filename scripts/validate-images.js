@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+
+/**
+ * Image Validator for Radius Works Website
+ * Cross-checks image metadata, the images referenced by index.html and the files on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ImageMimeTypes = require('../js/image-mime-types');
+const ImageOptimizer = require('./optimize-images');
+
+class ImageValidator {
+    constructor(options = {}) {
+        this.root = options.root || '.';
+        // Folders, categories and size budgets come from the same images.config.js as the optimizer
+        this.optimizer = new ImageOptimizer(ImageOptimizer.loadConfig(options.configPath, this.root));
+        this.metadataPath = options.metadataPath || 'scripts/image-metadata.json';
+        this.manifestPath = options.manifestPath || 'images/manifest.json';
+        this.htmlFiles = options.htmlFiles || ['index.html'];
+        this.imageDir = options.imageDir || 'images';
+        this.sourceDir = options.sourceDir || this.optimizer.sourceDir; // Originals are never served, so size is not checked
+        this.outputDir = options.outputDir || this.optimizer.outputDir;
+        this.maxFileSize = options.maxFileSize || this.optimizer.maxFileSize;
+        this.altLength = { min: 10, max: 125, ...options.altLength };
+        this.siteUrl = options.siteUrl || 'https://www.radiusworks.net';
+        this.categories = this.optimizer.categories;
+        this.problems = [];
+    }
+
+    /**
+     * Run every check and return the problems found
+     */
+    async validate() {
+        this.problems = [];
+        this.referenced = new Set();
+
+        const metadata = this.loadMetadata();
+        await this.checkMetadata(metadata);
+        this.checkManifest();
+        this.htmlFiles.forEach(file => this.checkHtml(file, metadata));
+        this.checkFiles();
+
+        return {
+            errors: this.problems.filter(problem => problem.level === 'error'),
+            warnings: this.problems.filter(problem => problem.level === 'warning')
+        };
+    }
+
+    error(where, message) {
+        this.report('error', where, message);
+    }
+
+    warn(where, message) {
+        this.report('warning', where, message);
+    }
+
+    report(level, where, message) {
+        const seen = this.problems.some(problem => problem.where === where && problem.message === message);
+        if (!seen) {
+            this.problems.push({ level, where, message });
+        }
+    }
+
+    loadMetadata() {
+        const file = this.resolve(this.metadataPath);
+        if (!fs.existsSync(file)) {
+            this.error(this.metadataPath, 'metadata file not found. Run: npm run image-metadata');
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            this.error(this.metadataPath, `not valid JSON: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Every file an entry points at must exist and fit the budget; alt text and dimensions must be present
+     */
+    async checkMetadata(metadata) {
+        for (const category of this.categories) {
+            for (const [name, entry] of Object.entries(metadata[category] || {})) {
+                const where = `${this.metadataPath} › ${category}/${name}`;
+
+                const files = new Set([entry.src, entry.optimized, entry.webp, entry.avif].filter(Boolean));
+                Object.values(entry.srcset || {}).forEach(variants => {
+                    variants.forEach(variant => files.add(variant.src));
+                });
+                if (!entry.src) {
+                    this.error(where, 'has no src');
+                }
+                files.forEach(file => this.checkFile(where, file));
+
+                this.checkAlt(where, entry.alt);
+
+                if (!entry.dimensions || !entry.dimensions.width || !entry.dimensions.height) {
+                    this.error(where, 'has no dimensions');
+                } else if (entry.src && this.exists(entry.src)) {
+                    await this.checkDimensions(where, entry.src, entry.dimensions);
+                }
+            }
+        }
+
+        const seo = metadata.seo || {};
+        const seoImages = [].concat(
+            seo.openGraph && seo.openGraph.defaultImage ? [seo.openGraph.defaultImage] : [],
+            seo.structuredData && seo.structuredData.businessImages ? seo.structuredData.businessImages : []
+        );
+        seoImages.forEach(file => this.checkFile(`${this.metadataPath} › seo`, file));
+    }
+
+    /**
+     * Every hashed file the manifest points at must exist. Hashed files are copies of the
+     * plain ones, so they count as referenced and are not size-checked a second time.
+     */
+    checkManifest() {
+        const file = this.resolve(this.manifestPath);
+        if (!fs.existsSync(file)) {
+            return;
+        }
+
+        const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        Object.entries(manifest).forEach(([plain, hashed]) => {
+            const hashedFile = this.resolve(hashed);
+            if (!fs.existsSync(hashedFile)) {
+                this.error(this.manifestPath, `${plain} points at a missing file: ${hashed}. Run: npm run optimize-images`);
+            }
+            this.referenced.add(hashedFile);
+        });
+    }
+
+    /**
+     * <img> sources, data-image-name references and social/structured-data image URLs in a page
+     */
+    checkHtml(file, metadata) {
+        const htmlPath = this.resolve(file);
+        if (!fs.existsSync(htmlPath)) {
+            this.error(file, 'page not found');
+            return;
+        }
+
+        // Blank out comments and scripts so commented-out or generated markup is not checked,
+        // keeping line breaks so line numbers stay right
+        const html = fs.readFileSync(htmlPath, 'utf8');
+        const markup = html.replace(/<!--[\s\S]*?-->|<script(?![^>]*application\/ld\+json)[\s\S]*?<\/script>/gi, block => block.replace(/[^\n]/g, ' '));
+        const lineOf = index => markup.slice(0, index).split('\n').length;
+
+        for (const match of markup.matchAll(/<img\b[^>]*>/gi)) {
+            const where = `${file}:${lineOf(match.index)} <img>`;
+            const attributes = this.parseAttributes(match[0]);
+
+            if (attributes.src === undefined) {
+                this.error(where, 'has no src');
+            } else {
+                this.checkFile(where, attributes.src);
+            }
+            if (attributes['data-fallback-src']) {
+                this.checkFile(where, attributes['data-fallback-src']);
+            }
+
+            // An empty alt is fine for decorative images; a missing one is not
+            if (attributes.alt === undefined) {
+                this.error(where, 'has no alt attribute');
+            } else if (attributes.alt !== '') {
+                this.checkAlt(where, attributes.alt);
+            }
+
+            if (attributes.width === undefined || attributes.height === undefined) {
+                this.warn(where, 'has no width/height attributes, so the layout shifts when it loads');
+            }
+        }
+
+        for (const match of markup.matchAll(/<[a-z][^>]*\bdata-image-name\s*=[^>]*>/gi)) {
+            const where = `${file}:${lineOf(match.index)} [data-image-name]`;
+            const attributes = this.parseAttributes(match[0]);
+            const name = attributes['data-image-name'];
+            const category = attributes['data-category'];
+
+            if (!category) {
+                this.error(where, `"${name}" has no data-category`);
+            } else if (!metadata[category] || !metadata[category][name]) {
+                this.error(where, `"${category}/${name}" is not in ${this.metadataPath}`);
+            }
+        }
+
+        // og:image, twitter:image and JSON-LD use absolute URLs on the live site
+        const siteUrl = this.siteUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const absolute = new RegExp(`${siteUrl}/([^"'\\s)]+\\.(?:jpe?g|png|webp|avif|gif|svg))`, 'gi');
+        for (const match of markup.matchAll(absolute)) {
+            this.checkFile(`${file}:${lineOf(match.index)}`, match[1]);
+        }
+    }
+
+    /**
+     * Served images should fit the budget; optimized files nothing points at are probably leftovers
+     */
+    checkFiles() {
+        const imageDir = this.resolve(this.imageDir);
+        const sourceDir = this.resolve(this.sourceDir);
+        const outputDir = this.resolve(this.outputDir);
+
+        // Only images; the manifest and optimizer cache live alongside them
+        for (const file of this.listFiles(imageDir).filter(file => ImageMimeTypes.fromFilename(file))) {
+            if (file.startsWith(sourceDir + path.sep) || this.referenced.has(file)) {
+                continue;
+            }
+            const where = path.relative(this.resolve('.'), file).split(path.sep).join('/');
+            const size = fs.statSync(file).size;
+            const budget = this.getBudget(file);
+            if (size > budget) {
+                this.error(where, `is ${this.formatFileSize(size)}, over the ${this.formatFileSize(budget)} budget`);
+            }
+            if (file.startsWith(outputDir + path.sep)) {
+                this.warn(where, 'is not referenced by the image metadata or the page');
+            }
+        }
+    }
+
+    /**
+     * A referenced file must exist and fit the budget; each file is only reported once
+     */
+    checkFile(where, src) {
+        if (!src || /^(?:data:|https?:|\/\/)/.test(src)) {
+            return;
+        }
+
+        const file = this.resolve(src.split(/[?#]/)[0].replace(/^\//, ''));
+        if (!fs.existsSync(file)) {
+            this.error(where, `file not found: ${src}`);
+            return;
+        }
+        if (this.referenced.has(file)) {
+            return;
+        }
+        this.referenced.add(file);
+
+        const size = fs.statSync(file).size;
+        const budget = this.getBudget(file);
+        if (size > budget) {
+            this.error(where, `${src} is ${this.formatFileSize(size)}, over the ${this.formatFileSize(budget)} budget`);
+        }
+    }
+
+    /**
+     * Size budget for a file: its category's own maxFileSize if the config sets one
+     */
+    getBudget(file) {
+        const relative = path.relative(this.resolve(this.outputDir), file).split(path.sep);
+        const own = relative.length > 1 && this.optimizer.categorySettings[relative[0]];
+        return own && own.maxFileSize ? own.maxFileSize : this.maxFileSize;
+    }
+
+    checkAlt(where, alt) {
+        const text = String(alt || '').trim();
+        if (!text) {
+            this.error(where, 'has no alt text');
+        } else if (text.length < this.altLength.min) {
+            this.warn(where, `alt text is only ${text.length} characters ("${text}")`);
+        } else if (text.length > this.altLength.max) {
+            this.warn(where, `alt text is ${text.length} characters, screen readers work best under ${this.altLength.max}`);
+        }
+    }
+
+    async checkDimensions(where, src, dimensions) {
+        try {
+            const actual = await sharp(this.resolve(src)).metadata();
+            if (actual.width !== dimensions.width || actual.height !== dimensions.height) {
+                this.error(where, `dimensions say ${dimensions.width}×${dimensions.height} but ${src} is ${actual.width}×${actual.height}`);
+            }
+        } catch (error) {
+            this.error(where, `could not read ${src}: ${error.message}`);
+        }
+    }
+
+    parseAttributes(tag) {
+        const attributes = {};
+        const body = tag.replace(/^<[a-z0-9]+/i, '').replace(/\/?>$/, '');
+        for (const match of body.matchAll(/([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+            const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+            attributes[match[1].toLowerCase()] = value !== undefined ? value : '';
+        }
+        return attributes;
+    }
+
+    listFiles(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        return fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name)).flatMap(entry => {
+            const file = path.join(dir, entry.name);
+            return entry.isDirectory() ? this.listFiles(file) : [file];
+        });
+    }
+
+    exists(src) {
+        return fs.existsSync(this.resolve(src));
+    }
+
+    resolve(file) {
+        return path.resolve(this.root, file);
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} Bytes`;
+        return `${parseFloat((bytes / 1024).toFixed(1))} KB`;
+    }
+
+    /**
+     * Readable report grouped by where each problem was found
+     */
+    formatReport({ errors, warnings }) {
+        const lines = [];
+        const group = (title, problems) => {
+            if (!problems.length) return;
+            lines.push('', title);
+            const byPlace = new Map();
+            problems.forEach(problem => {
+                if (!byPlace.has(problem.where)) byPlace.set(problem.where, []);
+                byPlace.get(problem.where).push(problem.message);
+            });
+            byPlace.forEach((messages, where) => {
+                lines.push(`  ${where}`);
+                messages.forEach(message => lines.push(`    - ${message}`));
+            });
+        };
+
+        group(`❌ Errors (${errors.length})`, errors);
+        group(`⚠️  Warnings (${warnings.length})`, warnings);
+        lines.push('');
+        lines.push(errors.length
+            ? `❌ Image validation failed: ${errors.length} error(s), ${warnings.length} warning(s)`
+            : `✅ Images are valid${warnings.length ? ` (${warnings.length} warning(s))` : ''}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Validate, print the report and return whether there were no errors
+     */
+    async run() {
+        console.log('🔍 Validating images...');
+        const result = await this.validate();
+        console.log(this.formatReport(result));
+        return result.errors.length === 0;
+    }
+}
+
+// Run the validator if called directly
+if (require.main === module) {
+    new ImageValidator().run()
+        .then(ok => { process.exitCode = ok ? 0 : 1; })
+        .catch(error => {
+            console.error(error);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = ImageValidator;
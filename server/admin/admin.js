@@ -0,0 +1,165 @@
+/**
+ * Lead Dashboard for the Radius Works Office
+ * Lists quote requests and lets staff update their status
+ */
+
+class LeadDashboard {
+    constructor() {
+        this.filters = document.getElementById('filters');
+        this.table = document.getElementById('leads');
+        this.summary = document.getElementById('summary');
+        this.exportLink = document.getElementById('export-csv');
+        this.statuses = [];
+        this.areasLoaded = false;
+
+        this.filters.addEventListener('change', () => this.load());
+        this.table.addEventListener('submit', e => this.handleUpdate(e));
+    }
+
+    /**
+     * Current filter values as a query string
+     */
+    getQuery() {
+        const params = new URLSearchParams();
+        new FormData(this.filters).forEach((value, key) => {
+            if (value) params.set(key, value);
+        });
+        return params.toString();
+    }
+
+    /**
+     * Fetch leads for the current filters and render them
+     */
+    async load() {
+        const query = this.getQuery();
+        this.exportLink.href = `/api/admin/leads.csv${query ? `?${query}` : ''}`;
+        this.summary.textContent = 'Loading…';
+
+        try {
+            const response = await fetch(`/api/admin/leads${query ? `?${query}` : ''}`);
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error ? result.error.message : 'Could not load leads');
+            }
+
+            this.statuses = result.statuses;
+            this.addAreaOptions(result.areas);
+            this.render(result.leads);
+        } catch (error) {
+            this.summary.textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    /**
+     * Add each municipality to the area filter once
+     */
+    addAreaOptions(areas) {
+        if (this.areasLoaded) return;
+        const select = this.filters.elements.area;
+        const before = select.querySelector('option[value="out-of-area"]');
+        areas.forEach(area => select.insertBefore(new Option(area, area), before));
+        this.areasLoaded = true;
+    }
+
+    /**
+     * Draw the lead table
+     */
+    render(leads) {
+        this.summary.textContent = leads.length === 1 ? '1 quote request' : `${leads.length} quote requests`;
+        this.table.innerHTML = '';
+        leads.forEach(lead => this.table.appendChild(this.renderRow(lead)));
+    }
+
+    /**
+     * One table row per lead; text is set with textContent so customer input is never parsed as HTML
+     */
+    renderRow(lead) {
+        const row = document.createElement('tr');
+        row.dataset.id = lead.id;
+        row.className = `status-${lead.status}`;
+
+        const cell = (...lines) => {
+            const td = document.createElement('td');
+            lines.filter(Boolean).forEach(line => {
+                const div = document.createElement('div');
+                div.textContent = line;
+                td.appendChild(div);
+            });
+            row.appendChild(td);
+            return td;
+        };
+
+        const serviceArea = lead.serviceArea || {};
+        cell(new Date(lead.receivedAt).toLocaleString(), lead.id);
+        cell(lead.name, lead.email, lead.phone);
+        cell(lead.service, ...lead.detailsSummary.map(item => `${item.question} ${item.answer}`));
+        cell(lead.zip, serviceArea.status === 'in-area' ? serviceArea.areas.join(', ') : serviceArea.status || 'unknown');
+        cell(lead.message, lead.photos && lead.photos.length ? `📷 ${lead.photos.length} photo(s)` : '');
+
+        const statusCell = cell(...lead.notes
+            .filter(note => note.text)
+            .map(note => `${note.at.slice(0, 10)} (${note.status}): ${note.text}`));
+        statusCell.appendChild(this.renderUpdateForm(lead));
+
+        return row;
+    }
+
+    /**
+     * Status picker and note box for a lead
+     */
+    renderUpdateForm(lead) {
+        const form = document.createElement('form');
+        form.className = 'lead-update';
+        form.dataset.id = lead.id;
+
+        const status = document.createElement('select');
+        status.name = 'status';
+        status.setAttribute('aria-label', `Status for ${lead.id}`);
+        this.statuses.forEach(value => status.appendChild(new Option(value, value, false, value === lead.status)));
+
+        const note = document.createElement('textarea');
+        note.name = 'note';
+        note.rows = 2;
+        note.placeholder = 'Add a note';
+        note.setAttribute('aria-label', `Note for ${lead.id}`);
+
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'admin-button';
+        save.textContent = 'Save';
+
+        form.append(status, note, save);
+        return form;
+    }
+
+    /**
+     * Send a status change or note for one lead
+     */
+    async handleUpdate(e) {
+        e.preventDefault();
+        const form = e.target;
+        const button = form.querySelector('button');
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/admin/leads/${encodeURIComponent(form.dataset.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status: form.elements.status.value, note: form.elements.note.value })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                const fields = result.error && result.error.fields ? Object.values(result.error.fields) : [];
+                throw new Error(fields[0] || (result.error ? result.error.message : 'Could not save'));
+            }
+            await this.load();
+        } catch (error) {
+            button.disabled = false;
+            alert(error.message);
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new LeadDashboard().load();
+});
@@ -0,0 +1,91 @@
+/**
+ * Signed Form Tokens for the Radius Works Lead Intake Server
+ * Proves a quote form was loaded a plausible amount of time before it was submitted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class FormTokenSigner {
+    constructor(options = {}) {
+        this.secretFile = options.secretFile || path.join('data', 'form-token.secret');
+        this.secret = options.secret || process.env.LEAD_SERVER_SECRET || this.loadSecret();
+        this.minSubmitMs = options.minSubmitMs !== undefined ? options.minSubmitMs : 3000; // Humans need a few seconds
+        this.maxAgeMs = options.maxAgeMs || 7 * 24 * 60 * 60 * 1000; // Offline-queued leads may arrive days later
+    }
+
+    /**
+     * Read the secret kept on disk, creating it on first start. A secret that changed on every
+     * restart would invalidate the tokens of open forms and offline-queued leads.
+     */
+    loadSecret() {
+        if (fs.existsSync(this.secretFile)) {
+            return fs.readFileSync(this.secretFile, 'utf8').trim();
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+        try {
+            fs.writeFileSync(this.secretFile, secret + '\n', { flag: 'wx', mode: 0o600 });
+        } catch (error) {
+            // Another process created it first; use theirs
+            if (error.code === 'EEXIST') {
+                return fs.readFileSync(this.secretFile, 'utf8').trim();
+            }
+            throw error;
+        }
+        console.log(`🔑 Created a form token secret in ${this.secretFile}`);
+        return secret;
+    }
+
+    /**
+     * Sign a timestamp
+     */
+    sign(issuedAt) {
+        return crypto.createHmac('sha256', this.secret).update(String(issuedAt)).digest('hex');
+    }
+
+    /**
+     * Issue a token for a freshly loaded form
+     */
+    issue(now = Date.now()) {
+        return `${now.toString(36)}.${this.sign(now)}`;
+    }
+
+    /**
+     * Verify a token, returning the reason when it is not acceptable
+     */
+    verify(token, now = Date.now()) {
+        if (!token || typeof token !== 'string') {
+            return { valid: false, reason: 'missing-token' };
+        }
+
+        const [encodedTime, signature] = token.split('.');
+        const issuedAt = parseInt(encodedTime, 36);
+        if (!signature || Number.isNaN(issuedAt)) {
+            return { valid: false, reason: 'malformed-token' };
+        }
+
+        const expected = Buffer.from(this.sign(issuedAt));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'bad-token-signature' };
+        }
+
+        const elapsed = now - issuedAt;
+        if (elapsed < this.minSubmitMs) {
+            return { valid: false, reason: 'submitted-too-fast', elapsed };
+        }
+        if (elapsed > this.maxAgeMs) {
+            return { valid: false, reason: 'expired-token', elapsed };
+        }
+
+        return { valid: true, elapsed };
+    }
+}
+
+// Reasons a token from a real form can fail later on, as opposed to a missing or forged one
+FormTokenSigner.STALE_REASONS = ['bad-token-signature', 'expired-token'];
+
+module.exports = FormTokenSigner;
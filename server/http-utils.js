@@ -0,0 +1,137 @@
+/**
+ * HTTP Helpers for the Radius Works Servers
+ * JSON bodies and responses, CORS, client IPs and the office sign-in, shared by the lead
+ * server and the image report collector
+ */
+
+/**
+ * Read and parse a JSON request body, enforcing the size limit.
+ * Every route expects an object, so null, arrays and bare values are rejected like broken JSON.
+ * An oversized body is rejected at once but still read to the end (and thrown away): closing the
+ * connection mid-upload would reset it before the client sees the 413.
+ */
+function readJsonBody(req, maxSize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+
+        const rejectTooLarge = () => {
+            tooLarge = true;
+            chunks.length = 0;
+            const error = new Error('Request body is too large');
+            error.code = 'PAYLOAD_TOO_LARGE';
+            reject(error);
+        };
+
+        if (Number(req.headers['content-length']) > maxSize) {
+            rejectTooLarge();
+        }
+
+        req.on('data', chunk => {
+            if (tooLarge) {
+                return;
+            }
+            size += chunk.length;
+            if (size > maxSize) {
+                rejectTooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (tooLarge) {
+                return;
+            }
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                payload = null;
+            }
+
+            if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+                const parseError = new Error('Request body must be a JSON object');
+                parseError.code = 'INVALID_JSON';
+                reject(parseError);
+                return;
+            }
+            resolve(payload);
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check the office's HTTP Basic credentials against a LeadAdmin, answering 503 while no
+ * password is set and 401 (with a sign-in challenge) when they are missing or wrong
+ */
+function authorizeAdmin(admin, req, res) {
+    if (!admin.isEnabled()) {
+        sendError(res, 503, 'ADMIN_DISABLED', 'Set LEAD_ADMIN_PASSWORD to enable the lead dashboard');
+        return false;
+    }
+    if (!admin.authorize(req.headers.authorization)) {
+        res.setHeader('WWW-Authenticate', 'Basic realm="Radius Works Leads", charset="UTF-8"');
+        sendError(res, 401, 'UNAUTHORIZED', 'Please sign in');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Get the client IP. Behind a trusted reverse proxy it is the last X-Forwarded-For hop (the one
+ * the proxy added); earlier hops, and the header without a proxy, can be anything the client sent.
+ */
+function getClientIp(req, trustProxy = false) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for'] : null;
+    if (forwarded) {
+        const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+        if (hops.length > 0) {
+            return hops[hops.length - 1];
+        }
+    }
+    return req.socket.remoteAddress;
+}
+
+/**
+ * Allow the static site (served on another port) to call the API
+ */
+function setCorsHeaders(res, allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, payload) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Send a structured error response
+ */
+function sendError(res, status, code, message, fields) {
+    const error = { code, message };
+    if (fields) {
+        error.fields = fields;
+    }
+    sendJson(res, status, { success: false, error });
+}
+
+module.exports = {
+    readJsonBody,
+    authorizeAdmin,
+    getClientIp,
+    setCorsHeaders,
+    sendJson,
+    sendError
+};
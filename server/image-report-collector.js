@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * Image Report Collector for Radius Works Website
+ * Receives the image telemetry beacons from the site (js/image-telemetry.js), keeps one
+ * JSON-lines file per day and summarizes a day's fallbacks and slow images
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const LeadAdmin = require('./lead-admin');
+const RateLimiter = require('./rate-limiter');
+const { readJsonBody, setCorsHeaders, sendJson, sendError, getClientIp, authorizeAdmin } = require('./http-utils');
+const ImageFallbacks = require('../js/image-fallbacks');
+
+class ImageReportCollector {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : (process.env.IMAGE_REPORT_PORT || 3002);
+        this.allowedOrigin = options.allowedOrigin || process.env.IMAGE_REPORT_ORIGIN || '*';
+        this.dataDir = options.dataDir || path.join('data', 'image-reports');
+        this.maxBodySize = options.maxBodySize || 64 * 1024;
+        this.maxEvents = options.maxEvents || 100;
+        // A day's file stops growing here, whatever is sent
+        this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024;
+        this.fullDays = new Set();
+        // X-Forwarded-For is whatever the client sends unless our own proxy sets it
+        this.trustProxy = options.trustProxy !== undefined ? options.trustProxy : process.env.IMAGE_REPORT_TRUST_PROXY === 'true';
+        // A page view sends a handful of beacons at most
+        this.rateLimiter = options.rateLimiter || new RateLimiter({ limit: 30, ...options.rateLimit });
+        // The summary is for the office, behind the lead dashboard's password
+        this.admin = options.admin || new LeadAdmin(options.adminAuth);
+        this.server = null;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Start listening for reports
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('❌ Unhandled image report error:', error);
+                sendError(res, 500, 'SERVER_ERROR', 'Something went wrong');
+            });
+        });
+
+        this.pruneTimer = setInterval(() => this.rateLimiter.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                const { port } = this.server.address();
+                console.log(`📡 Image report collector listening on http://localhost:${port}`);
+                resolve(this.server);
+            });
+        });
+    }
+
+    /**
+     * Stop the collector
+     */
+    stop() {
+        clearInterval(this.pruneTimer);
+
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Route an incoming request
+     */
+    async handleRequest(req, res) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        setCorsHeaders(res, this.allowedOrigin);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (pathname === '/api/image-reports') {
+            if (req.method !== 'POST') {
+                sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST to send an image report');
+                return;
+            }
+            await this.handleReport(req, res);
+            return;
+        }
+
+        if (pathname === '/api/image-reports/summary' && req.method === 'GET') {
+            res.setHeader('Cache-Control', 'no-store');
+            if (!authorizeAdmin(this.admin, req, res)) {
+                return;
+            }
+            const date = searchParams.get('date') || ImageReportCollector.today();
+            if (!ImageReportCollector.isDate(date)) {
+                sendError(res, 400, 'INVALID_DATE', 'Use a date like 2024-03-15');
+                return;
+            }
+            sendJson(res, 200, { success: true, summary: this.summarize(date) });
+            return;
+        }
+
+        sendError(res, 404, 'NOT_FOUND', 'Not found');
+    }
+
+    /**
+     * Append a beaconed report to today's file
+     */
+    async handleReport(req, res) {
+        const rate = this.rateLimiter.hit(getClientIp(req, this.trustProxy));
+        if (!rate.allowed) {
+            res.setHeader('Retry-After', String(rate.retryAfter));
+            sendError(res, 429, 'RATE_LIMITED', 'Too many image reports');
+            return;
+        }
+
+        let payload;
+        try {
+            payload = await readJsonBody(req, this.maxBodySize);
+        } catch (error) {
+            const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+            sendError(res, status, error.code || 'INVALID_JSON', error.message);
+            return;
+        }
+
+        const events = Array.isArray(payload.events)
+            ? payload.events.slice(0, this.maxEvents).map(ImageReportCollector.normalizeEvent).filter(Boolean)
+            : [];
+        if (events.length === 0) {
+            sendError(res, 422, 'VALIDATION_FAILED', 'A report needs at least one fallback or slow-image event');
+            return;
+        }
+
+        const record = this.save({
+            page: ImageReportCollector.clip(payload.page),
+            events,
+            userAgent: req.headers['user-agent'] || null
+        });
+        if (!record) {
+            sendError(res, 507, 'STORAGE_FULL', 'No more image reports are being stored today');
+            return;
+        }
+
+        console.log(`📡 Image report: ${events.length} event(s) from ${record.page || 'unknown page'}`);
+        sendJson(res, 201, { success: true });
+    }
+
+    /**
+     * Append a report to the file for the day it was received; null once that file is full
+     */
+    save(report, receivedAt = new Date()) {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        const date = ImageReportCollector.today(receivedAt);
+        const file = this.getReportFile(date);
+        const record = { receivedAt: receivedAt.toISOString(), ...report };
+        const line = JSON.stringify(record) + '\n';
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        if (size + Buffer.byteLength(line) > this.maxFileSize) {
+            if (!this.fullDays.has(date)) {
+                this.fullDays.add(date);
+                console.warn(`⚠️ ${file} is full (${this.maxFileSize} bytes); dropping the rest of the day's image reports`);
+            }
+            return null;
+        }
+
+        fs.appendFileSync(file, line);
+        return record;
+    }
+
+    getReportFile(date) {
+        return path.join(this.dataDir, `${date}.jsonl`);
+    }
+
+    getSummaryFile(date) {
+        return path.join(this.dataDir, `${date}.summary.json`);
+    }
+
+    /**
+     * Read a day's reports, skipping lines that cannot be parsed
+     */
+    readReports(date) {
+        const file = this.getReportFile(date);
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .reduce((reports, line) => {
+                try {
+                    reports.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`⚠️ Skipping unreadable image report: ${line.slice(0, 80)}`);
+                }
+                return reports;
+            }, []);
+    }
+
+    /**
+     * Count a day's fallbacks per image (and how far down the chain they went)
+     * and its slow downloads per URL, worst first
+     */
+    summarize(date = ImageReportCollector.today()) {
+        const reports = this.readReports(date);
+        const fallbacks = {};
+        const slowImages = {};
+
+        reports.forEach(report => (report.events || []).forEach(event => {
+            if (event.kind === 'fallback') {
+                const key = event.category && event.imageName
+                    ? `${event.category}/${event.imageName}`
+                    : event.failedSrc || 'unknown';
+                const image = fallbacks[key] || (fallbacks[key] = { image: key, count: 0, levels: {}, failedSrcs: [] });
+                image.count++;
+                image.levels[event.type] = (image.levels[event.type] || 0) + 1;
+                if (event.failedSrc && !image.failedSrcs.includes(event.failedSrc)) {
+                    image.failedSrcs.push(event.failedSrc);
+                }
+            } else if (event.kind === 'slow-image') {
+                const image = slowImages[event.src] || (slowImages[event.src] = { src: event.src, count: 0, durations: [] });
+                image.count++;
+                image.durations.push(event.duration);
+            }
+        }));
+
+        return {
+            date,
+            reports: reports.length,
+            fallbacks: Object.values(fallbacks).sort((a, b) => b.count - a.count || a.image.localeCompare(b.image)),
+            slowImages: Object.values(slowImages)
+                .map(({ src, count, durations }) => ({
+                    src,
+                    count,
+                    medianMs: ImageReportCollector.median(durations),
+                    maxMs: Math.max(...durations)
+                }))
+                .sort((a, b) => b.count - a.count || b.maxMs - a.maxMs)
+        };
+    }
+
+    /**
+     * Write a day's summary next to its reports and return it
+     */
+    writeSummary(date = ImageReportCollector.today()) {
+        const summary = this.summarize(date);
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+        fs.writeFileSync(this.getSummaryFile(date), JSON.stringify(summary, null, 2) + '\n');
+        return summary;
+    }
+
+    /**
+     * Human-readable summary for the console
+     */
+    formatSummary(summary) {
+        const lines = [`📊 Image report for ${summary.date}: ${summary.reports} report(s)`];
+
+        if (summary.fallbacks.length === 0 && summary.slowImages.length === 0) {
+            lines.push('✅ No image fallbacks or slow images reported');
+            return lines.join('\n');
+        }
+
+        if (summary.fallbacks.length > 0) {
+            lines.push('', `🔄 Fallbacks (${summary.fallbacks.length} image(s))`);
+            summary.fallbacks.forEach(image => {
+                const levels = Object.entries(image.levels).map(([type, count]) => `${type} ${count}`).join(', ');
+                const failed = image.levels.hide ? ' ❌ gave up' : '';
+                lines.push(`  ${image.image}: ${image.count} (${levels})${failed}`);
+                image.failedSrcs.forEach(src => lines.push(`    - failed: ${src}`));
+            });
+        }
+
+        if (summary.slowImages.length > 0) {
+            lines.push('', `🐢 Slow images (${summary.slowImages.length})`);
+            summary.slowImages.forEach(image => {
+                lines.push(`  ${image.src}: ${image.count} time(s), median ${image.medianMs}ms, max ${image.maxMs}ms`);
+            });
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Keep only the fields the summary uses, dropping anything malformed
+     */
+    static normalizeEvent(event) {
+        if (!event || typeof event !== 'object') {
+            return null;
+        }
+
+        const at = ImageReportCollector.clip(event.at);
+        if (event.kind === 'fallback' && ImageFallbacks.STEP_TYPES.includes(event.type)) {
+            return {
+                kind: 'fallback',
+                category: ImageReportCollector.clip(event.category),
+                imageName: ImageReportCollector.clip(event.imageName),
+                level: Number.isInteger(event.level) ? event.level : null,
+                type: event.type,
+                failedSrc: ImageReportCollector.clip(event.failedSrc),
+                src: ImageReportCollector.clip(event.src),
+                at
+            };
+        }
+        if (event.kind === 'slow-image' && typeof event.src === 'string' && Number.isFinite(event.duration)) {
+            return {
+                kind: 'slow-image',
+                src: ImageReportCollector.clip(event.src),
+                duration: Math.round(event.duration),
+                size: Number.isFinite(event.size) ? event.size : null,
+                at
+            };
+        }
+        return null;
+    }
+
+    static clip(value, max = 300) {
+        return typeof value === 'string' && value ? value.slice(0, max) : null;
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+    }
+
+    static today(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static isDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+}
+
+// Run the collector if called directly; --summary [date] prints and saves a day's summary instead
+if (require.main === module) {
+    const collector = new ImageReportCollector();
+    const summaryIndex = process.argv.indexOf('--summary');
+
+    if (summaryIndex !== -1) {
+        const date = process.argv[summaryIndex + 1] || ImageReportCollector.today();
+        if (!ImageReportCollector.isDate(date)) {
+            console.error(`❌ Invalid date "${date}". Use a date like 2024-03-15`);
+            process.exitCode = 1;
+        } else {
+            console.log(collector.formatSummary(collector.writeSummary(date)));
+            console.log(`\n💾 Saved ${collector.getSummaryFile(date)}`);
+        }
+    } else {
+        collector.start().catch(console.error);
+    }
+}
+
+module.exports = ImageReportCollector;
@@ -0,0 +1,162 @@
+/**
+ * Lead Administration for the Radius Works Lead Intake Server
+ * Password check, filtering, status updates and CSV export for the office dashboard
+ */
+
+const crypto = require('crypto');
+const QuoteQuestions = require('../js/quote-questions');
+
+class LeadAdmin {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.username = options.username || process.env.LEAD_ADMIN_USER || 'office';
+        this.password = options.password !== undefined ? options.password : (process.env.LEAD_ADMIN_PASSWORD || null);
+        this.maxNoteLength = options.maxNoteLength || 1000;
+    }
+
+    /**
+     * The dashboard stays switched off until a password is configured
+     */
+    isEnabled() {
+        return Boolean(this.password);
+    }
+
+    /**
+     * Check HTTP Basic credentials in constant time
+     */
+    authorize(header) {
+        if (!this.isEnabled() || !header || !header.startsWith('Basic ')) {
+            return false;
+        }
+
+        const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) {
+            return false;
+        }
+
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        const userMatches = crypto.timingSafeEqual(digest(decoded.slice(0, separator)), digest(this.username));
+        const passwordMatches = crypto.timingSafeEqual(digest(decoded.slice(separator + 1)), digest(this.password));
+        return userMatches && passwordMatches;
+    }
+
+    /**
+     * Where a lead is, for the area filter: a municipality, "out-of-area" or "unknown"
+     */
+    getAreas(lead) {
+        const serviceArea = lead.serviceArea || {};
+        if (serviceArea.status === 'in-area') {
+            return serviceArea.areas;
+        }
+        return [serviceArea.status || 'unknown'];
+    }
+
+    /**
+     * List leads newest first, optionally filtered by service, area and status
+     */
+    list(filters = {}) {
+        // The file is in arrival order, so reversing first keeps same-millisecond leads newest first
+        return this.store.getAll()
+            .reverse()
+            .map(lead => this.present(lead))
+            .filter(lead => !filters.service || lead.service === filters.service)
+            .filter(lead => !filters.status || lead.status === filters.status)
+            .filter(lead => !filters.area || this.getAreas(lead).includes(filters.area))
+            .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+    }
+
+    /**
+     * Add the fields the dashboard needs to a stored lead
+     */
+    present(lead) {
+        return {
+            ...lead,
+            status: lead.status || 'new',
+            notes: lead.notes || [],
+            detailsSummary: QuoteQuestions.describe(lead.service, lead.details)
+        };
+    }
+
+    /**
+     * Change a lead's status and/or add a note, returning field errors if the update is invalid
+     */
+    updateStatus(id, changes = {}) {
+        const errors = {};
+        const status = typeof changes.status === 'string' ? changes.status : undefined;
+        const note = typeof changes.note === 'string' ? changes.note.trim() : '';
+
+        if (status !== undefined && !LeadAdmin.STATUSES.includes(status)) {
+            errors.status = `Status must be one of: ${LeadAdmin.STATUSES.join(', ')}`;
+        }
+        if (note.length > this.maxNoteLength) {
+            errors.note = `Please keep notes under ${this.maxNoteLength} characters`;
+        }
+        if (status === undefined && !note) {
+            errors.status = 'Choose a status or add a note';
+        }
+        if (Object.keys(errors).length > 0) {
+            return { errors };
+        }
+
+        const existing = this.store.findById(id);
+        if (!existing) {
+            return { notFound: true };
+        }
+
+        const now = new Date().toISOString();
+        const update = {};
+        if (status !== undefined && status !== (existing.status || 'new')) {
+            update.status = status;
+            update.statusUpdatedAt = now;
+        }
+        if (note || update.status) {
+            update.notes = (existing.notes || []).concat({ at: now, status: status || existing.status || 'new', text: note });
+        }
+
+        return { lead: this.present(this.store.update(id, update)) };
+    }
+
+    /**
+     * Export leads as CSV for the field-service software
+     */
+    toCsv(leads) {
+        const columns = [
+            ['Reference', lead => lead.id],
+            ['Received', lead => lead.receivedAt],
+            ['Status', lead => lead.status],
+            ['Name', lead => lead.name],
+            ['Email', lead => lead.email],
+            ['Phone', lead => lead.phone],
+            ['Service', lead => lead.service],
+            ['ZIP', lead => lead.zip],
+            ['Area', lead => this.getAreas(lead).join('; ')],
+            ['Details', lead => lead.detailsSummary.map(item => `${item.question} ${item.answer}`).join('; ')],
+            ['Message', lead => lead.message],
+            ['Photos', lead => (lead.photos || []).length],
+            ['Notes', lead => lead.notes.filter(note => note.text).map(note => `[${note.at.slice(0, 10)}] ${note.text}`).join('; ')]
+        ];
+
+        const rows = [columns.map(([header]) => header)]
+            .concat(leads.map(lead => columns.map(([, value]) => value(lead))));
+
+        return rows.map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell, defusing values a spreadsheet would run as a formula
+     */
+    escapeCsv(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+
+        // Phone numbers like +14148009188 are safe; anything else starting with a formula character is not
+        if (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-]\d+$/.test(text))) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+}
+
+LeadAdmin.STATUSES = ['new', 'contacted', 'scheduled', 'closed'];
+
+module.exports = LeadAdmin;
@@ -0,0 +1,91 @@
+/**
+ * Lead Notifications for the Radius Works Lead Intake Server
+ * Emails the office about each new lead and sends the customer a confirmation, retrying failed sends
+ */
+
+const MailTemplates = require('./mail-templates');
+const { createTransport } = require('./mail-transports');
+
+class LeadNotifier {
+    constructor(options = {}) {
+        this.transport = options.transport || createTransport(options);
+        this.from = options.from || process.env.MAIL_FROM || 'Radius Works <no-reply@radiusworks.net>';
+        this.officeAddress = options.officeAddress || process.env.LEAD_NOTIFY_TO || 'radius@engineer.com';
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 2000;
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000; // 5 minutes
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms).unref()));
+        this.pending = new Set();
+    }
+
+    /**
+     * Build the office alert and customer confirmation for a saved lead
+     */
+    buildMessages(lead) {
+        return [
+            {
+                kind: 'office',
+                from: this.from,
+                to: this.officeAddress,
+                replyTo: `${lead.name} <${lead.email}>`,
+                ...MailTemplates.officeNotification(lead)
+            },
+            {
+                kind: 'customer',
+                from: this.from,
+                to: lead.email,
+                replyTo: this.officeAddress,
+                ...MailTemplates.customerConfirmation(lead)
+            }
+        ];
+    }
+
+    /**
+     * Send both emails for a lead; resolves once every send has succeeded or given up
+     */
+    notifyNewLead(lead) {
+        const work = Promise.resolve()
+            .then(() => Promise.all(this.buildMessages(lead).map(message => this.deliver(message, lead.id))));
+        this.pending.add(work);
+        work.catch(() => {}).then(() => this.pending.delete(work));
+        return work;
+    }
+
+    /**
+     * Send one message, backing off exponentially between failed attempts
+     */
+    async deliver(message, leadId) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                const info = await this.transport.send(message);
+                console.log(`📧 ${message.kind} email for ${leadId} sent via ${this.transport.name}`);
+                return { sent: true, kind: message.kind, attempts: attempt, info };
+            } catch (error) {
+                const retry = attempt < this.maxAttempts && !error.permanent;
+                console.warn(`⚠️ ${message.kind} email for ${leadId} failed (attempt ${attempt}): ${error.message}`);
+                if (!retry) {
+                    console.error(`❌ Gave up on ${message.kind} email for ${leadId}`);
+                    return { sent: false, kind: message.kind, attempts: attempt, error: error.message };
+                }
+                await this.sleep(this.getDelay(attempt));
+            }
+        }
+    }
+
+    /**
+     * Delay before the next attempt: doubling each time, with jitter, up to maxDelayMs
+     */
+    getDelay(attempt) {
+        const delay = Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Wait for in-flight notifications, e.g. before shutting down
+     */
+    idle() {
+        return Promise.allSettled([...this.pending]);
+    }
+}
+
+module.exports = LeadNotifier;
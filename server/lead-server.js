@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * Lead Intake Server for Radius Works Website
+ * Receives "Request a Quote" submissions from the contact form
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const LeadStore = require('./lead-store');
+const FormTokenSigner = require('./form-token');
+const RateLimiter = require('./rate-limiter');
+const SpamFilter = require('./spam-filter');
+const PhotoStorage = require('./photo-storage');
+const LeadAdmin = require('./lead-admin');
+const LeadNotifier = require('./lead-notifier');
+const LeadValidation = require('../js/lead-validation');
+const { ServiceArea } = require('../js/service-area');
+const { readJsonBody, setCorsHeaders, sendJson, sendError, getClientIp, authorizeAdmin } = require('./http-utils');
+
+class LeadServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : (process.env.LEAD_SERVER_PORT || 3001);
+        this.allowedOrigin = options.allowedOrigin || process.env.LEAD_SERVER_ORIGIN || '*';
+        this.store = options.store || new LeadStore({ filePath: options.dataFile });
+        this.rejectedStore = options.rejectedStore || new LeadStore({
+            filePath: options.rejectedFile || path.join('data', 'rejected-leads.jsonl')
+        });
+        this.tokenSigner = options.tokenSigner || new FormTokenSigner({
+            secretFile: path.join(path.dirname(this.store.filePath), 'form-token.secret'),
+            ...options.formToken
+        });
+        // X-Forwarded-For is whatever the client sends unless our own proxy sets it
+        this.trustProxy = options.trustProxy !== undefined ? options.trustProxy : process.env.LEAD_SERVER_TRUST_PROXY === 'true';
+        this.rateLimiter = options.rateLimiter || new RateLimiter(options.rateLimit);
+        this.spamFilter = options.spamFilter || new SpamFilter(options.spam);
+        this.photoStorage = options.photoStorage || new PhotoStorage({ uploadDir: options.uploadDir });
+        // Room for the most photos the storage accepts, base64-encoded, plus 1MB for the rest of the lead
+        this.maxBodySize = options.maxBodySize || this.photoStorage.getMaxEncodedSize() + 1024 * 1024;
+        this.triageStore = options.triageStore || new LeadStore({
+            filePath: options.triageFile || path.join('data', 'triage-events.jsonl')
+        });
+        this.admin = options.admin || new LeadAdmin({ store: this.store, ...options.adminAuth });
+        this.notifier = options.notifier || new LeadNotifier(options.notifications);
+        this.server = null;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Start listening for requests
+     */
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('❌ Unhandled lead server error:', error);
+                sendError(res, 500, 'SERVER_ERROR', 'Something went wrong. Please call us instead.');
+            });
+        });
+
+        this.pruneTimer = setInterval(() => this.rateLimiter.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+
+        return new Promise(resolve => {
+            this.server.listen(this.port, () => {
+                const { port } = this.server.address();
+                console.log(`📬 Lead intake server listening on http://localhost:${port}`);
+                if (this.admin.isEnabled()) {
+                    console.log(`🔐 Lead dashboard at http://localhost:${port}/admin`);
+                }
+                resolve(this.server);
+            });
+        });
+    }
+
+    /**
+     * Stop the server
+     */
+    stop() {
+        clearInterval(this.pruneTimer);
+
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Route an incoming request
+     */
+    async handleRequest(req, res) {
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+        // The dashboard is same-origin only, so it never gets the public CORS headers
+        if (pathname === '/admin' || pathname.startsWith('/admin/') || pathname.startsWith('/api/admin/')) {
+            await this.handleAdminRequest(req, res, pathname, searchParams);
+            return;
+        }
+
+        setCorsHeaders(res, this.allowedOrigin);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (pathname === '/api/health' && req.method === 'GET') {
+            sendJson(res, 200, { success: true, status: 'ok' });
+            return;
+        }
+
+        if (pathname === '/api/form-token' && req.method === 'GET') {
+            sendJson(res, 200, {
+                success: true,
+                token: this.tokenSigner.issue(),
+                minSubmitMs: this.tokenSigner.minSubmitMs
+            });
+            return;
+        }
+
+        if (pathname === '/api/leads') {
+            if (req.method !== 'POST') {
+                sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST to submit a quote request');
+                return;
+            }
+            await this.handleLeadSubmission(req, res);
+            return;
+        }
+
+        if (pathname === '/api/triage') {
+            if (req.method !== 'POST') {
+                sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST to log a triage event');
+                return;
+            }
+            await this.handleTriageEvent(req, res);
+            return;
+        }
+
+        sendError(res, 404, 'NOT_FOUND', 'Not found');
+    }
+
+    /**
+     * Serve the office dashboard and its API behind HTTP Basic auth
+     */
+    async handleAdminRequest(req, res, pathname, searchParams) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Frame-Options', 'DENY');
+
+        if (!authorizeAdmin(this.admin, req, res)) {
+            return;
+        }
+
+        const assets = {
+            '/admin': ['index.html', 'text/html; charset=utf-8'],
+            '/admin/': ['index.html', 'text/html; charset=utf-8'],
+            '/admin/admin.js': ['admin.js', 'text/javascript; charset=utf-8'],
+            '/admin/admin.css': ['admin.css', 'text/css; charset=utf-8']
+        };
+        if (assets[pathname] && req.method === 'GET') {
+            const [file, contentType] = assets[pathname];
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(fs.readFileSync(path.join(__dirname, 'admin', file)));
+            return;
+        }
+
+        const filters = {
+            service: searchParams.get('service') || '',
+            area: searchParams.get('area') || '',
+            status: searchParams.get('status') || ''
+        };
+
+        if (pathname === '/api/admin/leads' && req.method === 'GET') {
+            sendJson(res, 200, {
+                success: true,
+                statuses: LeadAdmin.STATUSES,
+                areas: ServiceArea.data.areas.map(area => area.name),
+                leads: this.admin.list(filters)
+            });
+            return;
+        }
+
+        if (pathname === '/api/admin/leads.csv' && req.method === 'GET') {
+            const date = new Date().toISOString().slice(0, 10);
+            res.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="radius-works-leads-${date}.csv"`
+            });
+            res.end(this.admin.toCsv(this.admin.list(filters)));
+            return;
+        }
+
+        const leadMatch = pathname.match(/^\/api\/admin\/leads\/([A-Za-z0-9-]+)$/);
+        if (leadMatch && req.method === 'PATCH') {
+            // Requiring JSON keeps plain cross-site form posts out
+            if (!String(req.headers['content-type'] || '').startsWith('application/json')) {
+                sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE', 'Send updates as JSON');
+                return;
+            }
+
+            let payload;
+            try {
+                payload = await readJsonBody(req, 16 * 1024);
+            } catch (error) {
+                const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+                sendError(res, status, error.code || 'INVALID_JSON', error.message);
+                return;
+            }
+
+            const result = this.admin.updateStatus(leadMatch[1], payload);
+            if (result.errors) {
+                sendError(res, 422, 'VALIDATION_FAILED', 'Please check the update', result.errors);
+            } else if (result.notFound) {
+                sendError(res, 404, 'NOT_FOUND', 'Lead not found');
+            } else {
+                console.log(`📝 Lead ${result.lead.id} marked ${result.lead.status}`);
+                sendJson(res, 200, { success: true, lead: result.lead });
+            }
+            return;
+        }
+
+        sendError(res, 404, 'NOT_FOUND', 'Not found');
+    }
+
+    /**
+     * Log which route the emergency triage flow sent a visitor down
+     */
+    async handleTriageEvent(req, res) {
+        let payload;
+        try {
+            payload = await readJsonBody(req, 2 * 1024);
+        } catch (error) {
+            const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+            sendError(res, status, error.code || 'INVALID_JSON', error.message);
+            return;
+        }
+
+        const paths = ['call', 'quote', 'dismissed'];
+        const priorities = ['urgent', 'standard'];
+        if (!paths.includes(payload.path) || !priorities.includes(payload.priority)) {
+            sendError(res, 422, 'VALIDATION_FAILED', 'Unknown triage path or priority');
+            return;
+        }
+
+        const answers = {};
+        ['flooding', 'gasSmell', 'noWater'].forEach(key => {
+            if (typeof (payload.answers || {})[key] === 'boolean') {
+                answers[key] = payload.answers[key];
+            }
+        });
+
+        const record = this.triageStore.save({ path: payload.path, priority: payload.priority, answers }, {
+            ip: getClientIp(req, this.trustProxy),
+            userAgent: req.headers['user-agent']
+        });
+
+        console.log(`🚨 Triage: ${record.path} (${record.priority})`);
+        sendJson(res, 201, { success: true });
+    }
+
+    /**
+     * Validate and persist a quote request
+     */
+    async handleLeadSubmission(req, res) {
+        let payload;
+        try {
+            payload = await readJsonBody(req, this.maxBodySize);
+        } catch (error) {
+            const status = error.code === 'PAYLOAD_TOO_LARGE' ? 413 : 400;
+            sendError(res, status, error.code || 'INVALID_JSON', error.message);
+            return;
+        }
+
+        const context = {
+            ip: getClientIp(req, this.trustProxy),
+            userAgent: req.headers['user-agent']
+        };
+
+        const rate = this.rateLimiter.hit(context.ip);
+        if (!rate.allowed) {
+            // Only the first blocked request of a burst is logged, so a flood cannot fill the disk
+            if (!rate.repeated) {
+                this.logRejection(LeadValidation.normalizeLead(payload), ['rate-limited'], context);
+            }
+            res.setHeader('Retry-After', String(rate.retryAfter));
+            sendError(res, 429, 'RATE_LIMITED', 'Too many requests. Please wait a few minutes or call (414) 800-9188.');
+            return;
+        }
+
+        const { valid, errors, lead } = LeadValidation.validateLead(payload);
+        const photos = this.photoStorage.validate(payload.photos);
+        if (!photos.valid) {
+            errors.photos = photos.error;
+        }
+        if (!valid || !photos.valid) {
+            sendError(res, 422, 'VALIDATION_FAILED', 'Please correct the highlighted fields', errors);
+            return;
+        }
+
+        // Out-of-area requests are still accepted, but tagged so staff can follow up accordingly
+        lead.serviceArea = ServiceArea.tag(lead.zip);
+
+        const reasons = this.getRejectionReasons(payload, lead);
+        if (reasons.length > 0) {
+            this.logRejection(lead, reasons, context);
+            if (reasons.length === 1 && reasons[0] === 'submitted-too-fast') {
+                sendError(res, 400, 'TOO_FAST', 'Please take a moment to review your request, then send it again.');
+            } else if (reasons.length === 1 && FormTokenSigner.STALE_REASONS.includes(reasons[0])) {
+                // A genuine but stale token (expired, or signed before a secret change): the offline queue retries with a new one
+                sendError(res, 400, 'INVALID_TOKEN', 'Your form has expired. Please reload the page and send it again.');
+            } else {
+                sendError(res, 400, 'REJECTED', 'We could not accept this request. Please call (414) 800-9188.');
+            }
+            return;
+        }
+
+        // A retried submission (e.g. from the offline queue) gets the original reference back
+        const existing = this.store.findBySubmissionId(lead.submissionId);
+        if (existing) {
+            console.log(`↩️ Duplicate submission ignored: ${existing.id}`);
+            sendJson(res, 200, {
+                success: true,
+                duplicate: true,
+                lead: { id: existing.id, receivedAt: existing.receivedAt }
+            });
+            return;
+        }
+
+        // Photos are only written once the lead is accepted, so they can live under its reference number
+        const id = this.store.generateId();
+        const savedPhotos = this.photoStorage.save(id, photos.photos);
+        const record = this.store.save({ id, ...lead, photos: savedPhotos }, context);
+
+        console.log(`✅ Lead received: ${record.id} (${record.service}, ${savedPhotos.length} photos)`);
+
+        // Emails are sent in the background with retries, so a slow mail server never delays the customer
+        this.notifier.notifyNewLead(record).catch(error => {
+            console.error(`❌ Could not send notifications for ${record.id}:`, error);
+        });
+
+        sendJson(res, 201, {
+            success: true,
+            lead: { id: record.id, receivedAt: record.receivedAt }
+        });
+    }
+
+    /**
+     * Run the form token and content checks, returning every reason to reject
+     */
+    getRejectionReasons(payload, lead) {
+        const reasons = [];
+
+        const token = this.tokenSigner.verify(payload.formToken);
+        if (!token.valid) {
+            reasons.push(token.reason);
+        }
+
+        return reasons.concat(this.spamFilter.check(payload, lead).reasons);
+    }
+
+    /**
+     * Keep rejected submissions in a separate log for manual review
+     */
+    logRejection(lead, reasons, context) {
+        const record = this.rejectedStore.save({ ...lead, rejection: { reasons } }, context);
+        console.warn(`🚫 Lead rejected: ${record.id} (${reasons.join(', ')})`);
+        return record;
+    }
+}
+
+// Run the server if called directly
+if (require.main === module) {
+    const server = new LeadServer();
+    server.start().catch(console.error);
+}
+
+module.exports = LeadServer;
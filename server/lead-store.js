@@ -0,0 +1,133 @@
+/**
+ * Lead Storage for the Radius Works Lead Intake Server
+ * Persists quote requests as JSON lines on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class LeadStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join('data', 'leads.jsonl');
+    }
+
+    /**
+     * Make sure the directory holding the lead file exists
+     */
+    ensureDirectory() {
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Generate a human-friendly reference number, e.g. RW-20240315-4F2A9C
+     */
+    generateId(date = new Date()) {
+        const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+        const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+        return `RW-${day}-${suffix}`;
+    }
+
+    /**
+     * Append a validated lead to the store and return the stored record.
+     * A lead that already carries an id (e.g. one its photos were filed under) keeps it.
+     */
+    save(lead, context = {}) {
+        this.ensureDirectory();
+
+        const receivedAt = new Date();
+        const record = {
+            id: this.generateId(receivedAt),
+            receivedAt: receivedAt.toISOString(),
+            ...lead,
+            source: {
+                ip: context.ip || null,
+                userAgent: context.userAgent || null
+            }
+        };
+
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        return record;
+    }
+
+    /**
+     * Read every stored lead, skipping lines that cannot be parsed
+     */
+    getAll() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .reduce((leads, line) => {
+                try {
+                    leads.push(JSON.parse(line));
+                } catch (error) {
+                    console.warn(`⚠️ Skipping unreadable lead record: ${line.slice(0, 80)}`);
+                }
+                return leads;
+            }, []);
+    }
+
+    /**
+     * Apply changes to a stored lead, rewriting the file, and return the updated record
+     */
+    update(id, changes) {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        let updated = null;
+        const lines = fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                // Unreadable lines are kept as they are rather than lost on rewrite
+                let lead;
+                try {
+                    lead = JSON.parse(line);
+                } catch (error) {
+                    return line;
+                }
+                if (lead.id !== id) {
+                    return line;
+                }
+                updated = { ...lead, ...changes };
+                return JSON.stringify(updated);
+            });
+
+        if (!updated) {
+            return null;
+        }
+
+        // Write to a temporary file first so a crash cannot leave a half-written store
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, lines.join('\n') + '\n');
+        fs.renameSync(tempPath, this.filePath);
+        return updated;
+    }
+
+    /**
+     * Find a single lead by its reference number
+     */
+    findById(id) {
+        return this.getAll().find(lead => lead.id === id) || null;
+    }
+
+    /**
+     * Find a lead by the client-generated submission id
+     */
+    findBySubmissionId(submissionId) {
+        if (!submissionId) {
+            return null;
+        }
+        return this.getAll().find(lead => lead.submissionId === submissionId) || null;
+    }
+}
+
+module.exports = LeadStore;
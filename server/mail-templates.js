@@ -0,0 +1,216 @@
+/**
+ * Email Templates for Radius Works Lead Notifications
+ * Plain-text and HTML versions of the office alert and customer confirmation, per service type
+ */
+
+const QuoteQuestions = require('../js/quote-questions');
+
+const BUSINESS = {
+    name: 'Radius Works',
+    phone: '(414) 800-9188',
+    phoneHref: 'tel:+14148009188',
+    website: 'https://www.radiusworks.net'
+};
+
+// Service-specific wording; anything missing falls back to residential
+const SERVICE_COPY = {
+    'residential': {
+        label: 'Residential Plumbing',
+        confirmation: 'We will call you within one business day to talk through the job and find a time that works.',
+        tips: [
+            'If something is leaking, the shut-off valve under the fixture stops the water to just that fixture.',
+            'Photos of the problem area help us bring the right parts the first time.'
+        ]
+    },
+    'commercial': {
+        label: 'Commercial Plumbing',
+        confirmation: 'Our commercial team will contact you within one business day to plan the work around your hours.',
+        tips: [
+            'Let us know about access rules, loading docks or after-hours contacts when we call.',
+            'If you have recent inspection or grease trap service records, please have them handy.'
+        ]
+    },
+    'emergency': {
+        label: 'Emergency Service',
+        confirmation: 'Emergency requests go straight to our on-call plumber. If water is still flowing, please call us now at (414) 800-9188 rather than waiting for a reply.',
+        tips: [
+            'Shut off the main water valve if water is spraying or flooding. It is usually where the water line enters the basement.',
+            'Keep people and pets away from standing water near outlets or appliances.'
+        ]
+    },
+    'water-heater': {
+        label: 'Water Heater',
+        confirmation: 'We will call you within one business day to go over repair or replacement options.',
+        tips: [
+            'If the tank is leaking, turn off the cold-water supply valve on top of the heater.',
+            'The brand, model and age on the heater label help us quote accurately.'
+        ]
+    },
+    'drain-cleaning': {
+        label: 'Drain Cleaning',
+        confirmation: 'We will call you within one business day to schedule your drain cleaning.',
+        tips: [
+            'Avoid chemical drain openers before we arrive; they can damage pipes and make the job unsafe.',
+            'If several drains are slow at once, try not to run the washer or dishwasher.'
+        ]
+    },
+    'water-filtration': {
+        label: 'Water Filtration',
+        confirmation: 'We will call you within one business day to talk about your water and the right filtration options.',
+        tips: [
+            'A recent water quality report or test result helps us recommend the right system.',
+            'Note where you would like filtered water: one tap, the kitchen, or the whole house.'
+        ]
+    }
+};
+
+const MailTemplates = {
+    BUSINESS,
+    SERVICE_COPY,
+
+    /**
+     * Wording for a service type
+     */
+    getCopy(service) {
+        return SERVICE_COPY[service] || SERVICE_COPY.residential;
+    },
+
+    /**
+     * Escape text for HTML email bodies
+     */
+    escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Wrap HTML content in the shared email layout
+     */
+    layout(title, content) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${this.escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f8fafc;font-family:Arial,Helvetica,sans-serif;color:#1e293b;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f8fafc;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;">
+<tr><td style="background:#29354e;color:#ffffff;padding:20px 24px;font-size:20px;font-weight:bold;border-radius:8px 8px 0 0;">${BUSINESS.name}</td></tr>
+<tr><td style="padding:24px;font-size:15px;line-height:1.6;">
+${content}
+</td></tr>
+<tr><td style="padding:16px 24px;font-size:13px;color:#64748b;border-top:1px solid #e2e8f0;">${BUSINESS.name} &middot; <a href="${BUSINESS.phoneHref}" style="color:#29354e;">${BUSINESS.phone}</a> &middot; <a href="${BUSINESS.website}" style="color:#29354e;">radiusworks.net</a></td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+    },
+
+    /**
+     * Label/value rows describing a lead, shared by both templates
+     */
+    describeLead(lead) {
+        const rows = [
+            ['Reference', lead.id],
+            ['Service', this.getCopy(lead.service).label],
+            ['Name', lead.name],
+            ['Phone', lead.phone],
+            ['Email', lead.email]
+        ];
+
+        if (lead.zip) {
+            const serviceArea = lead.serviceArea || {};
+            const area = serviceArea.status === 'in-area'
+                ? serviceArea.areas.join(', ')
+                : serviceArea.status === 'out-of-area' ? 'OUTSIDE SERVICE AREA' : 'Unknown';
+            rows.push(['ZIP', `${lead.zip} (${area})`]);
+        }
+
+        QuoteQuestions.describe(lead.service, lead.details).forEach(item => rows.push([item.question, item.answer]));
+
+        if (lead.photos && lead.photos.length > 0) {
+            rows.push(['Photos', `${lead.photos.length} attached (see data/uploads/${lead.id}/)`]);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Alert for the office about a new quote request
+     */
+    officeNotification(lead) {
+        const copy = this.getCopy(lead.service);
+        const urgent = lead.service === 'emergency';
+        const subject = `${urgent ? '🚨 EMERGENCY: ' : ''}New ${copy.label} request from ${lead.name} (${lead.id})`;
+        const rows = this.describeLead(lead);
+
+        const text = [
+            urgent ? 'EMERGENCY REQUEST - call the customer right away.\n' : 'A new quote request came in from the website.\n',
+            ...rows.map(([label, value]) => `${label}: ${value}`),
+            '',
+            'Message:',
+            lead.message,
+            '',
+            `Received ${lead.receivedAt}`
+        ].join('\n');
+
+        const html = this.layout(subject, `
+<p style="margin:0 0 16px;">${urgent
+        ? '<strong style="color:#b91c1c;">EMERGENCY REQUEST &ndash; call the customer right away.</strong>'
+        : 'A new quote request came in from the website.'}</p>
+<table role="presentation" cellpadding="6" cellspacing="0" style="border-collapse:collapse;width:100%;">
+${rows.map(([label, value]) => `<tr><td style="color:#64748b;white-space:nowrap;vertical-align:top;">${this.escapeHtml(label)}</td><td><strong>${this.escapeHtml(value)}</strong></td></tr>`).join('\n')}
+</table>
+<p style="margin:16px 0 4px;color:#64748b;">Message</p>
+<p style="margin:0;white-space:pre-wrap;">${this.escapeHtml(lead.message)}</p>
+<p style="margin:16px 0 0;"><a href="tel:${this.escapeHtml(lead.phone)}" style="color:#29354e;font-weight:bold;">Call ${this.escapeHtml(lead.name)}</a></p>`);
+
+        return { subject, text, html };
+    },
+
+    /**
+     * Confirmation for the customer with their reference number
+     */
+    customerConfirmation(lead) {
+        const copy = this.getCopy(lead.service);
+        const firstName = String(lead.name).split(/\s+/)[0];
+        const subject = `We received your ${copy.label.toLowerCase()} request (${lead.id})`;
+
+        const text = [
+            `Hi ${firstName},`,
+            '',
+            `Thanks for contacting ${BUSINESS.name}. Your reference number is ${lead.id}.`,
+            '',
+            copy.confirmation,
+            '',
+            'While you wait:',
+            ...copy.tips.map(tip => `- ${tip}`),
+            '',
+            `Questions? Call us at ${BUSINESS.phone} and mention ${lead.id}.`,
+            '',
+            `- The ${BUSINESS.name} team`
+        ].join('\n');
+
+        const html = this.layout(subject, `
+<p style="margin:0 0 16px;">Hi ${this.escapeHtml(firstName)},</p>
+<p style="margin:0 0 16px;">Thanks for contacting ${BUSINESS.name}. Your reference number is</p>
+<p style="margin:0 0 16px;font-size:22px;font-weight:bold;letter-spacing:1px;color:#29354e;">${this.escapeHtml(lead.id)}</p>
+<p style="margin:0 0 16px;">${this.escapeHtml(copy.confirmation)}</p>
+<p style="margin:0 0 4px;font-weight:bold;">While you wait</p>
+<ul style="margin:0 0 16px;padding-left:20px;">
+${copy.tips.map(tip => `<li>${this.escapeHtml(tip)}</li>`).join('\n')}
+</ul>
+<p style="margin:0;">Questions? Call us at <a href="${BUSINESS.phoneHref}" style="color:#29354e;font-weight:bold;">${BUSINESS.phone}</a> and mention ${this.escapeHtml(lead.id)}.</p>`);
+
+        return { subject, text, html };
+    }
+};
+
+module.exports = MailTemplates;
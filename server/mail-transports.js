@@ -0,0 +1,356 @@
+/**
+ * Mail Transports for the Radius Works Lead Intake Server
+ * Delivers notification emails over SMTP, or drops them in an outbox folder for local testing
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+
+/**
+ * Pull the bare address out of "Name <address>"
+ */
+function getAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+}
+
+/**
+ * Header values never carry line breaks, so customer input cannot add headers
+ */
+function cleanHeader(value) {
+    return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+/**
+ * RFC 2047 encode a header value if it is not plain ASCII
+ */
+function encodeHeader(value) {
+    const text = cleanHeader(value);
+    if (/^[\x20-\x7e]*$/.test(text)) {
+        return text;
+    }
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Address header value with only the display name encoded: mail software reads the address
+ * itself, so it cannot be inside an encoded-word. Names with commas or other specials are quoted.
+ */
+function encodeAddress(value) {
+    const text = cleanHeader(value);
+    const match = text.match(/^(.*?)\s*<([^<>]+)>$/);
+    if (!match) {
+        return text;
+    }
+
+    const name = match[1].replace(/^"(.*)"$/, '$1').trim();
+    const address = match[2].trim();
+    if (!name) {
+        return `<${address}>`;
+    }
+    if (!/^[\x20-\x7e]*$/.test(name)) {
+        return `${encodeHeader(name)} <${address}>`;
+    }
+    const phrase = /^[\w !#$%&'*+\-/=?^`{|}~]*$/.test(name) ? name : `"${name.replace(/["\\]/g, '\\$&')}"`;
+    return `${phrase} <${address}>`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ */
+function encodeBody(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative message with plain-text and HTML parts
+ */
+function buildMimeMessage(message, { now = new Date(), hostname = os.hostname() } = {}) {
+    const boundary = `rw-${crypto.randomBytes(12).toString('hex')}`;
+    const domain = getAddress(message.from).split('@')[1] || hostname;
+    const messageId = message.messageId || `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+
+    const headers = [
+        `From: ${encodeAddress(message.from)}`,
+        `To: ${[].concat(message.to).map(encodeAddress).join(', ')}`
+    ];
+    if (message.replyTo) {
+        headers.push(`Reply-To: ${encodeAddress(message.replyTo)}`);
+    }
+    headers.push(
+        `Subject: ${encodeHeader(message.subject)}`,
+        `Date: ${now.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    );
+
+    const part = (type, body) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(body)
+    ].join('\r\n');
+
+    return [
+        headers.join('\r\n'),
+        '',
+        part('text/plain', message.text),
+        part('text/html', message.html),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+/**
+ * Writes each message to a folder as a .eml file instead of sending it
+ */
+class OutboxTransport {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join('data', 'outbox');
+        this.name = 'outbox';
+    }
+
+    /**
+     * Save the message and return where it went
+     */
+    async send(message) {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(this.dir, `${stamp}-${crypto.randomBytes(3).toString('hex')}.eml`);
+        fs.writeFileSync(file, buildMimeMessage(message));
+
+        return { file };
+    }
+}
+
+/**
+ * Minimal SMTP client: EHLO, optional STARTTLS, AUTH PLAIN, then a single message
+ */
+class SmtpTransport {
+    constructor(options = {}) {
+        this.host = options.host || process.env.SMTP_HOST || 'localhost';
+        this.port = Number(options.port || process.env.SMTP_PORT || 587);
+        this.secure = options.secure !== undefined ? options.secure : (process.env.SMTP_SECURE === 'true' || this.port === 465);
+        this.user = options.user || process.env.SMTP_USER || null;
+        this.password = options.password || process.env.SMTP_PASSWORD || null;
+        this.ignoreTLS = options.ignoreTLS || false; // Skip STARTTLS, only for local test servers
+        this.timeoutMs = options.timeoutMs || 30 * 1000;
+        this.clientName = options.clientName || os.hostname();
+        this.name = 'smtp';
+    }
+
+    /**
+     * Open a connection, deliver one message and close it
+     */
+    async send(message) {
+        const recipients = [].concat(message.to).map(getAddress);
+        const connection = await this.connect();
+
+        try {
+            await connection.expect(220);
+            let features = await this.hello(connection);
+
+            if (!this.secure && !this.ignoreTLS && /^STARTTLS$/m.test(features)) {
+                await connection.command('STARTTLS', 220);
+                await connection.upgrade({ servername: this.host });
+                features = await this.hello(connection);
+            }
+
+            if (this.user) {
+                if (!this.secure && !connection.encrypted) {
+                    throw new Error('Refusing to send SMTP credentials over an unencrypted connection');
+                }
+                const credentials = Buffer.from(`\0${this.user}\0${this.password}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${credentials}`, 235);
+            }
+
+            await connection.command(`MAIL FROM:<${getAddress(message.from)}>`, 250);
+            for (const recipient of recipients) {
+                await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await connection.command('DATA', 354);
+
+            // Lines starting with a dot are doubled so they are not read as the end of the message
+            const body = buildMimeMessage(message).replace(/^\./gm, '..');
+            const reply = await connection.command(`${body}\r\n.`, 250);
+            connection.command('QUIT', 221).catch(() => {});
+
+            return { response: reply.text, recipients };
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * EHLO, returning the advertised extensions
+     */
+    async hello(connection) {
+        const reply = await connection.command(`EHLO ${this.clientName}`, 250);
+        return reply.lines.slice(1).join('\n').toUpperCase();
+    }
+
+    /**
+     * Connect and wrap the socket in a reply reader
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, servername: this.host };
+            const socket = this.secure ? tls.connect(options) : net.connect(options);
+            const ready = this.secure ? 'secureConnect' : 'connect';
+
+            socket.once(ready, () => {
+                socket.removeListener('error', reject);
+                resolve(new SmtpConnection(socket, this.timeoutMs));
+            });
+            socket.once('error', reject);
+            socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+        });
+    }
+}
+
+/**
+ * One SMTP session: sends commands and reads (possibly multi-line) replies
+ */
+class SmtpConnection {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.encrypted = Boolean(socket.encrypted);
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP server stopped responding')));
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    receive(chunk) {
+        this.buffer += chunk;
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            // "250-..." continues a reply, "250 ..." ends it
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const lines = this.lines;
+                this.lines = [];
+                this.settle(null, { code: Number(line.slice(0, 3)), lines, text: lines.join('\n') });
+            }
+        }
+    }
+
+    fail(error) {
+        if (!this.error) {
+            this.error = error;
+        }
+        this.settle(this.error);
+    }
+
+    settle(error, reply) {
+        const waiting = this.waiting;
+        this.waiting = null;
+        if (!waiting) {
+            return;
+        }
+        if (error) {
+            waiting.reject(error);
+        } else {
+            waiting.resolve(reply);
+        }
+    }
+
+    /**
+     * Wait for the next reply and check its code
+     */
+    expect(codes) {
+        const expected = [].concat(codes);
+        return new Promise((resolve, reject) => {
+            if (this.error) {
+                reject(this.error);
+                return;
+            }
+            this.waiting = {
+                resolve: reply => {
+                    if (expected.includes(reply.code)) {
+                        resolve(reply);
+                    } else {
+                        const error = new Error(`SMTP error: ${reply.text}`);
+                        error.code = reply.code;
+                        // 4xx replies are temporary and worth retrying, 5xx are not
+                        error.permanent = reply.code >= 500;
+                        reject(error);
+                    }
+                },
+                reject
+            };
+        });
+    }
+
+    command(line, codes) {
+        const reply = this.expect(codes);
+        this.socket.write(`${line}\r\n`);
+        return reply;
+    }
+
+    /**
+     * Switch the session to TLS after STARTTLS
+     */
+    upgrade(options) {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            plain.setTimeout(0);
+
+            const secure = tls.connect({ ...options, socket: plain }, () => {
+                secure.removeListener('error', reject);
+                this.attach(secure);
+                resolve();
+            });
+            secure.once('error', reject);
+        });
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
+
+/**
+ * Pick a transport from options or the MAIL_TRANSPORT environment variable
+ */
+function createTransport(options = {}) {
+    const type = options.type || process.env.MAIL_TRANSPORT || 'outbox';
+    if (type === 'smtp') {
+        return new SmtpTransport(options.smtp);
+    }
+    if (type === 'outbox') {
+        return new OutboxTransport({ dir: options.outboxDir || process.env.MAIL_OUTBOX_DIR });
+    }
+    throw new Error(`Unknown mail transport "${type}" (use "smtp" or "outbox")`);
+}
+
+module.exports = {
+    OutboxTransport,
+    SmtpTransport,
+    createTransport,
+    buildMimeMessage,
+    getAddress
+};
@@ -0,0 +1,92 @@
+/**
+ * Photo Storage for the Radius Works Lead Intake Server
+ * Checks uploaded quote photos and saves them next to the lead
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ImageMimeTypes = require('../js/image-mime-types');
+
+class PhotoStorage {
+    constructor(options = {}) {
+        this.uploadDir = options.uploadDir || path.join('data', 'uploads');
+        this.maxPhotos = options.maxPhotos || 5;
+        this.maxPhotoSize = options.maxPhotoSize || 2 * 1024 * 1024; // 2MB per photo after downscaling
+        this.allowedTypes = options.allowedTypes || ['image/jpeg', 'image/png', 'image/webp'];
+    }
+
+    /**
+     * Size of the largest photos array the checks accept once base64-encoded
+     */
+    getMaxEncodedSize() {
+        return this.maxPhotos * Math.ceil(this.maxPhotoSize / 3) * 4;
+    }
+
+    /**
+     * Decode and check the photos in a payload, returning an error message or the decoded photos
+     */
+    validate(photos) {
+        if (photos === undefined || photos === null) {
+            return { valid: true, photos: [] };
+        }
+
+        if (!Array.isArray(photos)) {
+            return { valid: false, error: 'Photos could not be read. Please try attaching them again.' };
+        }
+
+        if (photos.length > this.maxPhotos) {
+            return { valid: false, error: `Please attach no more than ${this.maxPhotos} photos` };
+        }
+
+        const decoded = [];
+        for (let index = 0; index < photos.length; index++) {
+            const photo = photos[index] || {};
+            const label = typeof photo.name === 'string' && photo.name ? photo.name : `Photo ${index + 1}`;
+
+            if (typeof photo.data !== 'string' || !photo.data) {
+                return { valid: false, error: `${label} could not be read. Please attach it again.` };
+            }
+
+            const buffer = Buffer.from(photo.data, 'base64');
+            if (buffer.length > this.maxPhotoSize) {
+                return { valid: false, error: `${label} is too large. Please attach a smaller photo.` };
+            }
+
+            // Trust the file contents, not the name or type the browser sent
+            const type = ImageMimeTypes.sniff(buffer);
+            if (!this.allowedTypes.includes(type)) {
+                return { valid: false, error: `${label} is not a JPEG, PNG or WebP photo` };
+            }
+
+            decoded.push({ name: label.slice(0, 255), type, buffer });
+        }
+
+        return { valid: true, photos: decoded };
+    }
+
+    /**
+     * Write decoded photos to the lead's upload folder and return their metadata
+     */
+    save(leadId, photos) {
+        if (!photos || photos.length === 0) {
+            return [];
+        }
+
+        const dir = path.join(this.uploadDir, leadId);
+        fs.mkdirSync(dir, { recursive: true });
+
+        return photos.map((photo, index) => {
+            const file = `photo-${index + 1}.${ImageMimeTypes.extensionFor(photo.type)}`;
+            fs.writeFileSync(path.join(dir, file), photo.buffer);
+
+            return {
+                file: path.join(leadId, file),
+                originalName: photo.name,
+                type: photo.type,
+                size: photo.buffer.length
+            };
+        });
+    }
+}
+
+module.exports = PhotoStorage;
@@ -0,0 +1,51 @@
+/**
+ * In-Memory Rate Limiter for the Radius Works Lead Intake Server
+ * Sliding-window limit on submissions per client IP
+ */
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.limit = options.limit || 5;
+        this.windowMs = options.windowMs || 10 * 60 * 1000; // 10 minutes
+        this.hits = new Map();
+        this.blocked = new Map(); // key -> the window it was last blocked in
+    }
+
+    /**
+     * Record a hit for a key and report whether it is within the limit.
+     * Blocked hits after the first one in the same window are marked `repeated`.
+     */
+    hit(key, now = Date.now()) {
+        const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            const retryAfterMs = this.windowMs - (now - recent[0]);
+            const result = { allowed: false, retryAfter: Math.ceil(retryAfterMs / 1000) };
+            if (this.blocked.get(key) === recent[0]) {
+                result.repeated = true;
+            } else {
+                this.blocked.set(key, recent[0]);
+            }
+            return result;
+        }
+
+        recent.push(now);
+        this.hits.set(key, recent);
+        return { allowed: true, remaining: this.limit - recent.length };
+    }
+
+    /**
+     * Drop keys with no hits inside the window so memory stays bounded
+     */
+    prune(now = Date.now()) {
+        this.hits.forEach((times, key) => {
+            if (times.every(time => now - time >= this.windowMs)) {
+                this.hits.delete(key);
+                this.blocked.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,64 @@
+/**
+ * Spam Heuristics for the Radius Works Lead Intake Server
+ * Service-free checks for bot and junk quote requests
+ */
+
+class SpamFilter {
+    constructor(options = {}) {
+        this.honeypotField = options.honeypotField || 'website';
+        this.maxLinks = options.maxLinks !== undefined ? options.maxLinks : 1;
+        this.bannedPhrases = options.bannedPhrases || [
+            'seo services',
+            'backlinks',
+            'search engine ranking',
+            'guest post',
+            'crypto',
+            'bitcoin',
+            'casino',
+            'viagra',
+            'cialis',
+            'loan offer',
+            'web design services',
+            'increase your traffic',
+            'dear sir/madam'
+        ];
+    }
+
+    /**
+     * Count links in a block of text
+     */
+    countLinks(text) {
+        const matches = String(text || '').match(/(https?:\/\/|www\.)\S+|\[url=/gi);
+        return matches ? matches.length : 0;
+    }
+
+    /**
+     * Check the raw payload and normalized lead, returning every reason it looks like spam
+     */
+    check(payload, lead) {
+        const reasons = [];
+
+        if (payload && String(payload[this.honeypotField] || '').trim()) {
+            reasons.push('honeypot-filled');
+        }
+
+        const text = `${lead.name} ${lead.message}`;
+        const linkCount = this.countLinks(text);
+        if (linkCount > this.maxLinks) {
+            reasons.push(`too-many-links:${linkCount}`);
+        }
+
+        if (this.countLinks(lead.name) > 0) {
+            reasons.push('link-in-name');
+        }
+
+        const lowerText = text.toLowerCase();
+        this.bannedPhrases
+            .filter(phrase => lowerText.includes(phrase))
+            .forEach(phrase => reasons.push(`banned-phrase:${phrase}`));
+
+        return { spam: reasons.length > 0, reasons };
+    }
+}
+
+module.exports = SpamFilter;
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the Emergency Triage Flow
+ * Tests the safety questions, instructions and the route logging
+ */
+
+const EmergencyTriage = require('../js/emergency-triage.js');
+
+const PAGE_HTML = `
+    <div class="service-card emergency">
+        <button type="button" class="btn triage-launch">Get Emergency Help</button>
+    </div>
+    <dialog class="triage-dialog" id="emergency-triage">
+        <button type="button" class="triage-close">Close</button>
+        <div class="triage-body"></div>
+    </dialog>
+    <section id="contact">
+        <div class="contact-form">
+            <form>
+                <select name="service">
+                    <option value="">Select Service Type</option>
+                    <option value="emergency">Emergency Service</option>
+                </select>
+            </form>
+        </div>
+    </section>
+`;
+
+function answerAll(triage, answers) {
+    answers.forEach(answer => {
+        triage.dialog.querySelector(`.triage-answer[data-answer="${answer}"]`).click();
+    });
+}
+
+describe('Emergency Triage', () => {
+    let dialog;
+    let triage;
+    let routes;
+
+    beforeEach(() => {
+        document.body.innerHTML = PAGE_HTML;
+        Element.prototype.scrollIntoView = jest.fn();
+        dialog = document.getElementById('emergency-triage');
+        routes = [];
+        triage = new EmergencyTriage(dialog, { onRoute: entry => routes.push(entry) });
+    });
+
+    test('should open on the first safety question', () => {
+        triage.open(document.querySelector('.triage-launch'));
+
+        expect(dialog.hasAttribute('open')).toBe(true);
+        expect(dialog.querySelector('.triage-question').textContent).toMatch(/smell gas/);
+        expect(document.activeElement).toBe(dialog.querySelector('.triage-question'));
+    });
+
+    test('should show shut-off instructions and a priority call for active flooding', () => {
+        triage.open();
+        answerAll(triage, ['no', 'yes']);
+
+        expect(dialog.textContent).toMatch(/Shut off the main water valve/);
+        const call = dialog.querySelector('.triage-call');
+        expect(call.getAttribute('href')).toBe('tel:+14148009188');
+        expect(call.dataset.priority).toBe('urgent');
+        expect(dialog.querySelector('.triage-tag').textContent).toMatch(/Priority: active flooding/);
+    });
+
+    test('should show evacuation instructions as soon as gas is reported', () => {
+        triage.open();
+        answerAll(triage, ['yes']);
+
+        expect(dialog.querySelector('.triage-answer')).toBeNull();
+        expect(dialog.querySelector('.triage-progress')).toBeNull();
+        expect(dialog.textContent).toMatch(/Leave the building now/);
+        expect(dialog.querySelector('.triage-call').dataset.priority).toBe('urgent');
+        expect(dialog.querySelector('.triage-tag').textContent).toMatch(/Priority: gas smell/);
+        expect(triage.answers).toEqual({ gasSmell: true });
+    });
+
+    test('should put gas safety ahead of plumbing instructions', () => {
+        const assessment = triage.getAssessment({ flooding: true, gasSmell: true, noWater: false });
+
+        expect(assessment.priority).toBe('urgent');
+        expect(assessment.instructions.map(section => section.title)).toEqual(['If you smell gas', 'Stop the water']);
+    });
+
+    test('should log the call route with its answers', () => {
+        const listener = jest.fn();
+        document.addEventListener('emergencytriage:route', listener);
+
+        triage.open();
+        answerAll(triage, ['no', 'no', 'yes']);
+        dialog.querySelector('.triage-call').click();
+
+        expect(routes).toHaveLength(1);
+        expect(routes[0]).toMatchObject({
+            path: 'call',
+            priority: 'urgent',
+            answers: { flooding: false, gasSmell: false, noWater: true }
+        });
+        expect(listener).toHaveBeenCalled();
+        document.removeEventListener('emergencytriage:route', listener);
+    });
+
+    test('should route non-urgent cases to the quote form with emergency selected', () => {
+        const select = document.querySelector('select[name="service"]');
+        const changed = jest.fn();
+        select.addEventListener('change', changed);
+
+        triage.open();
+        answerAll(triage, ['no', 'no', 'no']);
+        dialog.querySelector('.triage-quote').click();
+
+        expect(routes[0]).toMatchObject({ path: 'quote', priority: 'standard' });
+        expect(dialog.hasAttribute('open')).toBe(false);
+        expect(select.value).toBe('emergency');
+        expect(changed).toHaveBeenCalled();
+        expect(document.getElementById('contact').scrollIntoView).toHaveBeenCalled();
+    });
+
+    test('should log a dismissal after questions were answered', () => {
+        const launch = document.querySelector('.triage-launch');
+        triage.open(launch);
+        answerAll(triage, ['yes']);
+        dialog.querySelector('.triage-close').click();
+
+        expect(routes[0].path).toBe('dismissed');
+        expect(document.activeElement).toBe(launch);
+    });
+
+    test('should beacon the route to the configured endpoint', () => {
+        navigator.sendBeacon = jest.fn(() => true);
+        const logged = new EmergencyTriage(dialog, { endpoint: 'http://localhost:3001/api/triage' });
+
+        logged.open();
+        answerAll(logged, ['no', 'yes']);
+        dialog.querySelector('.triage-call').click();
+
+        expect(navigator.sendBeacon).toHaveBeenCalledWith('http://localhost:3001/api/triage', expect.any(Blob));
+        delete navigator.sendBeacon;
+    });
+});
@@ -0,0 +1,307 @@
+/**
+ * Unit Tests for the Quote Form Controller
+ * Drives the form lifecycle in jsdom with stub transports
+ */
+
+window.LeadValidation = require('../js/lead-validation.js');
+const { QuoteFormController, FetchLeadTransport } = require('../js/form-controller.js');
+
+const FORM_HTML = `
+    <div class="contact-form">
+        <form data-lead-endpoint="http://localhost:3001/api/leads">
+            <input type="text" name="name">
+            <input type="email" name="email">
+            <input type="tel" name="phone">
+            <select name="service">
+                <option value="">Select Service Type</option>
+                <option value="residential">Residential Plumbing</option>
+                <option value="emergency">Emergency Service</option>
+            </select>
+            <textarea name="message"></textarea>
+            <button type="submit" class="btn btn-primary">Send Message</button>
+            <div class="form-status" role="status" aria-live="polite"></div>
+        </form>
+    </div>
+`;
+
+function fillForm(form, values = {}) {
+    const defaults = {
+        name: 'Lisa T.',
+        email: 'lisa@example.com',
+        phone: '414-555-0142',
+        service: 'emergency',
+        message: 'Main line backed up into the basement'
+    };
+    Object.entries({ ...defaults, ...values }).forEach(([name, value]) => {
+        form.elements[name].value = value;
+    });
+}
+
+describe('Quote Form Controller', () => {
+    let form;
+
+    beforeEach(() => {
+        document.body.innerHTML = FORM_HTML;
+        form = document.querySelector('.contact-form form');
+    });
+
+    test('should wire a form exactly once', () => {
+        const first = QuoteFormController.attach(form);
+        const second = QuoteFormController.attach(form);
+
+        expect(second).toBe(first);
+        expect(first.state).toBe('idle');
+    });
+
+    test('should move through validating, submitting and success', async () => {
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-20240101-ABC123' } }) };
+        const controller = QuoteFormController.attach(form, { transport, resetDelay: null });
+        const states = [];
+        form.addEventListener('quoteform:statechange', e => states.push(e.detail.state));
+
+        fillForm(form);
+        await controller.submit();
+
+        expect(states).toEqual(['validating', 'submitting', 'success']);
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ service: 'emergency', email: 'lisa@example.com' }));
+        expect(form.querySelector('.form-status').textContent).toContain('RW-20240101-ABC123');
+        expect(form.elements.name.value).toBe('');
+    });
+
+    test('should stop at the error state without sending when validation fails', async () => {
+        const transport = { send: jest.fn() };
+        const controller = QuoteFormController.attach(form, { transport });
+
+        fillForm(form, { email: 'not-an-email' });
+        await controller.submit();
+
+        expect(controller.state).toBe('error');
+        expect(controller.lastError.type).toBe('validation');
+        expect(controller.lastError.fields.email).toBeTruthy();
+        expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    test('should run pluggable validators and pass normalized values on', async () => {
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-1' } }) };
+        const upperCaseName = values => ({ values: { name: values.name.toUpperCase() } });
+        const controller = QuoteFormController.attach(form, {
+            transport,
+            resetDelay: null,
+            validators: [upperCaseName]
+        });
+
+        fillForm(form);
+        await controller.submit();
+
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ name: 'LISA T.' }));
+    });
+
+    test('should surface transport failures in the error state', async () => {
+        const transport = { send: jest.fn().mockRejectedValue(new Error('Server unavailable')) };
+        const controller = QuoteFormController.attach(form, { transport });
+
+        fillForm(form);
+        await controller.submit();
+
+        expect(controller.state).toBe('error');
+        expect(form.querySelector('.form-status').textContent).toBe('Server unavailable');
+        expect(form.querySelector('button[type="submit"]').disabled).toBe(false);
+        expect(form.elements.name.value).toBe('Lisa T.');
+    });
+
+    test('should include the signed form token and honeypot value in the lead', async () => {
+        form.insertAdjacentHTML('afterbegin', '<input type="text" name="website" tabindex="-1">');
+        const transport = {
+            fetchFormToken: jest.fn().mockResolvedValue({ token: 'abc.123', readyAt: 0 }),
+            send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-6' } })
+        };
+        const controller = QuoteFormController.attach(form, { transport, resetDelay: null });
+
+        fillForm(form);
+        await controller.submit();
+
+        // The one sent, then the next submit's
+        expect(transport.fetchFormToken).toHaveBeenCalledTimes(2);
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ formToken: 'abc.123', website: '' }));
+    });
+
+    test('should use a new form token for every submit', async () => {
+        let issued = 0;
+        const transport = {
+            fetchFormToken: jest.fn(async () => ({ token: `token-${++issued}`, readyAt: 0 })),
+            send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-7' } })
+        };
+        const controller = QuoteFormController.attach(form, { transport, resetDelay: null });
+
+        fillForm(form);
+        await controller.submit();
+        fillForm(form);
+        await controller.submit();
+
+        expect(transport.send.mock.calls.map(([lead]) => lead.formToken)).toEqual(['token-1', 'token-2']);
+    });
+
+    test('should send again with a new form token when the server calls it stale', async () => {
+        let issued = 0;
+        const stale = Object.assign(new Error('Your form has expired.'), { type: 'server', status: 400, code: 'INVALID_TOKEN' });
+        const transport = {
+            fetchFormToken: jest.fn(async () => ({ token: `token-${++issued}`, readyAt: 0 })),
+            send: jest.fn()
+                .mockRejectedValueOnce(stale)
+                .mockResolvedValueOnce({ success: true, lead: { id: 'RW-8' } })
+        };
+        const controller = QuoteFormController.attach(form, { transport, resetDelay: null });
+
+        fillForm(form);
+        const result = await controller.submit();
+
+        expect(result.lead.id).toBe('RW-8');
+        expect(controller.state).toBe(QuoteFormController.STATES.SUCCESS);
+        expect(transport.send.mock.calls.map(([lead]) => lead.formToken)).toEqual(['token-1', 'token-2']);
+    });
+
+    test('should submit through the native submit event', async () => {
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-2' } }) };
+        QuoteFormController.attach(form, { transport, resetDelay: null });
+
+        fillForm(form);
+        form.dispatchEvent(new Event('submit', { cancelable: true }));
+        await Promise.resolve();
+
+        expect(transport.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return to idle after the reset delay', async () => {
+        jest.useFakeTimers();
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-3' } }) };
+        const controller = QuoteFormController.attach(form, { transport, resetDelay: 3000 });
+
+        fillForm(form);
+        await controller.submit();
+        expect(controller.state).toBe('success');
+
+        jest.advanceTimersByTime(3000);
+        expect(controller.state).toBe('idle');
+        jest.useRealTimers();
+    });
+});
+
+describe('Fetch Lead Transport', () => {
+    test('should post JSON and resolve with the server response', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            status: 201,
+            json: () => Promise.resolve({ success: true, lead: { id: 'RW-4' } })
+        });
+
+        const result = await new FetchLeadTransport('/api/leads').send({ name: 'Test' });
+
+        expect(result.lead.id).toBe('RW-4');
+        expect(global.fetch).toHaveBeenCalledWith('/api/leads', expect.objectContaining({ method: 'POST' }));
+    });
+
+    test('should reject with a network error when the server is unreachable', async () => {
+        global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+        await expect(new FetchLeadTransport('/api/leads').send({})).rejects.toMatchObject({ type: 'network' });
+    });
+
+    test('should reject with field errors from the server', async () => {
+        global.fetch.mockResolvedValueOnce({
+            ok: false,
+            status: 422,
+            json: () => Promise.resolve({ success: false, error: { message: 'Invalid', fields: { email: 'Bad email' } } })
+        });
+
+        await expect(new FetchLeadTransport('/api/leads').send({})).rejects.toMatchObject({
+            type: 'server',
+            status: 422,
+            fields: { email: 'Bad email' }
+        });
+    });
+});
+
+describe('Inline Field Validation', () => {
+    let form;
+    let controller;
+
+    beforeEach(() => {
+        document.body.innerHTML = FORM_HTML;
+        form = document.querySelector('.contact-form form');
+        window.announceToScreenReader = jest.fn();
+        controller = QuoteFormController.attach(form, { transport: { send: jest.fn() } });
+    });
+
+    afterEach(() => {
+        delete window.announceToScreenReader;
+    });
+
+    test('should tie inline errors to their inputs on submit', async () => {
+        fillForm(form, { email: 'lisa@', phone: '....' });
+        await controller.submit();
+
+        const email = form.elements.email;
+        const errorElement = document.getElementById(email.getAttribute('aria-describedby'));
+        expect(email.getAttribute('aria-invalid')).toBe('true');
+        expect(errorElement.textContent).toContain('valid email address');
+        expect(errorElement.hidden).toBe(false);
+        expect(form.elements.phone.getAttribute('aria-invalid')).toBe('true');
+        expect(form.elements.name.hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    test('should move focus to the first invalid field and announce the errors', async () => {
+        fillForm(form, { name: '', phone: '123' });
+        await controller.submit();
+
+        expect(document.activeElement).toBe(form.elements.name);
+        expect(window.announceToScreenReader).toHaveBeenCalledWith(expect.stringContaining('2 fields need attention'));
+    });
+
+    test('should validate a field on blur once it has a value', () => {
+        const phone = form.elements.phone;
+        phone.value = '555-1234';
+        phone.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+        expect(phone.getAttribute('aria-invalid')).toBe('true');
+        expect(window.announceToScreenReader).toHaveBeenCalledWith(expect.stringContaining('10-digit'));
+    });
+
+    test('should not flag an untouched empty field on blur', () => {
+        form.elements.name.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+
+        expect(form.elements.name.hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    test('should clear the error once the field is corrected', () => {
+        const phone = form.elements.phone;
+        phone.value = '555';
+        phone.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+        phone.value = '(414) 800-9188';
+        phone.dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(phone.hasAttribute('aria-invalid')).toBe(false);
+        expect(phone.hasAttribute('aria-describedby')).toBe(false);
+        expect(document.getElementById('quote-phone-error').hidden).toBe(true);
+    });
+
+    test('should show server-side field errors inline', async () => {
+        const error = new Error('Please correct the highlighted fields');
+        error.fields = { email: 'That mailbox does not exist' };
+        controller.transport.send.mockRejectedValueOnce(error);
+
+        fillForm(form);
+        await controller.submit();
+
+        expect(form.elements.email.getAttribute('aria-invalid')).toBe('true');
+        expect(document.getElementById('quote-email-error').textContent).toBe('That mailbox does not exist');
+    });
+
+    test('should send phone numbers normalized to E.164', async () => {
+        controller.transport.send.mockResolvedValueOnce({ success: true, lead: { id: 'RW-5' } });
+
+        fillForm(form, { phone: '1 (414) 800-9188' });
+        await controller.submit();
+
+        expect(controller.transport.send).toHaveBeenCalledWith(expect.objectContaining({ phone: '+14148009188' }));
+    });
+});
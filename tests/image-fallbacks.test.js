@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for the Image Fallback Registry
+ * Tests each category's declared chain, the per-level events, the legacy global handlers
+ * and how the manager applies the registry to img[data-category]
+ */
+
+const ImageFallbacks = require('../js/image-fallbacks.js');
+const ImageEnhancementManager = require('../js/image-enhancements.js');
+
+// jsdom has no canvas encoder; answer like a browser without WebP encoding
+HTMLCanvasElement.prototype.toDataURL = jest.fn(() => 'data:image/png;base64,');
+
+/**
+ * Fail the image until it reaches the given level, collecting the events it fires
+ */
+function failTo(img, level, options) {
+    const events = [];
+    img.addEventListener('imagefallback', event => events.push(event.detail));
+    while (parseInt(img.dataset.fallbackLevel || '0') < level && ImageFallbacks.handleError(img, options)) {
+        // keep failing
+    }
+    return events;
+}
+
+describe('Image Fallback Registry', () => {
+    const originalStrategies = { ...ImageFallbacks.STRATEGIES };
+
+    afterEach(() => {
+        ImageFallbacks.STRATEGIES = { ...originalStrategies };
+        document.body.innerHTML = '';
+    });
+
+    test('should try the alternate source, then a placeholder, then hide the image', () => {
+        document.body.innerHTML = `
+            <div class="image-container">
+                <img src="images/missing.webp" data-category="gallery" data-image-name="truck" data-fallback-src="images/truck.jpg">
+            </div>
+        `;
+        const img = document.querySelector('img');
+        const container = document.querySelector('.image-container');
+
+        const events = failTo(img, 3);
+
+        expect(events.map(({ level, type }) => [level, type])).toEqual([[1, 'source'], [2, 'placeholder'], [3, 'hide']]);
+        expect(events[0]).toEqual(expect.objectContaining({
+            category: 'gallery',
+            imageName: 'truck',
+            failedSrc: 'http://localhost/images/missing.webp',
+            src: 'http://localhost/images/truck.jpg'
+        }));
+        expect(img.dataset.fallbackLevel).toBe('3');
+        expect(img.classList.contains('fallback-final')).toBe(true);
+        expect(img.style.display).toBe('none');
+        expect(container.classList.contains('image-placeholder')).toBe(true);
+        expect(container.classList.contains('image-failed')).toBe(true);
+        expect(container.querySelector('.placeholder-text').textContent).toBe('Image');
+        expect(container.querySelector('.error-text').textContent).toBe('Image unavailable');
+        expect(ImageFallbacks.handleError(img)).toBeNull();
+    });
+
+    test('should skip the source step when there is no alternate source', () => {
+        document.body.innerHTML = '<div class="hero-image-container"><img src="images/hero.png" data-category="hero"></div>';
+        const img = document.querySelector('img');
+
+        const step = ImageFallbacks.handleError(img);
+
+        expect(step.type).toBe('placeholder');
+        expect(img.dataset.fallbackLevel).toBe('2');
+        const container = document.querySelector('.hero-image-container');
+        expect(container.classList.contains('hero-fallback-gradient')).toBe(true);
+        expect(container.style.animation).toBe('fadeIn 0.5s ease-in-out');
+    });
+
+    test('should draw the service gradient and icon in place of a service photo', () => {
+        document.body.innerHTML = `
+            <div class="service-card-enhanced" data-service="water-heater">
+                <div class="service-background"><img src="images/heater.jpg" data-category="services"></div>
+                <div class="service-icon"><i class="fas fa-fire"></i></div>
+            </div>
+        `;
+        const background = document.querySelector('.service-background');
+        const img = document.querySelector('img');
+
+        // jsdom drops gradient values from inline styles, so check the gradient itself
+        expect(ImageFallbacks.getServiceGradient(img)).toBe('linear-gradient(135deg, rgba(245, 158, 11, 0.8) 0%, rgba(217, 119, 6, 0.9) 100%)');
+
+        failTo(img, 2);
+
+        expect(background.classList.contains('service-fallback-gradient')).toBe(true);
+        expect(background.querySelector('.service-fallback-icon i').className).toBe('fas fa-fire');
+        expect(background.querySelector('.service-overlay')).not.toBeNull();
+    });
+
+    test('should style review cards and team photos the way their sections expect', () => {
+        document.body.innerHTML = `
+            <div class="review-card enhanced">
+                <div class="review-background"><img id="review" src="images/review.jpg" data-category="reviews"></div>
+            </div>
+            <div class="about-team-gallery">
+                <div class="team-member"><img id="member" src="images/member.jpg" data-category="about"></div>
+            </div>
+        `;
+        const card = document.querySelector('.review-card');
+        const background = document.querySelector('.review-background');
+        const member = document.querySelector('.team-member');
+
+        failTo(document.getElementById('review'), 2);
+        failTo(document.getElementById('member'), 2);
+
+        expect(background.classList.contains('review-fallback')).toBe(true);
+        expect(card.classList.contains('review-no-image')).toBe(true);
+        expect(member.classList.contains('team-fallback')).toBe(true);
+        expect(member.querySelector('.placeholder-content')).toBeNull();
+
+        failTo(document.getElementById('review'), 3);
+        failTo(document.getElementById('member'), 3);
+
+        expect(card.classList.contains('review-image-failed')).toBe(true);
+        expect(background.style.background).toBe('rgb(255, 255, 255)');
+        expect(member.classList.contains('image-failed')).toBe(true);
+    });
+
+    test('should ignore a failure reported for a source the image has already left', () => {
+        document.body.innerHTML = '<img src="images/a.jpg" data-category="services" data-fallback-src="images/b.jpg">';
+        const img = document.querySelector('img');
+
+        ImageFallbacks.handleError(img, { failedSrc: 'http://localhost/images/a.jpg' });
+        const stale = ImageFallbacks.handleError(img, { failedSrc: 'http://localhost/images/a.jpg' });
+
+        expect(stale).toBeNull();
+        expect(img.dataset.fallbackLevel).toBe('1');
+        expect(img.getAttribute('src')).toBe('images/b.jpg');
+    });
+
+    test('should let a category register its own chain', () => {
+        ImageFallbacks.register('logos', [{ type: 'hide', decorate: [{ closest: '.nav', className: ['logo-missing', 'text-only'] }] }]);
+        document.body.innerHTML = '<nav class="nav"><img src="images/logo.png" data-category="logos" data-fallback-src="images/logo.webp"></nav>';
+
+        const events = failTo(document.querySelector('img'), 1);
+
+        expect(events).toEqual([expect.objectContaining({ level: 1, type: 'hide' })]);
+        expect(document.querySelector('.nav').className).toBe('nav logo-missing text-only');
+        expect(() => ImageFallbacks.register('logos', [{ type: 'retry' }])).toThrow('Unknown fallback step "retry" for logos');
+    });
+
+    test('should handle errors from any img[data-category] on the page once per failure', async () => {
+        fetch
+            .mockResolvedValueOnce({ json: async () => ({}) })
+            .mockResolvedValueOnce({ json: async () => ({}) });
+        const manager = new ImageEnhancementManager();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        document.body.innerHTML = `
+            <div class="about-image">
+                <img id="tagged" src="images/team.jpg" data-category="about" data-image-name="about-team-group" data-fallback-src="images/team-alt.jpg">
+                <img id="plain" src="images/other.jpg">
+            </div>
+        `;
+        const tagged = document.getElementById('tagged');
+        tagged.addEventListener('error', event => manager.onImageError(event));
+        const levels = [];
+        document.addEventListener('imagefallback', event => levels.push(event.detail.level));
+
+        tagged.dispatchEvent(new Event('error'));
+        document.getElementById('plain').dispatchEvent(new Event('error'));
+
+        expect(levels).toEqual([1]);
+        expect(tagged.getAttribute('src')).toBe('images/team-alt.jpg');
+        expect(manager.getFallbackStats()['about/about-team-group'].levels).toEqual([0]);
+    });
+
+    test('should fall back for images that fail before any manager starts', () => {
+        ImageEnhancementManager.errorHandler = null;
+        document.body.innerHTML = '<img src="images/team.jpg" data-category="about" data-fallback-src="images/team-alt.jpg">';
+        const img = document.querySelector('img');
+
+        img.dispatchEvent(new Event('error'));
+
+        expect(img.getAttribute('src')).toBe('images/team-alt.jpg');
+        expect(img.dataset.fallbackLevel).toBe('1');
+    });
+
+    test('should still reveal the hero image when the metadata cannot be loaded', async () => {
+        fetch
+            .mockRejectedValueOnce(new Error('offline'))
+            .mockRejectedValueOnce(new Error('offline'));
+        document.body.innerHTML = `
+            <div class="hero-image-container">
+                <img class="hero-img-enhanced" src="images/hero-main-plumber.png" data-category="hero" data-image-name="hero-main-plumber" loading="eager">
+                <div class="hero-placeholder"></div>
+            </div>
+        `;
+        const hero = document.querySelector('img');
+        new ImageEnhancementManager();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(hero.dataset.enhanced).toBeUndefined();
+        expect(hero.classList.contains('loading')).toBe(true);
+
+        hero.dispatchEvent(new Event('load'));
+
+        expect(hero.classList.contains('loaded')).toBe(true);
+        expect(document.querySelector('.hero-placeholder').style.display).toBe('none');
+    });
+
+    test('should fall back while the metadata loads, and without it', async () => {
+        fetch
+            .mockRejectedValueOnce(new Error('offline'))
+            .mockRejectedValueOnce(new Error('offline'));
+        document.body.innerHTML = '<img src="images/team.jpg" data-category="about" data-image-name="about-team-group" data-fallback-src="images/team-alt.jpg">';
+        const img = document.querySelector('img');
+        const manager = new ImageEnhancementManager();
+
+        img.dispatchEvent(new Event('error'));
+        expect(img.getAttribute('src')).toBe('images/team-alt.jpg');
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        img.dispatchEvent(new Event('error'));
+
+        expect(img.dataset.fallbackLevel).toBe('2');
+        expect(manager.getFallbackStats()['about/about-team-group'].levels).toEqual([0, 1]);
+    });
+});
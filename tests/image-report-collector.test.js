@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for the Image Report Collector
+ * Tests storing beaconed reports per day, the rate limit and size cap, and the daily summary
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const ImageReportCollector = require('../server/image-report-collector.js');
+
+const AUTH = `Basic ${Buffer.from('office:secret').toString('base64')}`;
+
+function request(port, method, urlPath, body, extraHeaders = {}) {
+    return new Promise((resolve, reject) => {
+        const data = typeof body === 'string' ? body : JSON.stringify(body || {});
+        // Beacons arrive as text/plain
+        const headers = method === 'POST'
+            ? { 'Content-Type': 'text/plain;charset=UTF-8', 'Content-Length': Buffer.byteLength(data), ...extraHeaders }
+            : extraHeaders;
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let raw = '';
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw ? JSON.parse(raw) : null }));
+        });
+        req.on('error', reject);
+        if (method === 'POST') {
+            req.write(data);
+        }
+        req.end();
+    });
+}
+
+const fallback = (imageName, type, failedSrc) => ({
+    kind: 'fallback',
+    category: 'services',
+    imageName,
+    level: ['source', 'placeholder', 'hide'].indexOf(type) + 1,
+    type,
+    failedSrc,
+    src: '/images/residential-service.jpg',
+    at: '2024-03-15T14:00:00.000Z'
+});
+const slow = (src, duration) => ({ kind: 'slow-image', src, duration, size: 120000, at: '2024-03-15T14:00:00.000Z' });
+
+describe('Image Report Collector', () => {
+    let dataDir;
+    let collector;
+    let port;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-reports-'));
+        collector = new ImageReportCollector({ port: 0, dataDir, adminAuth: { password: 'secret' } });
+        const server = await collector.start();
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        await collector.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('should store a beaconed report in the file for the day it arrived', async () => {
+        const response = await request(port, 'POST', '/api/image-reports', {
+            page: '/',
+            events: [fallback('service-drain', 'source', '/images/optimized/services/service-drain.webp'), { kind: 'nonsense' }]
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.headers['access-control-allow-origin']).toBe('*');
+        const [record] = collector.readReports(ImageReportCollector.today());
+        expect(record.page).toBe('/');
+        expect(record.events).toEqual([fallback('service-drain', 'source', '/images/optimized/services/service-drain.webp')]);
+        expect(fs.readdirSync(dataDir)).toEqual([`${ImageReportCollector.today()}.jsonl`]);
+    });
+
+    test('should reject reports without usable events and bodies that are not JSON', async () => {
+        expect((await request(port, 'POST', '/api/image-reports', { page: '/', events: [] })).status).toBe(422);
+        expect((await request(port, 'POST', '/api/image-reports', '{not json')).status).toBe(400);
+        expect((await request(port, 'POST', '/api/image-reports', 'null')).status).toBe(400);
+        expect((await request(port, 'POST', '/api/image-reports', '[]')).status).toBe(400);
+        expect((await request(port, 'GET', '/api/image-reports')).status).toBe(405);
+        expect(fs.readdirSync(dataDir)).toEqual([]);
+    });
+
+    test('should summarize a day of fallbacks per image and slow images per URL', () => {
+        const day = new Date('2024-03-15T12:00:00Z');
+        collector.save({ page: '/', events: [
+            fallback('service-drain', 'source', '/images/optimized/services/service-drain.webp'),
+            fallback('service-drain', 'placeholder', '/images/residential-service.jpg'),
+            slow('/images/hero-bg.jpg', 2400)
+        ] }, day);
+        collector.save({ page: '/', events: [
+            fallback('service-drain', 'source', '/images/optimized/services/service-drain.webp'),
+            fallback('service-water', 'source', '/images/optimized/services/service-water.webp'),
+            slow('/images/hero-bg.jpg', 3100),
+            slow('/images/hero-bg.jpg', 2600)
+        ] }, day);
+        fs.appendFileSync(collector.getReportFile('2024-03-15'), '{broken\n');
+
+        const summary = collector.summarize('2024-03-15');
+
+        expect(summary.reports).toBe(2);
+        expect(summary.fallbacks).toEqual([
+            {
+                image: 'services/service-drain',
+                count: 3,
+                levels: { source: 2, placeholder: 1 },
+                failedSrcs: ['/images/optimized/services/service-drain.webp', '/images/residential-service.jpg']
+            },
+            { image: 'services/service-water', count: 1, levels: { source: 1 }, failedSrcs: ['/images/optimized/services/service-water.webp'] }
+        ]);
+        expect(summary.slowImages).toEqual([{ src: '/images/hero-bg.jpg', count: 3, medianMs: 2600, maxMs: 3100 }]);
+        expect(collector.summarize('2024-03-16')).toEqual({ date: '2024-03-16', reports: 0, fallbacks: [], slowImages: [] });
+    });
+
+    test('should write the daily summary file and serve the summary over HTTP', async () => {
+        collector.save({ page: '/', events: [fallback('service-drain', 'hide', '/images/residential-service.jpg')] });
+        const today = ImageReportCollector.today();
+
+        const summary = collector.writeSummary(today);
+        const response = await request(port, 'GET', `/api/image-reports/summary?date=${today}`, null, { Authorization: AUTH });
+
+        expect(JSON.parse(fs.readFileSync(collector.getSummaryFile(today), 'utf8'))).toEqual(summary);
+        expect(response.body).toEqual({ success: true, summary });
+        expect(collector.formatSummary(summary)).toContain('services/service-drain: 1 (hide 1) ❌ gave up');
+        expect((await request(port, 'GET', '/api/image-reports/summary?date=yesterday', null, { Authorization: AUTH })).status).toBe(400);
+    });
+
+    test('should only serve the summary to the office', async () => {
+        const anonymous = await request(port, 'GET', '/api/image-reports/summary');
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.headers['www-authenticate']).toMatch(/^Basic /);
+
+        const wrong = `Basic ${Buffer.from('office:guess').toString('base64')}`;
+        expect((await request(port, 'GET', '/api/image-reports/summary', null, { Authorization: wrong })).status).toBe(401);
+
+        await collector.stop();
+        collector = new ImageReportCollector({ port: 0, dataDir, adminAuth: { password: '' } });
+        port = (await collector.start()).address().port;
+        expect((await request(port, 'GET', '/api/image-reports/summary', null, { Authorization: AUTH })).status).toBe(503);
+    });
+
+    test('should rate limit reports per client', async () => {
+        await collector.stop();
+        collector = new ImageReportCollector({ port: 0, dataDir, rateLimit: { limit: 2 } });
+        port = (await collector.start()).address().port;
+        const report = { page: '/', events: [slow('/images/hero-bg.jpg', 2400)] };
+
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(201);
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(201);
+        const limited = await request(port, 'POST', '/api/image-reports', report);
+
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+        expect(collector.readReports(ImageReportCollector.today())).toHaveLength(2);
+    });
+
+    test('should stop writing to a day\'s file once it reaches its size cap', async () => {
+        const report = { page: '/', events: [slow('/images/hero-bg.jpg', 2400)] };
+        const file = collector.getReportFile(ImageReportCollector.today());
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(201);
+        // Room for one more report of the same size
+        collector.maxFileSize = fs.statSync(file).size * 2;
+
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(201);
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(507);
+        expect((await request(port, 'POST', '/api/image-reports', report)).status).toBe(507);
+
+        expect(fs.statSync(file).size).toBe(collector.maxFileSize);
+        expect(collector.readReports(ImageReportCollector.today())).toHaveLength(2);
+        expect(console.warn.mock.calls.filter(([message]) => /is full/.test(message))).toHaveLength(1);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests for Image Telemetry
+ * Tests batching of fallback events and slow-image timings and the beacon sent when the page is hidden
+ */
+
+const ImageFallbacks = require('../js/image-fallbacks.js');
+const ImageTelemetry = require('../js/image-telemetry.js');
+
+const ENDPOINT = 'http://localhost:3002/api/image-reports';
+
+function setVisibility(state) {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+// jsdom's Blob has no text()
+function sentReports() {
+    return Promise.all(navigator.sendBeacon.mock.calls.map(([, blob]) => new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(JSON.parse(reader.result));
+        reader.readAsText(blob);
+    })));
+}
+
+describe('Image Telemetry', () => {
+    let telemetry;
+    let observerCallback;
+
+    beforeEach(() => {
+        navigator.sendBeacon = jest.fn(() => true);
+        window.PerformanceObserver = class {
+            constructor(callback) {
+                observerCallback = callback;
+            }
+            observe() {}
+            disconnect() {}
+        };
+        document.body.innerHTML = `
+            <div class="image-container">
+                <img src="images/optimized/services/drain.webp" data-category="services" data-image-name="service-drain" data-fallback-src="images/residential-service.jpg">
+            </div>
+        `;
+        telemetry = new ImageTelemetry({ endpoint: ENDPOINT, slowImageMs: 1000 }).attach();
+    });
+
+    afterEach(() => {
+        telemetry.detach();
+        delete navigator.sendBeacon;
+        delete document.visibilityState;
+    });
+
+    test('should batch fallback events and send them when the page is hidden', async () => {
+        const img = document.querySelector('img');
+        ImageFallbacks.handleError(img);
+        ImageFallbacks.handleError(img);
+
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+
+        setVisibility('hidden');
+
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+        expect(navigator.sendBeacon).toHaveBeenCalledWith(ENDPOINT, expect.any(Blob));
+        const [report] = await sentReports();
+        expect(report.page).toBe('/');
+        expect(report.events).toEqual([
+            expect.objectContaining({
+                kind: 'fallback',
+                category: 'services',
+                imageName: 'service-drain',
+                level: 1,
+                type: 'source',
+                failedSrc: '/images/optimized/services/drain.webp',
+                src: '/images/residential-service.jpg'
+            }),
+            expect.objectContaining({ kind: 'fallback', level: 2, type: 'placeholder' })
+        ]);
+        expect(telemetry.events).toEqual([]);
+    });
+
+    test('should report only image downloads slower than the threshold', async () => {
+        observerCallback({
+            getEntries: () => [
+                { entryType: 'resource', initiatorType: 'img', name: 'http://localhost/images/hero-bg.jpg', duration: 2400.6, transferSize: 180000 },
+                { entryType: 'resource', initiatorType: 'css', name: 'http://localhost/images/optimized/backgrounds/texture.webp?v=2', duration: 1500 },
+                { entryType: 'resource', initiatorType: 'img', name: 'http://localhost/images/logo.png', duration: 40 },
+                { entryType: 'resource', initiatorType: 'script', name: 'http://localhost/script.js', duration: 3000 },
+                { entryType: 'resource', initiatorType: 'img', name: 'https://cdn.example.com/badge.svg', duration: 1200 }
+            ]
+        });
+
+        telemetry.flush();
+
+        const [report] = await sentReports();
+        expect(report.events.map(({ kind, src, duration }) => [kind, src, duration])).toEqual([
+            ['slow-image', '/images/hero-bg.jpg', 2401],
+            ['slow-image', '/images/optimized/backgrounds/texture.webp', 1500],
+            ['slow-image', 'https://cdn.example.com/badge.svg', 1200]
+        ]);
+        expect(report.events[0].size).toBe(180000);
+    });
+
+    test('should send a full batch without waiting for the page to be hidden', () => {
+        telemetry.maxBatchSize = 3;
+
+        [1, 2, 3, 4].forEach(level => telemetry.recordFallback({ category: 'about', imageName: 'team', level, type: 'placeholder' }));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+        expect(telemetry.events).toHaveLength(1);
+    });
+
+    test('should fall back to a keepalive fetch and send nothing when the queue is empty', () => {
+        navigator.sendBeacon.mockReturnValue(false);
+
+        expect(telemetry.flush()).toBe(false);
+        expect(fetch).not.toHaveBeenCalled();
+
+        telemetry.recordFallback({ category: 'hero', imageName: 'hero-main', level: 2, type: 'placeholder' });
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(fetch).toHaveBeenCalledWith(ENDPOINT, expect.objectContaining({ method: 'POST', keepalive: true }));
+    });
+
+    test('should report fallbacks of images their placeholder removed from the page', () => {
+        document.body.innerHTML = `
+            <div class="service-card-enhanced" data-service="commercial">
+                <div class="service-background"><img src="images/commercial.jpg" data-category="services"></div>
+                <div class="service-icon"><i class="fas fa-building"></i></div>
+            </div>
+        `;
+
+        ImageFallbacks.handleError(document.querySelector('img'));
+
+        expect(document.querySelector('.service-background img')).toBeNull();
+        expect(telemetry.events).toEqual([expect.objectContaining({ category: 'services', type: 'placeholder' })]);
+    });
+});
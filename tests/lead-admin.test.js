@@ -0,0 +1,191 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for the Lead Dashboard
+ * Tests sign-in, filtering, status updates and CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const LeadServer = require('../server/lead-server.js');
+const LeadStore = require('../server/lead-store.js');
+const LeadAdmin = require('../server/lead-admin.js');
+
+const AUTH = `Basic ${Buffer.from('office:letmein').toString('base64')}`;
+
+function request(port, method, urlPath, { body, auth = AUTH, contentType = 'application/json' } = {}) {
+    return new Promise((resolve, reject) => {
+        const data = body === undefined ? '' : JSON.stringify(body);
+        const headers = {};
+        if (auth) headers.Authorization = auth;
+        if (data) {
+            headers['Content-Type'] = contentType;
+            headers['Content-Length'] = Buffer.byteLength(data);
+        }
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let raw = '';
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => {
+                const isJson = String(res.headers['content-type']).startsWith('application/json');
+                resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(raw) : raw });
+            });
+        });
+        req.on('error', reject);
+        if (data) {
+            req.write(data);
+        }
+        req.end();
+    });
+}
+
+function seed(store) {
+    return [
+        store.save({ name: 'Sarah M.', email: 'sarah@example.com', phone: '+14145550123', service: 'water-heater', message: 'Leaking tank', zip: '53217', details: { tankType: 'tank' }, serviceArea: { zip: '53217', status: 'in-area', areas: ['Whitefish Bay', 'Fox Point'] } }),
+        store.save({ name: '=HYPERLINK("http://evil")', email: 'mike@example.com', phone: '+14145550188', service: 'commercial', message: 'Grease trap, "urgent"', zip: '60601', serviceArea: { zip: '60601', status: 'out-of-area', areas: [] } }),
+        store.save({ name: 'Lisa T.', email: 'lisa@example.com', phone: '+14145550142', service: 'water-heater', message: 'No hot water', zip: '', serviceArea: { zip: null, status: 'unknown', areas: [] } })
+    ];
+}
+
+describe('Lead Admin', () => {
+    let dir;
+    let store;
+    let admin;
+    let leads;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-admin-'));
+        store = new LeadStore({ filePath: path.join(dir, 'leads.jsonl') });
+        admin = new LeadAdmin({ store, username: 'office', password: 'letmein' });
+        leads = seed(store);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should only accept the configured credentials', () => {
+        expect(admin.authorize(AUTH)).toBe(true);
+        expect(admin.authorize(`Basic ${Buffer.from('office:guess').toString('base64')}`)).toBe(false);
+        expect(admin.authorize(undefined)).toBe(false);
+        expect(new LeadAdmin({ store, password: '' }).authorize(AUTH)).toBe(false);
+    });
+
+    test('should filter by service, area and status', () => {
+        expect(admin.list({ service: 'water-heater' }).map(lead => lead.name)).toEqual(['Lisa T.', 'Sarah M.']);
+        expect(admin.list({ area: 'Fox Point' }).map(lead => lead.name)).toEqual(['Sarah M.']);
+        expect(admin.list({ area: 'out-of-area' })).toHaveLength(1);
+        expect(admin.list({ status: 'new' })).toHaveLength(3);
+    });
+
+    test('should record status changes with notes', () => {
+        const { lead } = admin.updateStatus(leads[0].id, { status: 'contacted', note: 'Left voicemail' });
+
+        expect(lead.status).toBe('contacted');
+        expect(lead.notes).toEqual([expect.objectContaining({ status: 'contacted', text: 'Left voicemail' })]);
+        expect(admin.list({ status: 'contacted' }).map(item => item.id)).toEqual([leads[0].id]);
+        expect(store.getAll()).toHaveLength(3);
+    });
+
+    test('should reject unknown statuses and leads', () => {
+        expect(admin.updateStatus(leads[0].id, { status: 'lost' }).errors.status).toMatch(/one of/);
+        expect(admin.updateStatus('RW-00000000-000000', { status: 'closed' }).notFound).toBe(true);
+    });
+
+    test('should export readable, spreadsheet-safe CSV', () => {
+        const csv = admin.toCsv(admin.list());
+        const lines = csv.trim().split('\r\n');
+
+        expect(lines[0]).toBe('"Reference","Received","Status","Name","Email","Phone","Service","ZIP","Area","Details","Message","Photos","Notes"');
+        expect(csv).toContain('"\'=HYPERLINK(""http://evil"")"');
+        expect(csv).toContain('"Grease trap, ""urgent"""');
+        expect(csv).toContain('"+14145550123"');
+        expect(csv).toContain('"What kind of water heater is it? Tank"');
+    });
+});
+
+describe('Lead Dashboard Routes', () => {
+    let server;
+    let port;
+    let dir;
+    let leads;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-admin-'));
+        const dataFile = path.join(dir, 'leads.jsonl');
+        leads = seed(new LeadStore({ filePath: dataFile }));
+        server = new LeadServer({
+            port: 0,
+            dataFile,
+            rejectedFile: path.join(dir, 'rejected.jsonl'),
+            adminAuth: { username: 'office', password: 'letmein' }
+        });
+        port = (await server.start()).address().port;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should ask for a password', async () => {
+        const response = await request(port, 'GET', '/admin', { auth: null });
+
+        expect(response.status).toBe(401);
+        expect(response.headers['www-authenticate']).toMatch(/^Basic/);
+        expect(response.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    test('should stay disabled without a configured password', async () => {
+        await server.stop();
+        server = new LeadServer({ port: 0, dataFile: path.join(dir, 'leads.jsonl'), adminAuth: { password: '' } });
+        port = (await server.start()).address().port;
+
+        expect((await request(port, 'GET', '/api/admin/leads')).status).toBe(503);
+    });
+
+    test('should serve the dashboard page', async () => {
+        const response = await request(port, 'GET', '/admin');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/text\/html/);
+        expect(response.body).toContain('Quote Requests');
+    });
+
+    test('should list filtered leads with the area options', async () => {
+        const response = await request(port, 'GET', '/api/admin/leads?service=commercial');
+
+        expect(response.body.leads.map(lead => lead.id)).toEqual([leads[1].id]);
+        expect(response.body.areas).toContain('Whitefish Bay');
+        expect(response.body.statuses).toEqual(['new', 'contacted', 'scheduled', 'closed']);
+    });
+
+    test('should update a lead status over JSON only', async () => {
+        const update = { status: 'scheduled', note: 'Tuesday 9am' };
+        const formPost = await request(port, 'PATCH', `/api/admin/leads/${leads[2].id}`, { body: update, contentType: 'text/plain' });
+        const response = await request(port, 'PATCH', `/api/admin/leads/${leads[2].id}`, { body: update });
+
+        expect(formPost.status).toBe(415);
+        expect(response.status).toBe(200);
+        expect(response.body.lead.status).toBe('scheduled');
+    });
+
+    test('should reject an update that is not a JSON object', async () => {
+        const response = await request(port, 'PATCH', `/api/admin/leads/${leads[2].id}`, { body: null });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('INVALID_JSON');
+    });
+
+    test('should download CSV for the current filters', async () => {
+        const response = await request(port, 'GET', '/api/admin/leads.csv?area=Fox%20Point');
+
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        expect(response.headers['content-disposition']).toMatch(/attachment; filename="radius-works-leads-/);
+        expect(response.body.trim().split('\r\n')).toHaveLength(2);
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for Lead Email Notifications
+ * Tests the templates, the outbox and SMTP transports, and retry with backoff
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+
+const LeadNotifier = require('../server/lead-notifier.js');
+const MailTemplates = require('../server/mail-templates.js');
+const { OutboxTransport, SmtpTransport, buildMimeMessage } = require('../server/mail-transports.js');
+
+const LEAD = {
+    id: 'RW-20260115-A1B2C3',
+    receivedAt: '2026-01-15T14:30:00.000Z',
+    name: 'Sarah <b>M.</b>',
+    email: 'sarah@example.com',
+    phone: '+14145550123',
+    service: 'water-heater',
+    message: 'Tank is leaking\nfrom the bottom',
+    zip: '53217',
+    details: { tankType: 'tank' },
+    serviceArea: { zip: '53217', status: 'in-area', areas: ['Whitefish Bay'] },
+    photos: []
+};
+
+function decodeParts(raw) {
+    return [...raw.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n--/g)]
+        .map(match => Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8'));
+}
+
+/**
+ * A tiny SMTP server that accepts one message and records the session
+ */
+function startFakeSmtp({ rcptReply = '250 OK' } = {}) {
+    const session = { commands: [], data: '' };
+    const server = net.createServer(socket => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 Queued\r\n');
+                    } else {
+                        session.data += `${line}\r\n`;
+                    }
+                    continue;
+                }
+                session.commands.push(line);
+                if (line.startsWith('EHLO')) socket.write('250-test\r\n250 SIZE 1000000\r\n');
+                else if (line.startsWith('RCPT')) socket.write(`${rcptReply}\r\n`);
+                else if (line === 'DATA') { inData = true; socket.write('354 Go ahead\r\n'); }
+                else if (line === 'QUIT') { socket.end('221 Bye\r\n'); }
+                else socket.write('250 OK\r\n');
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port })));
+}
+
+describe('Mail Templates', () => {
+    test('should put the reference number and service tips in the customer confirmation', () => {
+        const email = MailTemplates.customerConfirmation(LEAD);
+
+        expect(email.subject).toBe('We received your water heater request (RW-20260115-A1B2C3)');
+        expect(email.text).toContain('Your reference number is RW-20260115-A1B2C3');
+        expect(email.text).toContain('cold-water supply valve');
+        expect(email.html).toContain('RW-20260115-A1B2C3');
+    });
+
+    test('should escape customer input in the office HTML', () => {
+        const email = MailTemplates.officeNotification(LEAD);
+
+        expect(email.html).toContain('Sarah &lt;b&gt;M.&lt;/b&gt;');
+        expect(email.html).not.toContain('<b>M.</b>');
+        expect(email.text).toContain('ZIP: 53217 (Whitefish Bay)');
+        expect(email.text).toContain('What kind of water heater is it?: Tank');
+    });
+
+    test('should flag emergencies in the office subject', () => {
+        expect(MailTemplates.officeNotification({ ...LEAD, service: 'emergency' }).subject).toMatch(/^🚨 EMERGENCY/);
+    });
+});
+
+describe('Mail Transports', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should build a multipart message without header injection', () => {
+        const raw = buildMimeMessage({
+            from: 'Radius Works <no-reply@radiusworks.net>',
+            to: 'sarah@example.com',
+            subject: 'Hello\r\nBcc: victim@example.com',
+            text: 'Plain',
+            html: '<p>Rich</p>'
+        });
+
+        expect(raw).toContain('Subject: Hello Bcc: victim@example.com');
+        expect(raw).not.toMatch(/^Bcc:/m);
+        expect(raw).toContain('Content-Type: multipart/alternative');
+        expect(decodeParts(raw)).toEqual(['Plain', '<p>Rich</p>']);
+    });
+
+    test('should encode only the display name of an address', () => {
+        const raw = buildMimeMessage({
+            from: 'Radius Works <no-reply@radiusworks.net>',
+            to: ['zoë@example.com', 'Núñez, José <jose@example.com>'],
+            replyTo: 'José Núñez <jose@example.com>',
+            subject: 'Presupuesto',
+            text: 'Plain',
+            html: '<p>Rich</p>'
+        });
+        const header = name => raw.match(new RegExp(`^${name}: (.*)$`, 'm'))[1];
+        const decodeWord = word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf8');
+
+        expect(header('From')).toBe('Radius Works <no-reply@radiusworks.net>');
+        const [, name, address] = header('Reply-To').match(/^(\S+) <(.+)>$/);
+        expect(decodeWord(name)).toBe('José Núñez');
+        expect(address).toBe('jose@example.com');
+        expect(header('To')).toMatch(/^zoë@example\.com, =\?UTF-8\?B\?\S+\?= <jose@example\.com>$/);
+        expect(buildMimeMessage({ from: 'a@example.com', to: 'Doe, Jane <jane@example.com>', subject: 'x', text: '', html: '' }))
+            .toContain('To: "Doe, Jane" <jane@example.com>');
+    });
+
+    test('should drop messages in the outbox folder', async () => {
+        const transport = new OutboxTransport({ dir });
+        const { file } = await transport.send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'x', html: 'y' });
+
+        expect(path.dirname(file)).toBe(dir);
+        expect(fs.readFileSync(file, 'utf8')).toContain('To: b@example.com');
+    });
+
+    test('should deliver over SMTP', async () => {
+        const { server, session, port } = await startFakeSmtp();
+        const transport = new SmtpTransport({ host: '127.0.0.1', port, secure: false, clientName: 'test' });
+
+        try {
+            await transport.send({ from: 'Radius Works <no-reply@radiusworks.net>', to: 'sarah@example.com', subject: 'Hi', text: '.dot', html: '<p>x</p>' });
+        } finally {
+            server.close();
+        }
+
+        expect(session.commands).toEqual(expect.arrayContaining([
+            'EHLO test',
+            'MAIL FROM:<no-reply@radiusworks.net>',
+            'RCPT TO:<sarah@example.com>',
+            'DATA'
+        ]));
+        expect(session.data).toContain('Subject: Hi');
+    });
+
+    test('should mark rejected recipients as permanent failures', async () => {
+        const { server, port } = await startFakeSmtp({ rcptReply: '550 No such user' });
+        const transport = new SmtpTransport({ host: '127.0.0.1', port, secure: false });
+
+        try {
+            await expect(transport.send({ from: 'a@example.com', to: 'nobody@example.com', subject: 'Hi', text: 'x', html: 'y' }))
+                .rejects.toMatchObject({ code: 550, permanent: true });
+        } finally {
+            server.close();
+        }
+    });
+
+    test('should refuse to send credentials without TLS', async () => {
+        const { server, port } = await startFakeSmtp();
+        const transport = new SmtpTransport({ host: '127.0.0.1', port, secure: false, user: 'office', password: 'secret' });
+
+        try {
+            await expect(transport.send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'x', html: 'y' }))
+                .rejects.toThrow(/unencrypted/);
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe('Lead Notifier', () => {
+    test('should email the office and the customer', async () => {
+        const sent = [];
+        const notifier = new LeadNotifier({ transport: { name: 'memory', send: async message => sent.push(message) }, officeAddress: 'office@example.com' });
+
+        await notifier.notifyNewLead(LEAD);
+
+        expect(sent.map(message => message.to)).toEqual(['office@example.com', 'sarah@example.com']);
+        expect(sent[0].replyTo).toContain('sarah@example.com');
+        expect(sent[1].replyTo).toBe('office@example.com');
+    });
+
+    test('should retry temporary failures with growing delays', async () => {
+        const delays = [];
+        let calls = 0;
+        const transport = {
+            name: 'flaky',
+            send: async () => {
+                calls++;
+                if (calls < 3) throw new Error('Connection refused');
+                return {};
+            }
+        };
+        const notifier = new LeadNotifier({ transport, baseDelayMs: 1000, sleep: async ms => delays.push(ms) });
+
+        const result = await notifier.deliver({ kind: 'office' }, LEAD.id);
+
+        expect(result).toMatchObject({ sent: true, attempts: 3 });
+        expect(delays).toHaveLength(2);
+        expect(delays[0]).toBeGreaterThanOrEqual(800);
+        expect(delays[0]).toBeLessThanOrEqual(1200);
+        expect(delays[1]).toBeGreaterThanOrEqual(1600);
+        expect(delays[1]).toBeLessThanOrEqual(2400);
+    });
+
+    test('should give up after the last attempt or a permanent failure', async () => {
+        const sleep = jest.fn(async () => {});
+        const failing = new LeadNotifier({ transport: { send: async () => { throw new Error('Timed out'); } }, maxAttempts: 3, sleep });
+        const rejected = new LeadNotifier({
+            transport: { send: async () => { throw Object.assign(new Error('550 No such user'), { permanent: true }); } },
+            sleep
+        });
+
+        expect(await failing.deliver({ kind: 'office' }, LEAD.id)).toMatchObject({ sent: false, attempts: 3 });
+        expect(await rejected.deliver({ kind: 'customer' }, LEAD.id)).toMatchObject({ sent: false, attempts: 1 });
+        expect(sleep).toHaveBeenCalledTimes(2);
+    });
+});
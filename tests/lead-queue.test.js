@@ -0,0 +1,216 @@
+/**
+ * Unit Tests for the Offline Lead Queue
+ * Tests persistence, de-duplication and retry behaviour
+ */
+
+window.LeadValidation = require('../js/lead-validation.js');
+const OfflineLeadQueue = require('../js/lead-queue.js');
+const { QuoteFormController } = require('../js/form-controller.js');
+
+const lead = {
+    name: 'Robert K.',
+    email: 'robert@example.com',
+    phone: '+14145550163',
+    service: 'emergency',
+    message: 'Pipe burst in the basement',
+    submissionId: 'sub-0001-abcdef'
+};
+
+function networkError() {
+    const error = new Error('Offline');
+    error.type = 'network';
+    return error;
+}
+
+describe('Offline Lead Queue', () => {
+    let queue;
+
+    beforeEach(() => {
+        localStorage.clear();
+        queue = new OfflineLeadQueue();
+    });
+
+    test('should persist queued leads across instances', () => {
+        queue.enqueue(lead);
+
+        expect(new OfflineLeadQueue().getAll()[0].lead).toEqual(lead);
+    });
+
+    test('should not queue the same submission or content twice', () => {
+        queue.enqueue(lead);
+        queue.enqueue(lead);
+        queue.enqueue({ ...lead, submissionId: 'sub-0002-abcdef', name: '  robert k. ' });
+
+        expect(queue.size()).toBe(1);
+    });
+
+    test('should remove leads once they are sent', async () => {
+        queue.enqueue(lead);
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-1' } }) };
+
+        const outcome = await queue.flush(transport);
+
+        expect(outcome.sent).toHaveLength(1);
+        expect(queue.size()).toBe(0);
+    });
+
+    test('should keep leads while the network is still down', async () => {
+        queue.enqueue(lead);
+        const transport = { send: jest.fn().mockRejectedValue(networkError()) };
+
+        const outcome = await queue.flush(transport);
+
+        expect(outcome.remaining).toBe(1);
+    });
+
+    test('should discard leads the server permanently rejects', async () => {
+        queue.enqueue(lead);
+        const rejected = Object.assign(new Error('Invalid'), { type: 'server', status: 422 });
+        const transport = { send: jest.fn().mockRejectedValue(rejected) };
+
+        const outcome = await queue.flush(transport);
+
+        expect(outcome.discarded).toHaveLength(1);
+        expect(queue.size()).toBe(0);
+    });
+
+    test('should keep leads whose form token the server no longer accepts', async () => {
+        queue.enqueue(lead);
+        const stale = Object.assign(new Error('Your form has expired.'), { type: 'server', status: 400, code: 'INVALID_TOKEN' });
+        const transport = { send: jest.fn().mockRejectedValue(stale) };
+
+        const outcome = await queue.flush(transport);
+
+        expect(outcome.discarded).toEqual([]);
+        expect(queue.getAll()[0].attempts).toBe(1);
+    });
+
+    test('should queue leads without their form token or photos', () => {
+        const photos = [{ name: 'leak.jpg', type: 'image/jpeg', data: 'AAAA' }, { name: 'pipe.jpg', type: 'image/jpeg', data: 'BBBB' }];
+
+        const item = queue.enqueue({ ...lead, formToken: 'lsx1.abc', photos });
+
+        expect(item.droppedPhotos).toBe(2);
+        expect(new OfflineLeadQueue().getAll()[0].lead).toEqual(lead);
+    });
+
+    test('should share a single in-flight flush', async () => {
+        queue.enqueue(lead);
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-1' } }) };
+
+        await Promise.all([queue.flush(transport), queue.flush(transport)]);
+
+        expect(transport.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should tolerate corrupt storage', () => {
+        localStorage.setItem('radiusworks:lead-queue', '{broken');
+
+        expect(queue.getAll()).toEqual([]);
+    });
+});
+
+describe('Quote Form Controller offline behaviour', () => {
+    let form;
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <form>
+                <input type="text" name="name">
+                <input type="email" name="email">
+                <input type="tel" name="phone">
+                <select name="service"><option value=""></option><option value="emergency">Emergency</option></select>
+                <textarea name="message"></textarea>
+                <button type="submit">Send Message</button>
+                <div class="form-status"></div>
+            </form>
+        `;
+        form = document.querySelector('form');
+        form.elements.name.value = 'Robert K.';
+        form.elements.email.value = 'robert@example.com';
+        form.elements.phone.value = '414-555-0163';
+        form.elements.service.value = 'emergency';
+        form.elements.message.value = 'Pipe burst in the basement';
+    });
+
+    test('should save the lead and enter the queued state when the network fails', async () => {
+        const queue = new OfflineLeadQueue();
+        const transport = { send: jest.fn().mockRejectedValue(networkError()) };
+        const controller = QuoteFormController.attach(form, { transport, queue });
+
+        await controller.submit();
+
+        expect(controller.state).toBe('queued');
+        expect(queue.size()).toBe(1);
+        expect(queue.getAll()[0].lead.submissionId).toBeTruthy();
+        expect(form.querySelector('.form-status').textContent).toContain("back online");
+    });
+
+    test('should send queued leads when the browser comes back online', async () => {
+        const queue = new OfflineLeadQueue();
+        const transport = { send: jest.fn().mockRejectedValueOnce(networkError()) };
+        const controller = QuoteFormController.attach(form, { transport, queue, resetDelay: null });
+        await controller.submit();
+
+        transport.send.mockResolvedValueOnce({ success: true, lead: { id: 'RW-20240101-0A0B0C' } });
+        await controller.handleOnline();
+
+        expect(queue.size()).toBe(0);
+        expect(controller.state).toBe('success');
+        expect(transport.send.mock.calls[1][0].submissionId).toBe(transport.send.mock.calls[0][0].submissionId);
+        expect(form.querySelector('.form-status').textContent).toContain('RW-20240101-0A0B0C');
+    });
+
+    test('should tell the user when photos could not be saved offline', async () => {
+        const queue = new OfflineLeadQueue();
+        const transport = { send: jest.fn().mockRejectedValue(networkError()) };
+        const attachments = { photos: [{}], input: form.elements.message, collect: jest.fn().mockResolvedValue([{ name: 'leak.jpg', type: 'image/jpeg', data: 'AAAA' }]), clear: jest.fn() };
+        const controller = QuoteFormController.attach(form, { transport, queue, attachments });
+
+        await controller.submit();
+
+        expect(queue.getAll()[0].lead).not.toHaveProperty('photos');
+        expect(form.querySelector('.form-status').textContent).toContain('photos could not be saved');
+    });
+
+    test('should send queued leads with a newly fetched form token', async () => {
+        new OfflineLeadQueue().enqueue({ ...lead, formToken: 'old.token' });
+        const transport = {
+            fetchFormToken: jest.fn().mockResolvedValue({ token: 'fresh.token', readyAt: 0 }),
+            send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-3' } })
+        };
+
+        const controller = QuoteFormController.attach(form, { transport, queue: new OfflineLeadQueue(), resetDelay: null });
+        await controller.queue.flushing;
+
+        // One for the form itself, one for the saved leads
+        expect(transport.fetchFormToken).toHaveBeenCalledTimes(2);
+        expect(transport.send).toHaveBeenCalledWith({ ...lead, formToken: 'fresh.token' });
+    });
+
+    test('should keep queued leads when no form token can be fetched', async () => {
+        new OfflineLeadQueue().enqueue(lead);
+        const transport = {
+            fetchFormToken: jest.fn().mockRejectedValue(new Error('Could not get a form token')),
+            send: jest.fn()
+        };
+
+        const controller = QuoteFormController.attach(form, { transport, queue: new OfflineLeadQueue(), resetDelay: null });
+        const outcome = await controller.queue.flushing;
+
+        expect(transport.send).not.toHaveBeenCalled();
+        expect(outcome.remaining).toBe(1);
+    });
+
+    test('should retry leads left over from a previous visit', async () => {
+        new OfflineLeadQueue().enqueue(lead);
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-2' } }) };
+
+        const controller = QuoteFormController.attach(form, { transport, queue: new OfflineLeadQueue(), resetDelay: null });
+        await controller.queue.flushing;
+
+        expect(transport.send).toHaveBeenCalledWith(lead);
+        expect(new OfflineLeadQueue().size()).toBe(0);
+    });
+});
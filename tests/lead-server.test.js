@@ -0,0 +1,449 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for the Lead Intake Server
+ * Tests validation, persistence and structured responses
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const LeadServer = require('../server/lead-server.js');
+const LeadStore = require('../server/lead-store.js');
+const PhotoStorage = require('../server/photo-storage.js');
+const FormTokenSigner = require('../server/form-token.js');
+const LeadValidation = require('../js/lead-validation.js');
+
+function request(port, method, urlPath, body, extraHeaders = {}) {
+    return new Promise((resolve, reject) => {
+        const data = typeof body === 'string' ? body : JSON.stringify(body || {});
+        const headers = method === 'POST'
+            ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...extraHeaders }
+            : { ...extraHeaders };
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let raw = '';
+            res.on('data', chunk => { raw += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: raw ? JSON.parse(raw) : null }));
+        });
+        req.on('error', reject);
+        if (method === 'POST') {
+            req.write(data);
+        }
+        req.end();
+    });
+}
+
+describe('Lead Validation', () => {
+    const validLead = {
+        name: 'Sarah M.',
+        email: 'sarah@example.com',
+        phone: '(414) 555-0123',
+        service: 'water-heater',
+        message: 'Water heater is leaking from the bottom'
+    };
+
+    test('should accept a complete lead', () => {
+        const result = LeadValidation.validateLead(validLead);
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual({});
+    });
+
+    test('should report every missing field', () => {
+        const result = LeadValidation.validateLead({});
+        expect(result.valid).toBe(false);
+        expect(Object.keys(result.errors).sort()).toEqual(['email', 'message', 'name', 'phone', 'service']);
+    });
+
+    test('should reject unknown service types and malformed phone numbers', () => {
+        const result = LeadValidation.validateLead({ ...validLead, service: 'roofing', phone: '....' });
+        expect(result.errors.service).toBeTruthy();
+        expect(result.errors.phone).toBeTruthy();
+    });
+
+    test('should normalize US phone numbers to E.164', () => {
+        expect(LeadValidation.normalizePhone('(414) 800-9188')).toBe('+14148009188');
+        expect(LeadValidation.normalizePhone('1-414-800-9188')).toBe('+14148009188');
+        expect(LeadValidation.normalizePhone('414.800.9188')).toBe('+14148009188');
+        expect(LeadValidation.normalizePhone('....')).toBeNull();
+        expect(LeadValidation.normalizePhone('555-1234')).toBeNull();
+        expect(LeadValidation.normalizePhone('(014) 800-9188')).toBeNull();
+    });
+
+    test('should trim fields and ignore unexpected keys', () => {
+        const result = LeadValidation.validateLead({ ...validLead, name: '  Sarah M.  ', admin: true });
+        expect(result.lead.name).toBe('Sarah M.');
+        expect(result.lead).not.toHaveProperty('admin');
+    });
+
+    test('should keep only wizard answers that belong to the chosen service', () => {
+        const result = LeadValidation.validateLead({
+            ...validLead,
+            details: { tankType: 'tankless', fuelType: 'plutonium', drainCount: '2-3', '__proto__': 'x' }
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.lead.details).toEqual({ tankType: 'tankless' });
+        expect(LeadValidation.validateLead(validLead).lead).not.toHaveProperty('details');
+    });
+});
+
+// Smallest header the type sniffer recognises as a JPEG
+const JPEG_BYTES = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0xFF, 0xD9]);
+
+describe('Photo Storage', () => {
+    const storage = new PhotoStorage({ uploadDir: os.tmpdir(), maxPhotos: 2, maxPhotoSize: 64 });
+    const jpeg = { name: 'sink.jpg', data: JPEG_BYTES.toString('base64') };
+
+    test('should treat a lead without photos as valid', () => {
+        expect(storage.validate(undefined)).toEqual({ valid: true, photos: [] });
+    });
+
+    test('should detect the type from the file contents', () => {
+        const result = storage.validate([{ ...jpeg, name: 'sink.png', type: 'image/png' }]);
+        expect(result.valid).toBe(true);
+        expect(result.photos[0].type).toBe('image/jpeg');
+    });
+
+    test('should enforce the photo count and size limits', () => {
+        expect(storage.validate([jpeg, jpeg, jpeg]).error).toMatch(/no more than 2/);
+        expect(storage.validate([{ name: 'huge.jpg', data: Buffer.alloc(100, 0xFF).toString('base64') }]).error).toMatch(/too large/);
+        expect(storage.validate('not-a-list').valid).toBe(false);
+    });
+});
+
+describe('Lead Intake Server', () => {
+    let server;
+    let port;
+    let dataFile;
+    let rejectedFile;
+    let uploadDir;
+    let triageFile;
+    let outboxDir;
+
+    function signedLead(overrides = {}) {
+        return {
+            name: 'Mike D.',
+            email: 'mike@example.com',
+            phone: '414-555-0188',
+            service: 'commercial',
+            message: 'Grease trap backing up in the kitchen',
+            formToken: server.tokenSigner.issue(Date.now() - 10000),
+            ...overrides
+        };
+    }
+
+    beforeEach(async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-'));
+        dataFile = path.join(dir, 'leads.jsonl');
+        rejectedFile = path.join(dir, 'rejected-leads.jsonl');
+        uploadDir = path.join(dir, 'uploads');
+        triageFile = path.join(dir, 'triage-events.jsonl');
+        outboxDir = path.join(dir, 'outbox');
+        server = new LeadServer({
+            port: 0,
+            dataFile,
+            rejectedFile,
+            uploadDir,
+            triageFile,
+            rateLimit: { limit: 3 },
+            notifications: { type: 'outbox', outboxDir }
+        });
+        const httpServer = await server.start();
+        port = httpServer.address().port;
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        await server.notifier.idle();
+        fs.rmSync(path.dirname(dataFile), { recursive: true, force: true });
+    });
+
+    test('should store a valid lead and return its reference number', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead());
+
+        expect(response.status).toBe(201);
+        expect(response.body.success).toBe(true);
+        expect(response.body.lead.id).toMatch(/^RW-\d{8}-[0-9A-F]{6}$/);
+
+        const stored = new LeadStore({ filePath: dataFile }).getAll();
+        expect(stored).toHaveLength(1);
+        expect(stored[0].id).toBe(response.body.lead.id);
+        expect(stored[0].service).toBe('commercial');
+        expect(stored[0].phone).toBe('+14145550188');
+    });
+
+    test('should email the office and the customer', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead());
+        await server.notifier.idle();
+
+        const emails = fs.readdirSync(outboxDir).map(file => fs.readFileSync(path.join(outboxDir, file), 'utf8'));
+        expect(emails).toHaveLength(2);
+        expect(emails.some(email => email.includes('To: radius@engineer.com'))).toBe(true);
+        expect(emails.some(email => email.includes('To: mike@example.com'))).toBe(true);
+        expect(emails.every(email => email.includes(response.body.lead.id))).toBe(true);
+    });
+
+    test('should not email rejected submissions', async () => {
+        await request(port, 'POST', '/api/leads', signedLead({ formToken: undefined }));
+        await server.notifier.idle();
+
+        expect(fs.existsSync(outboxDir)).toBe(false);
+    });
+
+    test('should tag leads inside and outside the service area', async () => {
+        await request(port, 'POST', '/api/leads', signedLead({ zip: '53217' }));
+        await request(port, 'POST', '/api/leads', signedLead({ zip: '60601-1234', message: 'Visiting from Chicago' }));
+
+        const [inArea, outOfArea] = new LeadStore({ filePath: dataFile }).getAll();
+        expect(inArea.serviceArea.status).toBe('in-area');
+        expect(inArea.serviceArea.areas).toContain('Fox Point');
+        expect(outOfArea.zip).toBe('60601');
+        expect(outOfArea.serviceArea).toEqual({ zip: '60601', status: 'out-of-area', areas: [] });
+    });
+
+    test('should reject a malformed ZIP code', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead({ zip: '532' }));
+
+        expect(response.status).toBe(422);
+        expect(response.body.error.fields.zip).toMatch(/5-digit ZIP/);
+    });
+
+    test('should not store a retried submission twice', async () => {
+        const lead = signedLead({ submissionId: 'sub-retry-0001' });
+
+        const first = await request(port, 'POST', '/api/leads', lead);
+        const second = await request(port, 'POST', '/api/leads', lead);
+
+        expect(first.status).toBe(201);
+        expect(second.status).toBe(200);
+        expect(second.body.duplicate).toBe(true);
+        expect(second.body.lead.id).toBe(first.body.lead.id);
+        expect(new LeadStore({ filePath: dataFile }).getAll()).toHaveLength(1);
+    });
+
+    test('should save attached photos under the lead reference number', async () => {
+        const photos = [{ name: 'leak.jpg', type: 'image/jpeg', data: JPEG_BYTES.toString('base64') }];
+        const response = await request(port, 'POST', '/api/leads', signedLead({ photos }));
+
+        expect(response.status).toBe(201);
+
+        const [stored] = new LeadStore({ filePath: dataFile }).getAll();
+        expect(stored.photos).toEqual([{
+            file: path.join(response.body.lead.id, 'photo-1.jpg'),
+            originalName: 'leak.jpg',
+            type: 'image/jpeg',
+            size: JPEG_BYTES.length
+        }]);
+        expect(fs.readFileSync(path.join(uploadDir, stored.photos[0].file))).toEqual(JPEG_BYTES);
+    });
+
+    test('should accept the largest photos the photo checks allow', async () => {
+        const { maxPhotos, maxPhotoSize } = server.photoStorage;
+        const photo = Buffer.concat([JPEG_BYTES, Buffer.alloc(maxPhotoSize - JPEG_BYTES.length, 0xff)]);
+        const photos = Array.from({ length: maxPhotos }, (_, index) => ({
+            name: `leak-${index + 1}.jpg`,
+            type: 'image/jpeg',
+            data: photo.toString('base64')
+        }));
+
+        const response = await request(port, 'POST', '/api/leads', signedLead({ photos }));
+
+        expect(response.status).toBe(201);
+        const [stored] = new LeadStore({ filePath: dataFile }).getAll();
+        expect(stored.photos).toHaveLength(maxPhotos);
+        expect(fs.statSync(path.join(uploadDir, stored.photos[0].file)).size).toBe(maxPhotoSize);
+    });
+
+    test('should reject photos that are not really images', async () => {
+        const photos = [{ name: 'invoice.jpg', type: 'image/jpeg', data: Buffer.from('<?php echo 1; ?> padding').toString('base64') }];
+        const response = await request(port, 'POST', '/api/leads', signedLead({ photos }));
+
+        expect(response.status).toBe(422);
+        expect(response.body.error.fields.photos).toMatch(/invoice\.jpg/);
+        expect(fs.existsSync(dataFile)).toBe(false);
+        expect(fs.existsSync(uploadDir)).toBe(false);
+    });
+
+    test('should return field errors for an invalid lead', async () => {
+        const response = await request(port, 'POST', '/api/leads', { name: 'No Email' });
+
+        expect(response.status).toBe(422);
+        expect(response.body.success).toBe(false);
+        expect(response.body.error.code).toBe('VALIDATION_FAILED');
+        expect(response.body.error.fields.email).toBeTruthy();
+        expect(fs.existsSync(dataFile)).toBe(false);
+    });
+
+    test('should issue form tokens', async () => {
+        const response = await request(port, 'GET', '/api/form-token');
+
+        expect(response.status).toBe(200);
+        expect(server.tokenSigner.verify(response.body.token, Date.now() + 5000).valid).toBe(true);
+        expect(response.body.minSubmitMs).toBe(3000);
+    });
+
+    test('should reject submissions without a form token', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead({ formToken: undefined }));
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('REJECTED');
+        expect(fs.existsSync(dataFile)).toBe(false);
+    });
+
+    test('should tell stale form tokens apart from missing ones', async () => {
+        const expired = await request(port, 'POST', '/api/leads', signedLead({ formToken: server.tokenSigner.issue(Date.now() - 8 * 24 * 60 * 60 * 1000) }));
+        const otherSecret = new FormTokenSigner({ secret: 'before-restart' }).issue(Date.now() - 10000);
+        const resigned = await request(port, 'POST', '/api/leads', signedLead({ formToken: otherSecret }));
+
+        expect([expired.status, expired.body.error.code]).toEqual([400, 'INVALID_TOKEN']);
+        expect([resigned.status, resigned.body.error.code]).toEqual([400, 'INVALID_TOKEN']);
+    });
+
+    test('should ask humans who submit too quickly to try again', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead({ formToken: server.tokenSigner.issue() }));
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('TOO_FAST');
+    });
+
+    test('should reject a filled honeypot and log it separately', async () => {
+        const response = await request(port, 'POST', '/api/leads', signedLead({ website: 'http://spam.example' }));
+
+        expect(response.status).toBe(400);
+        expect(fs.existsSync(dataFile)).toBe(false);
+
+        const rejected = new LeadStore({ filePath: rejectedFile }).getAll();
+        expect(rejected).toHaveLength(1);
+        expect(rejected[0].rejection.reasons).toContain('honeypot-filled');
+        expect(rejected[0].email).toBe('mike@example.com');
+    });
+
+    test('should rate limit repeated submissions from one IP', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const response = await request(port, 'POST', '/api/leads', signedLead({ message: `Leak number ${i}` }));
+            statuses.push(response.status);
+        }
+
+        expect(statuses).toEqual([201, 201, 201, 429]);
+        expect(new LeadStore({ filePath: rejectedFile }).getAll()[0].rejection.reasons).toEqual(['rate-limited']);
+    });
+
+    test('should log only the first rate-limited request of a burst', async () => {
+        for (let i = 0; i < 6; i++) {
+            await request(port, 'POST', '/api/leads', signedLead({ message: `Leak number ${i}` }));
+        }
+
+        expect(new LeadStore({ filePath: rejectedFile }).getAll()).toHaveLength(1);
+    });
+
+    test('should ignore X-Forwarded-For unless a trusted proxy is configured', async () => {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const response = await request(port, 'POST', '/api/leads', signedLead({ message: `Leak number ${i}` }), { 'X-Forwarded-For': `203.0.113.${i}` });
+            statuses.push(response.status);
+        }
+        expect(statuses).toEqual([201, 201, 201, 429]);
+
+        server.trustProxy = true;
+        const spoofed = await request(port, 'POST', '/api/leads', signedLead({ message: 'Behind the proxy' }), { 'X-Forwarded-For': '198.51.100.7, 203.0.113.9' });
+
+        expect(spoofed.status).toBe(201);
+        expect(new LeadStore({ filePath: dataFile }).getAll().pop().source.ip).toBe('203.0.113.9');
+    });
+
+    test('should keep its form token secret across restarts', async () => {
+        const token = server.tokenSigner.issue(Date.now() - 10000);
+        await server.stop();
+        server = new LeadServer({ port: 0, dataFile, rejectedFile, uploadDir, triageFile, notifications: { type: 'outbox', outboxDir } });
+        port = (await server.start()).address().port;
+
+        const response = await request(port, 'POST', '/api/leads', signedLead({ formToken: token }));
+
+        expect(response.status).toBe(201);
+        expect(fs.existsSync(path.join(path.dirname(dataFile), 'form-token.secret'))).toBe(true);
+    });
+
+    test('should log emergency triage routes', async () => {
+        const response = await request(port, 'POST', '/api/triage', {
+            path: 'call',
+            priority: 'urgent',
+            answers: { flooding: true, gasSmell: false, noWater: 'maybe' }
+        });
+
+        expect(response.status).toBe(201);
+        const [event] = new LeadStore({ filePath: triageFile }).getAll();
+        expect(event).toMatchObject({ path: 'call', priority: 'urgent', answers: { flooding: true, gasSmell: false } });
+        expect(event.answers).not.toHaveProperty('noWater');
+    });
+
+    test('should refuse unknown triage routes', async () => {
+        const response = await request(port, 'POST', '/api/triage', { path: 'drop-tables', priority: 'urgent' });
+
+        expect(response.status).toBe(422);
+        expect(fs.existsSync(triageFile)).toBe(false);
+    });
+
+    test('should reject malformed JSON', async () => {
+        const response = await request(port, 'POST', '/api/leads', '{not json');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('INVALID_JSON');
+    });
+
+    test('should answer an oversized body with 413 instead of dropping the connection', async () => {
+        const body = JSON.stringify({ path: 'call', priority: 'urgent', note: 'x'.repeat(1024 * 1024) });
+        const declared = await request(port, 'POST', '/api/triage', body);
+
+        expect(declared.status).toBe(413);
+        expect(declared.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+
+        // Streamed without a Content-Length, so the limit is only hit part way through
+        const streamed = await new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port, method: 'POST', path: '/api/triage', headers: { 'Content-Type': 'application/json' } }, res => {
+                let raw = '';
+                res.on('data', chunk => { raw += chunk; });
+                res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+            });
+            req.on('error', reject);
+            for (let offset = 0; offset < body.length; offset += 64 * 1024) {
+                req.write(body.slice(offset, offset + 64 * 1024));
+            }
+            req.end();
+        });
+
+        expect(streamed.status).toBe(413);
+        expect(streamed.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+        expect(fs.existsSync(triageFile)).toBe(false);
+    });
+
+    test('should reject JSON bodies that are not objects', async () => {
+        for (const body of ['null', '[]', '"lead"', '42']) {
+            const lead = await request(port, 'POST', '/api/leads', body);
+            const triage = await request(port, 'POST', '/api/triage', body);
+
+            expect([lead.status, lead.body.error.code]).toEqual([400, 'INVALID_JSON']);
+            expect([triage.status, triage.body.error.code]).toEqual([400, 'INVALID_JSON']);
+        }
+        expect(fs.existsSync(rejectedFile)).toBe(false);
+        expect(fs.existsSync(triageFile)).toBe(false);
+    });
+
+    test('should allow cross-origin requests from the static site', async () => {
+        const response = await request(port, 'OPTIONS', '/api/leads');
+
+        expect(response.status).toBe(204);
+        expect(response.headers['access-control-allow-methods']).toContain('POST');
+    });
+
+    test('should return 404 for unknown routes', async () => {
+        const response = await request(port, 'GET', '/api/unknown');
+
+        expect(response.status).toBe(404);
+        expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+});
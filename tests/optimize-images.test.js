@@ -0,0 +1,544 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for the Image Optimizer
+ * Tests real re-encoding, the size budget, the summary table, content-hashed file names,
+ * incremental/watch runs and configuration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ImageOptimizer = require('../scripts/optimize-images.js');
+const ImageUrlBuilder = require('../scripts/build-image-urls.js');
+const ImageMimeTypes = require('../js/image-mime-types.js');
+const ImageSizes = require('../js/image-sizes.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Random noise compresses badly, which makes it easy to push an image over budget
+ */
+function noise(width, height, seed = 1) {
+    const pixels = Buffer.alloc(width * height * 3);
+    let value = seed;
+    for (let i = 0; i < pixels.length; i++) {
+        value = (value * 1103515245 + 12345) & 0x7fffffff;
+        pixels[i] = value & 0xff;
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+/**
+ * Wait for a condition that a file watcher makes true
+ */
+async function waitFor(condition, timeoutMs = 15000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeoutMs) {
+            throw new Error('Timed out waiting for the watcher');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('Image Optimizer', () => {
+    let dir;
+    let options;
+    let optimizer;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'optimize-images-'));
+        fs.mkdirSync(path.join(dir, 'stock', 'hero'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'stock', 'services'), { recursive: true });
+        await noise(400, 300).jpeg({ quality: 100 }).toFile(path.join(dir, 'stock', 'hero', 'hero-main.jpg'));
+        await noise(64, 64).png().toFile(path.join(dir, 'stock', 'services', 'icon.png'));
+
+        options = {
+            sourceDir: path.join(dir, 'stock'),
+            outputDir: path.join(dir, 'optimized'),
+            metadataPath: path.join(dir, 'image-metadata.json'),
+            descriptionsPath: path.join(dir, 'image-descriptions.json'),
+            manifestPath: path.join(dir, 'manifest.json'),
+            maxFileSize: 60 * 1024
+        };
+        optimizer = new ImageOptimizer(options);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write real JPEG, PNG, WebP and AVIF files', async () => {
+        await optimizer.processAllImages();
+
+        const sniff = file => ImageMimeTypes.sniff(fs.readFileSync(path.join(dir, 'optimized', file)));
+        expect(sniff('hero/hero-main.jpg')).toBe('image/jpeg');
+        expect(sniff('hero/hero-main.webp')).toBe('image/webp');
+        expect(sniff('services/icon.png')).toBe('image/png');
+        expect(sniff('services/icon.webp')).toBe('image/webp');
+        expect(sniff('hero/hero-main.avif')).toBe('image/avif');
+        expect(sniff('services/icon-64.avif')).toBe('image/avif');
+    });
+
+    test('should step the quality down until the image fits the budget', async () => {
+        const result = await optimizer.optimizeImage('hero', 'hero-main.jpg');
+
+        expect(result.originalSize).toBeGreaterThan(60 * 1024);
+        expect(result.optimizedSize).toBeLessThanOrEqual(60 * 1024);
+        expect(result.withinBudget).toBe(true);
+        expect(fs.statSync(path.join(dir, 'optimized', 'hero', 'hero-main.jpg')).size).toBe(result.optimizedSize);
+    });
+
+    test('should report images that cannot reach the budget', async () => {
+        optimizer.maxFileSize = 1024;
+        optimizer.minQuality = 70;
+
+        const result = await optimizer.optimizeImage('hero', 'hero-main.jpg');
+
+        expect(result.withinBudget).toBe(false);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('still over the 1 KB budget'));
+    });
+
+    test('should create each responsive width without upscaling', async () => {
+        optimizer.widths = [100, 200, 800];
+
+        const result = await optimizer.optimizeImage('hero', 'hero-main.jpg');
+
+        expect(result.variants.original.map(variant => variant.file)).toEqual(['hero-main-100.jpg', 'hero-main-200.jpg', 'hero-main-400.jpg']);
+        expect(result.variants.webp.map(variant => variant.width)).toEqual([100, 200, 400]);
+        expect((await sharp(path.join(dir, 'optimized', 'hero', 'hero-main-200.webp')).metadata()).width).toBe(200);
+        expect((await sharp(path.join(dir, 'optimized', 'hero', 'hero-main.jpg')).metadata()).width).toBe(400);
+    });
+
+    test('should generate metadata from the optimized files and the descriptions', async () => {
+        fs.writeFileSync(optimizer.descriptionsPath, JSON.stringify({
+            hero: { 'hero-main': { alt: 'Plumber at work', keywords: ['milwaukee plumber'], priority: 'high' } }
+        }));
+        fs.writeFileSync(optimizer.metadataPath, JSON.stringify({
+            hero: { 'hero-main': { alt: 'Old alt text', title: 'Written by hand', dimensions: { width: 1, height: 1 } } },
+            services: { 'service-missing': { src: 'images/optimized/services/service-missing.jpg', alt: 'Gone' } },
+            seo: { openGraph: { alt: 'Radius Works' } }
+        }));
+        optimizer.widths = [200, 800];
+
+        await optimizer.processAllImages();
+        await optimizer.generateImageMetadata();
+
+        const metadata = JSON.parse(fs.readFileSync(optimizer.metadataPath, 'utf8'));
+        const hero = metadata.hero['hero-main'];
+        expect(hero).toMatchObject({ alt: 'Plumber at work', title: 'Written by hand', keywords: ['milwaukee plumber'], priority: 'high' });
+        expect(hero.dimensions).toEqual({ width: 400, height: 300 });
+        expect(hero.widths).toEqual([200, 400]);
+        expect(hero.avif).toBe(`${optimizer.outputDir}/hero/hero-main.avif`);
+        expect(Object.keys(hero.srcset)).toEqual(['original', 'avif', 'webp']);
+        expect(hero.srcset.webp[0]).toEqual({
+            width: 200,
+            src: `${optimizer.outputDir}/hero/hero-main-200.webp`,
+            bytes: fs.statSync(path.join(dir, 'optimized', 'hero', 'hero-main-200.webp')).size
+        });
+        expect(hero.bytes.original).toBe(fs.statSync(path.join(dir, 'optimized', 'hero', 'hero-main.jpg')).size);
+        expect(hero.placeholder).toMatch(/^data:image\/webp;base64,/);
+        expect(hero.placeholder.length).toBeLessThan(1000);
+        expect(hero.dominantColor).toMatch(/^#[0-9a-f]{6}$/);
+        expect(metadata.services.icon.widths).toEqual([64]);
+        expect(metadata.services['service-missing']).toBeUndefined();
+        expect(metadata.seo).toEqual({ openGraph: { alt: 'Radius Works' } });
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('services/icon has no alt text'));
+    });
+
+    test('should keep editorial fields when run again', async () => {
+        await optimizer.processAllImages();
+        await optimizer.generateImageMetadata();
+
+        const metadata = JSON.parse(fs.readFileSync(optimizer.metadataPath, 'utf8'));
+        metadata.services.icon.alt = 'Water heater icon';
+        fs.writeFileSync(optimizer.metadataPath, JSON.stringify(metadata));
+
+        const regenerated = await optimizer.generateImageMetadata();
+        expect(regenerated.services.icon.alt).toBe('Water heater icon');
+    });
+
+    test('should not mistake a standalone image ending in a number for a width variant', async () => {
+        fs.mkdirSync(path.join(dir, 'optimized', 'reviews'), { recursive: true });
+        await noise(32, 32).jpeg().toFile(path.join(dir, 'optimized', 'reviews', 'review-2.jpg'));
+
+        const images = optimizer.scanOutputs('reviews');
+
+        expect(images.map(image => image.name)).toEqual(['review-2']);
+    });
+
+    test('should write content-hashed copies of the optimized images and a manifest, dropping outdated copies', async () => {
+        await optimizer.optimizeImage('services', 'icon.png');
+        const output = path.join(optimizer.outputDir, 'services', 'icon.png');
+        const url = `${optimizer.outputDir}/services/icon.png`;
+
+        const manifest = optimizer.writeManifest();
+        const hashed = manifest[url];
+        expect(hashed).toMatch(/\/services\/icon\.[0-9a-f]{8}\.png$/);
+        expect(fs.readFileSync(hashed)).toEqual(fs.readFileSync(output));
+        expect(manifest[`${optimizer.outputDir}/services/icon-64.avif`]).toMatch(/icon-64\.[0-9a-f]{8}\.avif$/);
+        expect(JSON.parse(fs.readFileSync(optimizer.manifestPath, 'utf8'))).toEqual(manifest);
+        expect(optimizer.scanOutputs('services').map(image => image.name)).toEqual(['icon']);
+
+        fs.writeFileSync(output, 'second');
+        const updated = optimizer.writeManifest()[url];
+        expect(updated).not.toBe(hashed);
+        expect(fs.existsSync(hashed)).toBe(false);
+        expect(fs.readFileSync(updated, 'utf8')).toBe('second');
+    });
+
+    test('should hash only the optimized outputs and only remove copies an earlier manifest wrote', () => {
+        const outputs = path.join(optimizer.outputDir, 'services');
+        fs.mkdirSync(outputs, { recursive: true });
+        fs.mkdirSync(path.join(dir, 'static'));
+        // A hand-placed original, and a file that looks hashed but the optimizer never wrote
+        fs.writeFileSync(path.join(dir, 'static', 'logo.png'), 'original');
+        fs.writeFileSync(path.join(outputs, 'partner-logo.deadbeef.png'), 'theirs');
+        fs.writeFileSync(path.join(outputs, 'drain.jpg'), 'first');
+
+        optimizer.writeManifest();
+        fs.writeFileSync(path.join(outputs, 'drain.jpg'), 'second');
+        const manifest = optimizer.writeManifest();
+
+        expect(Object.keys(manifest)).toEqual([`${optimizer.outputDir}/services/drain.jpg`]);
+        expect(fs.readdirSync(path.join(dir, 'static'))).toEqual(['logo.png']);
+        expect(fs.readdirSync(outputs).sort()).toEqual([
+            'drain.jpg',
+            path.basename(manifest[`${optimizer.outputDir}/services/drain.jpg`]),
+            'partner-logo.deadbeef.png'
+        ].sort());
+    });
+
+    test('should skip unchanged sources and reprocess changed ones', async () => {
+        await optimizer.processAllImages();
+
+        const again = new ImageOptimizer(options);
+        jest.spyOn(again, 'optimizeImage');
+        await again.processAllImages();
+        expect(again.optimizeImage).not.toHaveBeenCalled();
+        expect(again.results.map(result => result.cached)).toEqual([true, true]);
+
+        await noise(64, 64, 7).png().toFile(path.join(dir, 'stock', 'services', 'icon.png'));
+        const changed = new ImageOptimizer(options);
+        jest.spyOn(changed, 'optimizeImage');
+        await changed.processAllImages();
+        expect(changed.optimizeImage.mock.calls.map(call => call[1])).toEqual(['icon.png']);
+
+        const requality = new ImageOptimizer({ ...options, quality: { webp: 70 } });
+        jest.spyOn(requality, 'optimizeImage');
+        await requality.processAllImages();
+        expect(requality.optimizeImage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should remove the outputs of deleted sources', async () => {
+        await optimizer.processAllImages();
+        fs.unlinkSync(path.join(dir, 'stock', 'services', 'icon.png'));
+
+        const summary = await optimizer.processCategory('services');
+
+        expect(summary).toEqual({ processed: 0, skipped: 0, removed: 1 });
+        expect(fs.readdirSync(path.join(dir, 'optimized', 'services'))).toEqual([]);
+        expect(optimizer.getCachedNames('services')).toEqual([]);
+        expect(fs.existsSync(path.join(dir, 'optimized', 'hero', 'hero-main.jpg'))).toBe(true);
+    });
+
+    test('should only process the chosen categories', async () => {
+        const servicesOnly = new ImageOptimizer({ ...options, only: ['services'] });
+        await servicesOnly.processAllImages();
+
+        expect(fs.existsSync(path.join(dir, 'optimized', 'services', 'icon.png'))).toBe(true);
+        expect(fs.existsSync(path.join(dir, 'optimized', 'hero'))).toBe(false);
+        expect(() => new ImageOptimizer({ ...options, only: ['kitchens'] })).toThrow('Unknown image category: kitchens');
+    });
+
+    test('should follow added and deleted sources in watch mode', async () => {
+        optimizer.watchDelayMs = 50;
+        const output = path.join(dir, 'optimized', 'services', 'badge.webp');
+        const watcher = optimizer.watch();
+
+        try {
+            await noise(48, 48, 3).png().toFile(path.join(dir, 'stock', 'services', 'badge.png'));
+            await waitFor(() => fs.existsSync(output) && fs.existsSync(optimizer.manifestPath));
+            await optimizer.queue;
+            expect(JSON.parse(fs.readFileSync(optimizer.metadataPath, 'utf8')).services.badge.widths).toEqual([48]);
+
+            fs.unlinkSync(path.join(dir, 'stock', 'services', 'badge.png'));
+            await waitFor(() => !fs.existsSync(output));
+            await optimizer.queue;
+            expect(JSON.parse(fs.readFileSync(optimizer.metadataPath, 'utf8')).services.badge).toBeUndefined();
+        } finally {
+            watcher.close();
+        }
+    }, 30000);
+
+    test('should apply per-category widths, formats and crops', async () => {
+        const configured = new ImageOptimizer({
+            ...options,
+            categories: { hero: { widths: [100, 200], formats: ['webp'], aspectRatio: '1:1' }, services: {} }
+        });
+
+        const result = await configured.optimizeImage('hero', 'hero-main.jpg');
+
+        expect(Object.keys(result.variants)).toEqual(['original', 'webp']);
+        expect(result.variants.webp.map(variant => variant.width)).toEqual([100, 200]);
+        const { width, height } = await sharp(path.join(dir, 'optimized', 'hero', 'hero-main.jpg')).metadata();
+        expect({ width, height }).toEqual({ width: 200, height: 200 });
+        expect(configured.categories).toEqual(['hero', 'services']);
+        expect(() => new ImageOptimizer({ categories: { hero: { aspectRatio: 'wide' } } })).toThrow('Invalid aspect ratio "wide"');
+        expect(() => new ImageOptimizer({ categories: { hero: { width: 100 } } })).toThrow('Unknown setting for hero: width');
+    });
+
+    test('should load a config file and let overrides win over its category settings', () => {
+        const configPath = path.join(dir, 'images.config.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            sourceDir: options.sourceDir,
+            widths: [480, 960],
+            quality: { webp: 75 },
+            categories: { hero: { widths: [1200], quality: { webp: 85, avif: 45 } }, services: { maxFileSize: 100000 } }
+        }));
+
+        const fromFile = ImageOptimizer.fromConfig({}, configPath);
+        expect(fromFile.sourceDir).toBe(options.sourceDir);
+        expect(fromFile.getSettings('hero')).toMatchObject({ widths: [1200], quality: { jpeg: 82, webp: 85, avif: 45 } });
+        expect(fromFile.getSettings('services')).toMatchObject({ widths: [480, 960], maxFileSize: 100000 });
+
+        const overridden = ImageOptimizer.fromConfig({ widths: [320], quality: { webp: 60 } }, configPath);
+        expect(overridden.getSettings('hero')).toMatchObject({ widths: [320], quality: { webp: 60, avif: 45 } });
+        expect(ImageOptimizer.loadConfig(null, dir)).toMatchObject({ widths: [480, 960] });
+        expect(() => ImageOptimizer.loadConfig(path.join(dir, 'missing.js'))).toThrow('Config file not found');
+    });
+
+    test('should turn command-line flags into options', () => {
+        expect(ImageOptimizer.parseArgs(['--widths', '320,640', '--quality=webp=70,avif=50', '--max-size', '300', '--category', 'hero,services', '--dry-run', '--config', 'x.js'])).toEqual({
+            mode: 'optimize',
+            configPath: 'x.js',
+            options: {
+                widths: [320, 640],
+                quality: { webp: 70, avif: 50 },
+                maxFileSize: 300 * 1024,
+                only: ['hero', 'services'],
+                dryRun: true
+            }
+        });
+        expect(ImageOptimizer.parseArgs(['--quality', '60', '--watch']).options.quality).toEqual({ jpeg: 60, png: 60, webp: 60, avif: 60 });
+        expect(ImageOptimizer.parseArgs(['--watch']).mode).toBe('watch');
+        expect(() => ImageOptimizer.parseArgs(['--widths', 'wide'])).toThrow('--widths must be a positive number');
+        expect(() => ImageOptimizer.parseArgs(['--source'])).toThrow('--source needs a value');
+        expect(ImageOptimizer.parseArgs(['--formats', 'webp']).options.formats).toEqual(['webp']);
+        expect(() => ImageOptimizer.parseArgs(['--formats', 'webp,jxl'])).toThrow('Unknown --formats: jxl (use avif, webp)');
+        expect(() => new ImageOptimizer({ ...options, categories: { hero: { formats: ['wepb'] } } })).toThrow('Unknown formats for hero: wepb');
+    });
+
+    test('should not write metadata or the manifest in a dry run', async () => {
+        await optimizer.processAllImages();
+        const before = fs.readdirSync(path.join(dir, 'optimized', 'hero')).sort();
+
+        const dryRun = new ImageOptimizer({ ...options, dryRun: true });
+        const metadata = await dryRun.generateImageMetadata();
+        const manifest = dryRun.writeManifest();
+
+        expect(Object.keys(metadata.hero)).toEqual(['hero-main']);
+        expect(manifest[`${optimizer.outputDir}/hero/hero-main.jpg`]).toMatch(/hero-main\.[0-9a-f]{8}\.jpg$/);
+        expect(fs.existsSync(options.metadataPath)).toBe(false);
+        expect(fs.existsSync(options.manifestPath)).toBe(false);
+        expect(fs.readdirSync(path.join(dir, 'optimized', 'hero')).sort()).toEqual(before);
+    });
+
+    test('should report what would change without writing in a dry run', async () => {
+        const dryRun = new ImageOptimizer({ ...options, dryRun: true });
+        const plans = await dryRun.init();
+
+        expect(fs.existsSync(path.join(dir, 'optimized'))).toBe(false);
+        expect(plans.map(plan => [plan.category, plan.process.map(item => `${item.file} ${item.reason}`)])).toEqual([
+            ['hero', ['hero-main.jpg new']],
+            ['services', ['icon.png new']]
+        ]);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('hero-main.jpg (new): would write 400px as jpeg, avif, webp'));
+
+        await optimizer.processAllImages();
+        const afterRun = await new ImageOptimizer({ ...options, dryRun: true, quality: { avif: 40 }, only: ['services'] }).init();
+        expect(afterRun[0].process.map(item => item.reason)).toEqual(['settings changed']);
+    });
+
+    test('should print before and after sizes per category', async () => {
+        await optimizer.processAllImages();
+        console.log.mockClear();
+        optimizer.printSummary();
+
+        const table = console.log.mock.calls.map(call => call[0]).join('\n');
+        expect(table).toMatch(/Category\s+Images\s+Before\s+After\s+WebP\s+AVIF\s+Saved/);
+        expect(table).toMatch(/hero\s+1\s/);
+        expect(table).toMatch(/services\s+1\s/);
+        expect(table).toMatch(/Total\s+2\s/);
+    });
+});
+
+describe('Image URL Builder', () => {
+    let dir;
+    let builder;
+    const manifest = {
+        'images/hero-bg.jpg': 'images/hero-bg.2c3d4e5f.jpg',
+        'images/optimized/hero/hero-main.webp': 'images/optimized/hero/hero-main.0a1b2c3d.webp',
+        'images/optimized/hero/hero-main.jpg': 'images/optimized/hero/hero-main.4e5f6a7b.jpg'
+    };
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-image-urls-'));
+        for (const file of ['images/drain-640w.jpg', 'images/drain.jpg', 'images/optimized/hero/hero-main-640w.jpg']) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), '');
+        }
+        builder = new ImageUrlBuilder({ rootDir: dir });
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should point plain, absolute and previously hashed URLs at the current files', () => {
+        const html = [
+            '<img src="images/hero-bg.jpg" alt="">',
+            '<meta property="og:image" content="https://www.radiusworks.net/images/optimized/hero/hero-main.99999999.webp">',
+            "<script>img.src = 'images/hero-bg.jpg';</script>",
+            '<img src="images/logo.png" alt="">'
+        ].join('\n');
+
+        expect(builder.build(html, manifest)).toBe([
+            '<img src="images/hero-bg.2c3d4e5f.jpg" alt="">',
+            '<meta property="og:image" content="https://www.radiusworks.net/images/optimized/hero/hero-main.0a1b2c3d.webp">',
+            "<script>img.src = 'images/hero-bg.2c3d4e5f.jpg';</script>",
+            '<img src="images/logo.png" alt="">'
+        ].join('\n'));
+    });
+
+    test('should leave an up-to-date page unchanged', () => {
+        const html = '<img src="images/hero-bg.jpg" alt="">';
+        const built = builder.build(html, manifest);
+
+        expect(builder.build(built, manifest)).toBe(built);
+    });
+
+    describe('priority hints', () => {
+        const metadata = {
+            hero: { 'hero-main': { priority: 'high' } },
+            services: { 'service-drain': { priority: 'high' }, 'service-water': { priority: 'medium' } }
+        };
+        const page = body => `<html>\n<head>\n    <title>Radius Works</title>\n    <link rel="stylesheet" href="styles.css">\n</head>\n<body>\n${body}\n</body>\n</html>`;
+        const preloads = html => html.match(/<link rel="preload"[^>]*>/g) || [];
+
+        test('should preload high priority eager images and mark the first as the LCP image', () => {
+            const html = builder.build(page([
+                '<img src="images/hero-bg.jpg" data-category="hero" data-image-name="hero-main"\n     loading="eager">',
+                '<img src="images/drain.jpg" srcset="images/drain-640w.jpg 640w, images/drain.jpg 1280w" sizes="50vw" data-category="services" data-image-name="service-drain" loading="eager">',
+                '<img src="images/water.jpg" data-category="services" data-image-name="service-water" loading="eager">',
+                '<img src="images/team.jpg" data-category="about" data-image-name="about-team" loading="lazy">',
+                '<img src="images/logo.png" alt="">'
+            ].join('\n')), manifest, metadata);
+
+            expect(preloads(html)).toEqual([
+                '<link rel="preload" as="image" href="images/hero-bg.2c3d4e5f.jpg" fetchpriority="high">',
+                '<link rel="preload" as="image" imagesrcset="images/drain-640w.jpg 640w, images/drain.jpg 1280w" imagesizes="50vw">'
+            ]);
+            expect(html.indexOf('rel="preload"')).toBeLessThan(html.indexOf('rel="stylesheet"'));
+            expect(html).toContain('data-image-name="hero-main"\n     loading="eager"\n     fetchpriority="high">');
+            expect(html).toContain('data-image-name="service-drain" loading="eager">');
+            expect(html).toContain('data-image-name="about-team" loading="lazy" fetchpriority="low">');
+            expect(html).toContain('<img src="images/logo.png" alt="">');
+        });
+
+        test('should preload the typed first source of a picture and skip pictures chosen by media query', () => {
+            const picture = source => page([
+                '<picture>',
+                `    ${source}`,
+                '    <img src="images/hero-bg.jpg" data-category="hero" data-image-name="hero-main" loading="eager">',
+                '</picture>'
+            ].join('\n'));
+
+            expect(preloads(builder.build(picture('<source type="image/webp" srcset="images/optimized/hero/hero-main.webp" sizes="100vw">'), manifest, metadata))).toEqual([
+                '<link rel="preload" as="image" imagesrcset="images/optimized/hero/hero-main.0a1b2c3d.webp" imagesizes="100vw" type="image/webp" fetchpriority="high">'
+            ]);
+            expect(preloads(builder.build(picture('<source media="(max-width: 600px)" srcset="images/hero-small.jpg">'), manifest, metadata))).toEqual([]);
+        });
+
+        test('should replace the preloads from the last build', () => {
+            const html = page('<img src="images/hero-bg.jpg" data-category="hero" data-image-name="hero-main" loading="eager">');
+            const built = builder.build(html, manifest, metadata);
+
+            expect(builder.build(built, manifest, metadata)).toBe(built);
+            expect(builder.build(built, manifest, {})).not.toMatch(/image preloads|rel="preload"/);
+        });
+
+        test('should not preload files that are neither in the manifest nor on disk', () => {
+            const html = builder.build(page([
+                '<img src="images/missing.jpg" data-category="hero" data-image-name="hero-main" loading="eager">',
+                '<img src="images/drain.jpg" srcset="images/drain-640w.jpg 640w, images/drain-1280w.jpg 1280w" sizes="50vw" data-category="services" data-image-name="service-drain" loading="eager">'
+            ].join('\n')), manifest, metadata);
+
+            expect(preloads(html)).toEqual([]);
+            expect(html).toContain('data-image-name="hero-main" loading="eager" fetchpriority="high">');
+        });
+
+        test('should give a plain img the optimized widths from the metadata and preload the same files', () => {
+            const responsive = {
+                hero: {
+                    'hero-main': {
+                        priority: 'high',
+                        srcset: {
+                            original: [
+                                { width: 640, src: 'images/optimized/hero/hero-main-640w.jpg' },
+                                { width: 1280, src: 'images/optimized/hero/hero-main.jpg' }
+                            ]
+                        }
+                    }
+                }
+            };
+            const html = builder.build(page('<img src="images/missing.jpg" data-category="hero" data-image-name="hero-main" loading="eager">'), manifest, responsive);
+            const srcset = 'images/optimized/hero/hero-main-640w.jpg 640w, images/optimized/hero/hero-main.4e5f6a7b.jpg 1280w';
+
+            expect(html).toContain(`<img src="images/missing.jpg" data-category="hero" data-image-name="hero-main" loading="eager" srcset="${srcset}" sizes="${ImageSizes.forCategory('hero')}" fetchpriority="high">`);
+            expect(preloads(html)).toEqual([
+                `<link rel="preload" as="image" imagesrcset="${srcset}" imagesizes="${ImageSizes.forCategory('hero')}" fetchpriority="high">`
+            ]);
+            expect(builder.build(html, manifest, responsive)).toBe(html);
+
+            // An image the metadata gives its own sizes keeps them
+            responsive.hero['hero-main'].sizes = '100vw';
+            expect(preloads(builder.build(html, manifest, responsive))[0]).toContain('imagesizes="100vw"');
+        });
+
+        test('should only preload files that exist for the real page, matching the hero img', () => {
+            const realBuilder = new ImageUrlBuilder({ rootDir: ROOT });
+            const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+            const metadata = JSON.parse(fs.readFileSync(path.join(ROOT, 'scripts/image-metadata.json'), 'utf8'));
+
+            // As committed: the hero file is not on disk, so nothing is preloaded and the page is up to date
+            expect(realBuilder.build(html, {}, metadata)).toBe(html);
+            expect(preloads(html)).toEqual([]);
+
+            const hero = metadata.hero['hero-main-plumber'];
+            hero.srcset = {
+                original: [
+                    { width: 960, src: 'images/optimized/hero/hero-main-plumber-960w.png' },
+                    { width: 1920, src: 'images/optimized/hero/hero-main-plumber.png' }
+                ]
+            };
+            const deployed = {
+                'images/optimized/hero/hero-main-plumber-960w.png': 'images/optimized/hero/hero-main-plumber-960w.1a2b3c4d.png',
+                'images/optimized/hero/hero-main-plumber.png': 'images/optimized/hero/hero-main-plumber.5e6f7a8b.png'
+            };
+            const built = realBuilder.build(html, deployed, metadata);
+            const img = built.match(/<img\b[^>]*data-image-name="hero-main-plumber"[^>]*>/)[0];
+
+            expect(preloads(built)).toEqual([
+                `<link rel="preload" as="image" imagesrcset="${ImageUrlBuilder.getAttribute(img, 'srcset')}" imagesizes="${ImageUrlBuilder.getAttribute(img, 'sizes')}" fetchpriority="high">`
+            ]);
+            expect(ImageUrlBuilder.getAttribute(img, 'srcset')).toBe('images/optimized/hero/hero-main-plumber-960w.1a2b3c4d.png 960w, images/optimized/hero/hero-main-plumber.5e6f7a8b.png 1920w');
+            expect(ImageUrlBuilder.getAttribute(img, 'sizes')).toBe(ImageSizes.forCategory('hero'));
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Integration Tests for the Live Page's Images
+ * Loads index.html, boots the image manager the way the page does and checks it took over each image
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const METADATA = JSON.parse(fs.readFileSync(path.join(ROOT, 'scripts/image-metadata.json'), 'utf8'));
+// The manifest is written at deploy time and only lists optimized images
+const MANIFEST = {};
+
+require('../js/image-fallbacks.js');
+require('../js/image-enhancements.js');
+
+// jsdom has no canvas encoder; answer like a browser without WebP encoding
+HTMLCanvasElement.prototype.toDataURL = jest.fn(() => 'data:image/png;base64,');
+
+describe('Page Images', () => {
+    let manager;
+    let hero;
+
+    beforeAll(async () => {
+        document.documentElement.innerHTML = PAGE.replace(/^<!DOCTYPE[^>]*>/i, '');
+        fetch
+            .mockResolvedValueOnce({ json: async () => METADATA })
+            .mockResolvedValueOnce({ json: async () => MANIFEST });
+
+        document.dispatchEvent(new Event('DOMContentLoaded'));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        manager = window.imageEnhancementManager;
+        hero = document.querySelector('.hero-img-enhanced');
+    });
+
+    test('should load the fallback registry and the image manager before the page scripts', () => {
+        const scripts = Array.from(document.querySelectorAll('script[src]')).map(script => script.getAttribute('src'));
+
+        expect(scripts.indexOf('js/image-fallbacks.js')).toBeGreaterThan(-1);
+        expect(scripts.indexOf('js/image-enhancements.js')).toBeGreaterThan(scripts.indexOf('js/image-fallbacks.js'));
+        expect(scripts.indexOf('script.js')).toBeGreaterThan(scripts.indexOf('js/image-enhancements.js'));
+        expect(PAGE).not.toMatch(/setTimeout\([\s\S]*?handleHeroImageError/);
+    });
+
+    test('should mark the hero as the LCP image from the markup and only preload files that exist', () => {
+        const preloads = Array.from(document.head.querySelectorAll('link[rel="preload"][as="image"]'));
+        const urls = preloads.flatMap(preload => preload.getAttribute('imagesrcset')
+            ? preload.getAttribute('imagesrcset').split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+            : [preload.getAttribute('href')]);
+
+        expect(hero.getAttribute('fetchpriority')).toBe('high');
+        urls.forEach(url => expect(fs.existsSync(path.join(ROOT, url))).toBe(true));
+    });
+
+    test('should boot the manager on DOMContentLoaded with the site metadata', () => {
+        expect(manager).toBeDefined();
+        expect(manager.imageMetadata).toEqual(METADATA);
+    });
+
+    test('should enhance every image the page tags with a category and name', () => {
+        const images = Array.from(document.querySelectorAll('img[data-category][data-image-name]'));
+
+        expect(images.length).toBe(4);
+        images.forEach(img => {
+            const imageData = METADATA[img.dataset.category][img.dataset.imageName];
+            expect(img.dataset.enhanced).toBe('true');
+            expect(img.alt).toBe(imageData.alt);
+            expect(img.title).toBe(imageData.title);
+        });
+    });
+
+    test('should take over the hero image from the inline handlers', () => {
+        const placeholder = document.querySelector('.hero-placeholder');
+
+        expect(hero.hasAttribute('onload')).toBe(false);
+        expect(hero.hasAttribute('onerror')).toBe(false);
+        expect(hero.style.display).toBe('');
+        expect(hero.loading).toBe('eager');
+        expect(hero.classList.contains('loading')).toBe(true);
+        expect(placeholder.style.display).not.toBe('none');
+
+        hero.dispatchEvent(new Event('load'));
+
+        expect(hero.classList.contains('loaded')).toBe(true);
+        expect(hero.classList.contains('loading')).toBe(false);
+        expect(placeholder.style.display).toBe('none');
+    });
+
+    test('should send image failures through the category fallback chains', () => {
+        const teamPhoto = document.querySelector('.team-primary-img');
+
+        hero.dispatchEvent(new Event('error'));
+        expect(hero.getAttribute('src')).toBe('images/hero-bg.jpg');
+
+        hero.dispatchEvent(new Event('error'));
+        expect(hero.style.display).toBe('none');
+        expect(document.querySelector('.hero-image-container').classList.contains('hero-fallback-gradient')).toBe(true);
+
+        teamPhoto.dispatchEvent(new Event('error'));
+        expect(document.querySelector('.team-primary').classList.contains('team-fallback')).toBe(true);
+
+        expect(Object.keys(manager.getFallbackStats())).toEqual(['hero/hero-main-plumber', 'about/about-team-group']);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Quote Photo Attachments
+ * Tests client-side checks, previews and how photos reach the lead payload
+ */
+
+window.LeadValidation = require('../js/lead-validation.js');
+window.ImageMimeTypes = require('../js/image-mime-types.js');
+global.ImageMimeTypes = window.ImageMimeTypes;
+const PhotoAttachmentManager = require('../js/photo-attachments.js');
+const { QuoteFormController } = require('../js/form-controller.js');
+
+const FORM_HTML = `
+    <div class="contact-form">
+        <form>
+            <input type="text" name="name" value="Lisa T.">
+            <input type="email" name="email" value="lisa@example.com">
+            <input type="tel" name="phone" value="414-555-0142">
+            <select name="service">
+                <option value="drain-cleaning" selected>Drain Cleaning</option>
+            </select>
+            <textarea name="message">Floor drain keeps backing up</textarea>
+            <div class="form-group photo-upload">
+                <input type="file" id="quote-photos" name="photos" multiple>
+            </div>
+            <button type="submit" class="btn btn-primary">Send Message</button>
+            <div class="form-status" role="status" aria-live="polite"></div>
+        </form>
+    </div>
+`;
+
+function photo(name, type = 'image/jpeg', size = 1024) {
+    return new File([new Uint8Array(size)], name, { type });
+}
+
+describe('Photo Attachment Manager', () => {
+    let input;
+    let manager;
+
+    beforeEach(() => {
+        document.body.innerHTML = FORM_HTML;
+        URL.createObjectURL = jest.fn(file => `blob:${file.name}`);
+        URL.revokeObjectURL = jest.fn();
+        input = document.getElementById('quote-photos');
+        manager = new PhotoAttachmentManager(input, { maxFiles: 2, maxFileSize: 4096 });
+    });
+
+    test('should show a removable thumbnail for each accepted photo', () => {
+        manager.addFiles([photo('sink.jpg'), photo('drain.png', 'image/png')]);
+
+        const thumbnails = document.querySelectorAll('.photo-previews img');
+        expect(thumbnails).toHaveLength(2);
+        expect(thumbnails[1].src).toBe('blob:drain.png');
+
+        document.querySelector('.photo-remove').click();
+        expect(manager.photos.map(item => item.file.name)).toEqual(['drain.png']);
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:sink.jpg');
+    });
+
+    test('should skip files that are the wrong type, too large or over the limit', () => {
+        const onError = jest.fn();
+        manager.onError = onError;
+
+        manager.addFiles([
+            photo('notes.pdf', 'application/pdf'),
+            photo('huge.jpg', 'image/jpeg', 8192),
+            photo('one.jpg'),
+            photo('two.jpg'),
+            photo('three.jpg')
+        ]);
+
+        expect(manager.photos).toHaveLength(2);
+        expect(onError.mock.calls[0][0]).toMatch(/notes\.pdf is not a JPEG, PNG or WebP photo/);
+        expect(onError.mock.calls[0][0]).toMatch(/huge\.jpg is larger than/);
+        expect(onError.mock.calls[0][0]).toMatch(/up to 2 photos/);
+    });
+
+    test('should fall back to the file extension when the browser reports no type', () => {
+        manager.addFiles([photo('leak.webp', '')]);
+
+        expect(manager.photos[0].type).toBe('image/webp');
+    });
+
+    test('should encode photos as base64 for upload', async () => {
+        manager.addFiles([photo('sink.jpg', 'image/jpeg', 3)]);
+
+        expect(await manager.collect()).toEqual([{ name: 'sink.jpg', type: 'image/jpeg', size: 3, data: 'AAAA' }]);
+    });
+});
+
+describe('Quote Form Photo Uploads', () => {
+    let form;
+
+    beforeEach(() => {
+        document.body.innerHTML = FORM_HTML;
+        URL.createObjectURL = jest.fn(file => `blob:${file.name}`);
+        URL.revokeObjectURL = jest.fn();
+        form = document.querySelector('form');
+    });
+
+    test('should send attached photos with the lead and clear them afterwards', async () => {
+        const attachments = new PhotoAttachmentManager(form.elements.photos);
+        const transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-1' } }) };
+        const controller = new QuoteFormController(form, { transport, attachments, resetDelay: null });
+
+        attachments.addFiles([photo('sink.jpg', 'image/jpeg', 3)]);
+        await controller.submit();
+
+        const lead = transport.send.mock.calls[0][0];
+        expect(lead.photos).toEqual([{ name: 'sink.jpg', type: 'image/jpeg', size: 3, data: 'AAAA' }]);
+        expect(lead.name).toBe('Lisa T.');
+        expect(attachments.photos).toHaveLength(0);
+    });
+
+    test('should show rejected photos as an inline field error', () => {
+        const attachments = new PhotoAttachmentManager(form.elements.photos);
+        new QuoteFormController(form, { transport: { send: jest.fn() }, attachments });
+
+        attachments.addFiles([photo('notes.pdf', 'application/pdf')]);
+
+        const input = form.elements.photos;
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+        expect(document.getElementById('quote-photos-error').textContent).toMatch(/notes\.pdf/);
+
+        attachments.addFiles([photo('sink.jpg')]);
+        expect(input.hasAttribute('aria-invalid')).toBe(false);
+    });
+});
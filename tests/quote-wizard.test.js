@@ -0,0 +1,213 @@
+/**
+ * Unit Tests for the Guided Quote Wizard
+ * Tests step navigation, service follow-up questions and saved drafts
+ */
+
+window.QuoteQuestions = require('../js/quote-questions.js');
+window.LeadValidation = require('../js/lead-validation.js');
+const { QuoteFormController } = require('../js/form-controller.js');
+const QuoteWizard = require('../js/quote-wizard.js');
+
+const FORM_HTML = `
+    <div class="contact-form">
+        <form>
+            <div class="form-honeypot" aria-hidden="true">
+                <input type="text" id="quote-website" name="website" tabindex="-1">
+            </div>
+            <fieldset class="wizard-step" data-step="service">
+                <legend>Service</legend>
+                <select name="service">
+                    <option value="">Select Service Type</option>
+                    <option value="water-heater">Water Heater</option>
+                    <option value="drain-cleaning">Drain Cleaning</option>
+                </select>
+            </fieldset>
+            <fieldset class="wizard-step" data-step="details" hidden>
+                <legend>Details</legend>
+            </fieldset>
+            <fieldset class="wizard-step" data-step="contact">
+                <legend>Contact</legend>
+                <input type="text" name="name">
+                <input type="email" name="email">
+                <input type="tel" name="phone">
+                <textarea name="message"></textarea>
+            </fieldset>
+            <button type="submit" class="btn btn-primary">Send Message</button>
+            <div class="form-status" role="status" aria-live="polite"></div>
+        </form>
+    </div>
+`;
+
+function createStorage() {
+    const data = {};
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; }
+    };
+}
+
+function choose(field, value) {
+    field.value = value;
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+describe('Quote Wizard', () => {
+    let form;
+    let storage;
+    let transport;
+
+    function setup() {
+        const wizard = new QuoteWizard(form, { storage });
+        const controller = QuoteFormController.attach(form, {
+            transport,
+            resetDelay: null,
+            validators: [wizard.validator, QuoteFormController.leadValidator]
+        });
+        return { wizard, controller };
+    }
+
+    beforeEach(() => {
+        document.body.innerHTML = FORM_HTML;
+        form = document.querySelector('form');
+        storage = createStorage();
+        transport = { send: jest.fn().mockResolvedValue({ success: true, lead: { id: 'RW-1' } }) };
+    });
+
+    test('should start on the first step with a progress indicator', () => {
+        const { wizard } = setup();
+
+        expect(wizard.steps[0].hidden).toBe(false);
+        expect(wizard.steps[2].hidden).toBe(true);
+        expect(form.querySelector('[aria-current="step"]').textContent).toBe('Service');
+        expect(wizard.backButton.hidden).toBe(true);
+        expect(wizard.submitButton.hidden).toBe(true);
+    });
+
+    test('should not move on until the current step is valid', () => {
+        const { wizard } = setup();
+
+        expect(wizard.next()).toBe(false);
+        expect(form.elements.service.getAttribute('aria-invalid')).toBe('true');
+        expect(wizard.currentIndex).toBe(0);
+    });
+
+    test('should ask follow-up questions for the chosen service', () => {
+        const { wizard } = setup();
+
+        choose(form.elements.service, 'water-heater');
+        expect(form.elements['details[tankType]']).toBeTruthy();
+        expect(form.elements['details[fuelType]']).toBeTruthy();
+
+        choose(form.elements.service, 'drain-cleaning');
+        expect(form.elements['details[tankType]']).toBeUndefined();
+        expect(form.elements['details[drainCount]']).toBeTruthy();
+
+        wizard.next();
+        expect(form.dataset.step).toBe('details');
+        expect(document.activeElement).toBe(form.elements['details[drainCount]']);
+    });
+
+    test('should move back and forward between steps', () => {
+        const { wizard } = setup();
+
+        choose(form.elements.service, 'drain-cleaning');
+        wizard.next();
+        choose(form.elements['details[drainCount]'], '2-3');
+        wizard.next();
+        expect(form.dataset.step).toBe('contact');
+        expect(wizard.submitButton.hidden).toBe(false);
+        expect(form.querySelectorAll('.wizard-progress-step.complete')).toHaveLength(2);
+
+        wizard.back();
+        expect(form.dataset.step).toBe('details');
+        expect(form.elements['details[drainCount]'].value).toBe('2-3');
+    });
+
+    test('should advance instead of submitting from an earlier step', () => {
+        setup();
+        choose(form.elements.service, 'drain-cleaning');
+
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        expect(form.dataset.step).toBe('details');
+        expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    test('should send the structured answers with the lead', async () => {
+        const { wizard, controller } = setup();
+
+        choose(form.elements.service, 'water-heater');
+        wizard.next();
+        choose(form.elements['details[tankType]'], 'tankless');
+        choose(form.elements['details[fuelType]'], 'gas');
+        wizard.next();
+        form.elements.name.value = 'Sarah M.';
+        form.elements.email.value = 'sarah@example.com';
+        form.elements.phone.value = '(414) 555-0123';
+        form.elements.message.value = 'No hot water since this morning';
+
+        await controller.submit();
+
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({
+            service: 'water-heater',
+            details: { tankType: 'tankless', fuelType: 'gas' }
+        }));
+    });
+
+    test('should return to a step with server-side errors', async () => {
+        transport.send.mockRejectedValue(Object.assign(new Error('Please correct the highlighted fields'), {
+            type: 'server',
+            status: 422,
+            fields: { service: 'Please select a valid service type' }
+        }));
+        const { wizard, controller } = setup();
+
+        choose(form.elements.service, 'drain-cleaning');
+        wizard.next();
+        choose(form.elements['details[drainCount]'], '1');
+        wizard.next();
+        form.elements.name.value = 'Sarah M.';
+        form.elements.email.value = 'sarah@example.com';
+        form.elements.phone.value = '(414) 555-0123';
+        form.elements.message.value = 'Kitchen sink is slow';
+        await controller.submit();
+
+        expect(form.dataset.step).toBe('service');
+        expect(document.activeElement).toBe(form.elements.service);
+    });
+
+    test('should restore a saved draft at the same step', () => {
+        const first = setup().wizard;
+        choose(form.elements.service, 'water-heater');
+        first.next();
+        choose(form.elements['details[tankType]'], 'tank');
+
+        // Reload the page
+        document.body.innerHTML = FORM_HTML;
+        form = document.querySelector('form');
+        const { wizard } = setup();
+
+        expect(form.elements.service.value).toBe('water-heater');
+        expect(form.elements['details[tankType]'].value).toBe('tank');
+        expect(wizard.steps[1].hidden).toBe(false);
+    });
+
+    test('should discard the draft once the request is sent', async () => {
+        const { wizard, controller } = setup();
+        choose(form.elements.service, 'drain-cleaning');
+        wizard.next();
+        choose(form.elements['details[drainCount]'], '1');
+        wizard.next();
+        form.elements.name.value = 'Sarah M.';
+        form.elements.email.value = 'sarah@example.com';
+        form.elements.phone.value = '(414) 555-0123';
+        form.elements.message.value = 'Kitchen sink is slow';
+
+        await controller.submit();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(storage.getItem('radiusworks:quote-draft')).toBeNull();
+        expect(form.dataset.step).toBe('service');
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Unit Tests for Responsive Picture Elements
+ * Tests srcset width descriptors, per-category sizes, modern format sources, format detection, placeholders
+ * and hashed URLs from the image manifest
+ */
+
+const ImageEnhancementManager = require('../js/image-enhancements.js');
+
+// jsdom has no canvas encoder; answer like a browser without WebP encoding
+HTMLCanvasElement.prototype.toDataURL = jest.fn(() => 'data:image/png;base64,');
+
+const METADATA = {
+    services: {
+        'service-drain-cleaning': {
+            src: 'images/optimized/services/service-drain-cleaning.jpg',
+            optimized: 'images/optimized/services/service-drain-cleaning.jpg',
+            webp: 'images/optimized/services/service-drain-cleaning.webp',
+            avif: 'images/optimized/services/service-drain-cleaning.avif',
+            alt: 'Drain cleaning',
+            placeholder: 'data:image/webp;base64,UklGRh4AAABXRUJQVlA4TBEAAAAvAAAAAAfQ//73v/+BiOh/AAA=',
+            dominantColor: '#335577',
+            widths: [480, 768],
+            srcset: {
+                avif: [
+                    { width: 480, src: 'images/optimized/services/service-drain-cleaning-480.avif' },
+                    { width: 768, src: 'images/optimized/services/service-drain-cleaning-768.avif' }
+                ],
+                webp: [
+                    { width: 480, src: 'images/optimized/services/service-drain-cleaning-480.webp' },
+                    { width: 768, src: 'images/optimized/services/service-drain-cleaning-768.webp' }
+                ],
+                original: [
+                    { width: 480, src: 'images/optimized/services/service-drain-cleaning-480.jpg' },
+                    { width: 768, src: 'images/optimized/services/service-drain-cleaning-768.jpg' }
+                ]
+            }
+        },
+        'service-legacy': {
+            src: 'images/optimized/services/service-legacy.jpg',
+            optimized: 'images/optimized/services/service-legacy.jpg',
+            alt: 'Legacy entry'
+        }
+    }
+};
+
+/**
+ * Create a manager and let it finish loading the metadata and image manifest
+ */
+async function createManager(options, manifest = {}) {
+    fetch
+        .mockResolvedValueOnce({ json: async () => JSON.parse(JSON.stringify(METADATA)) })
+        .mockResolvedValueOnce({ json: async () => manifest });
+    const manager = new ImageEnhancementManager(options);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return manager;
+}
+
+describe('Responsive Picture Elements', () => {
+    let manager;
+
+    beforeEach(async () => {
+        manager = await createManager();
+    });
+
+    test('should list every width with a descriptor and the category sizes', () => {
+        const source = manager.createPictureElement('services', 'service-drain-cleaning').querySelector('source[data-format="standard"]');
+
+        expect(source.getAttribute('srcset')).toBe(
+            'images/optimized/services/service-drain-cleaning-480.jpg 480w, images/optimized/services/service-drain-cleaning-768.jpg 768w'
+        );
+        expect(source.getAttribute('sizes')).toBe(ImageEnhancementManager.DEFAULT_SIZES.services);
+    });
+
+    test('should let the constructor, metadata or caller override sizes', async () => {
+        manager = await createManager({ sizes: { services: '50vw' } });
+        const sizes = (...args) => manager.createPictureElement('services', ...args).querySelector('source').getAttribute('sizes');
+        expect(sizes('service-drain-cleaning')).toBe('50vw');
+
+        manager.imageMetadata.services['service-drain-cleaning'].sizes = '30vw';
+        expect(sizes('service-drain-cleaning')).toBe('30vw');
+        expect(sizes('service-drain-cleaning', '', { sizes: '10vw' })).toBe('10vw');
+    });
+
+    test('should keep a single URL for entries without recorded widths', () => {
+        const source = manager.createPictureElement('services', 'service-legacy').querySelector('source');
+
+        expect(source.getAttribute('srcset')).toBe('images/optimized/services/service-legacy.jpg');
+        expect(source.hasAttribute('sizes')).toBe(false);
+    });
+
+    test('should offer AVIF, then WebP, then the original', () => {
+        const sources = [...manager.createPictureElement('services', 'service-drain-cleaning').querySelectorAll('source')];
+
+        expect(sources.map(source => source.type)).toEqual(['image/avif', 'image/webp', 'image/jpeg']);
+        expect(sources[0].getAttribute('srcset')).toContain('service-drain-cleaning-480.avif 480w');
+        expect(manager.getOptimizedImageSrc('services', 'service-drain-cleaning', 'avif')).toBe('images/optimized/services/service-drain-cleaning.avif');
+    });
+});
+
+describe('Image Format Detection', () => {
+    let manager;
+
+    beforeEach(async () => {
+        sessionStorage.clear();
+        manager = await createManager();
+        manager.formatDetection = null;
+        sessionStorage.clear();
+    });
+
+    test('should detect formats once and cache the result for the session', async () => {
+        manager.canDecode = jest.fn(async dataUri => dataUri.startsWith('data:image/avif'));
+
+        const support = await manager.detectFormatSupport();
+        await manager.detectFormatSupport();
+
+        expect(support).toEqual({ avif: true, webp: false });
+        expect(manager.canDecode).toHaveBeenCalledTimes(2);
+        expect(JSON.parse(sessionStorage.getItem(ImageEnhancementManager.FORMAT_SUPPORT_KEY))).toEqual(support);
+
+        const next = await createManager();
+        next.formatDetection = null;
+        next.canDecode = jest.fn();
+        expect(await next.detectFormatSupport()).toEqual(support);
+        expect(next.canDecode).not.toHaveBeenCalled();
+    });
+
+    test('should flag supported formats on the root element and keep picture sources', async () => {
+        manager.canDecode = jest.fn(async () => true);
+        document.body.innerHTML = '<picture><source type="image/webp" srcset="a.webp"><img src="a.jpg" alt=""></picture>';
+
+        await manager.setupFormatSupport();
+
+        expect(document.documentElement.classList.contains('avif')).toBe(true);
+        expect(document.documentElement.classList.contains('webp')).toBe(true);
+        expect(document.querySelector('source[type="image/webp"]')).not.toBeNull();
+    });
+});
+
+describe('Image Placeholders', () => {
+    let manager;
+
+    beforeEach(async () => {
+        manager = await createManager();
+    });
+
+    test('should show the blurred preview and dominant colour until the image loads', () => {
+        const picture = manager.createPictureElement('services', 'service-drain-cleaning');
+        const img = picture.querySelector('img');
+
+        expect(picture.classList.contains('has-placeholder')).toBe(true);
+        expect(picture.style.backgroundColor).toBe('rgb(51, 85, 119)');
+        expect(picture.style.getPropertyValue('--placeholder-image')).toContain('data:image/webp;base64,');
+        expect(picture.classList.contains('placeholder-loaded')).toBe(false);
+
+        img.dispatchEvent(new Event('load'));
+        expect(picture.classList.contains('placeholder-loaded')).toBe(true);
+    });
+
+    test('should leave images without a recorded placeholder alone', () => {
+        const picture = manager.createPictureElement('services', 'service-legacy');
+
+        expect(picture.classList.contains('has-placeholder')).toBe(false);
+        expect(picture.style.backgroundColor).toBe('');
+    });
+
+    test('should replace the generic hero placeholder', () => {
+        manager.imageMetadata.hero = { 'hero-main': { alt: 'Plumber', placeholder: 'data:image/webp;base64,AAAA', dominantColor: '#112233' } };
+        document.body.innerHTML = `
+            <div class="hero-image-container">
+                <img class="hero-img-enhanced" data-category="hero" data-image-name="hero-main" src="hero.jpg" alt="">
+                <div class="hero-placeholder">🔧</div>
+            </div>`;
+
+        manager.enhanceHeroImages();
+
+        expect(document.querySelector('.hero-image-container').classList.contains('has-placeholder')).toBe(true);
+        expect(document.querySelector('.hero-placeholder').style.display).toBe('none');
+    });
+});
+
+describe('Hashed Image URLs', () => {
+    const MANIFEST = {
+        'images/optimized/services/service-drain-cleaning.jpg': 'images/optimized/services/service-drain-cleaning.1a2b3c4d.jpg',
+        'images/optimized/services/service-drain-cleaning.webp': 'images/optimized/services/service-drain-cleaning.5e6f7a8b.webp',
+        'images/optimized/services/service-drain-cleaning-480.webp': 'images/optimized/services/service-drain-cleaning-480.9c0d1e2f.webp',
+        'images/residential-service.jpg': 'images/residential-service.0badf00d.jpg'
+    };
+
+    test('should resolve sources, srcset entries and fallbacks through the manifest', async () => {
+        const manager = await createManager(undefined, MANIFEST);
+        const picture = manager.createPictureElement('services', 'service-drain-cleaning');
+
+        expect(fetch).toHaveBeenCalledWith('images/manifest.json');
+        expect(picture.querySelector('img').getAttribute('src')).toBe('images/optimized/services/service-drain-cleaning.1a2b3c4d.jpg');
+        expect(picture.querySelector('img').dataset.fallbackSrc).toBe('images/residential-service.0badf00d.jpg');
+        expect(picture.querySelector('source[data-format="webp"]').getAttribute('srcset')).toBe(
+            'images/optimized/services/service-drain-cleaning-480.9c0d1e2f.webp 480w, images/optimized/services/service-drain-cleaning-768.webp 768w'
+        );
+        expect(manager.getOptimizedImageSrc('services', 'service-drain-cleaning')).toBe('images/optimized/services/service-drain-cleaning.5e6f7a8b.webp');
+    });
+
+    test('should use plain paths when there is no manifest', async () => {
+        fetch
+            .mockResolvedValueOnce({ json: async () => JSON.parse(JSON.stringify(METADATA)) })
+            .mockRejectedValueOnce(new Error('Not found'));
+        const manager = new ImageEnhancementManager();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(manager.getOptimizedImageSrc('services', 'service-drain-cleaning', 'original')).toBe('images/optimized/services/service-drain-cleaning.jpg');
+    });
+});
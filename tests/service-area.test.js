@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for the Service Area Checker
+ * Tests ZIP lookups, the "Do you serve my area?" widget and the generated page sections
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ServiceArea, ServiceAreaChecker } = require('../js/service-area.js');
+const ServiceAreaBuilder = require('../scripts/build-service-areas.js');
+
+const data = require('../scripts/service-areas.json');
+
+describe('Service Area Lookup', () => {
+    test('should list every municipality served in a ZIP code', () => {
+        expect(ServiceArea.lookup('53217')).toEqual({
+            zip: '53217',
+            valid: true,
+            served: true,
+            areas: ['Bayside', 'Whitefish Bay', 'Glendale', 'River Hills', 'Fox Point']
+        });
+        expect(ServiceArea.lookup('53092').areas).toEqual(['Mequon']);
+    });
+
+    test('should accept ZIP+4 codes and reject malformed ones', () => {
+        expect(ServiceArea.normalizeZip(' 53211-1234 ')).toBe('53211');
+        expect(ServiceArea.normalizeZip('5321')).toBeNull();
+        expect(ServiceArea.lookup('abcde').valid).toBe(false);
+    });
+
+    test('should tag leads as in-area, out-of-area or unknown', () => {
+        expect(ServiceArea.tag('53211').status).toBe('in-area');
+        expect(ServiceArea.tag('60601')).toEqual({ zip: '60601', status: 'out-of-area', areas: [] });
+        expect(ServiceArea.tag('').status).toBe('unknown');
+        expect(ServiceArea.tag('53211', null).status).toBe('unknown');
+    });
+});
+
+describe('Service Area Checker Widget', () => {
+    let input;
+    let output;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form class="area-checker">
+                <input type="text" name="zip">
+                <button type="submit">Check</button>
+                <p class="area-result" role="status"></p>
+            </form>
+        `;
+        input = document.querySelector('input');
+        output = document.querySelector('.area-result');
+    });
+
+    test('should confirm ZIP codes we serve when the form is submitted', async () => {
+        const checker = new ServiceAreaChecker(input, output);
+        input.value = '53211';
+
+        await checker.handleTrigger(new Event('submit', { cancelable: true }));
+
+        expect(output.textContent).toBe('Good news! We serve 53211 (Milwaukee, Whitefish Bay, Shorewood).');
+        expect(output.className).toBe('area-result area-result-served');
+    });
+
+    test('should flag ZIP codes outside the service area', async () => {
+        const checker = new ServiceAreaChecker(input, output, { outsideMessage: zip => `Sorry, not ${zip}` });
+        input.value = '60601';
+
+        await checker.check();
+
+        expect(output.textContent).toBe('Sorry, not 60601');
+        expect(output.classList.contains('area-result-outside')).toBe(true);
+    });
+
+    test('should stay quiet about malformed ZIP codes when asked to', async () => {
+        const checker = new ServiceAreaChecker(input, output, { trigger: 'change', showInvalid: false });
+        input.value = '123';
+
+        await checker.check();
+
+        expect(output.textContent).toBe('');
+    });
+});
+
+describe('Service Area Builder', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const builder = new ServiceAreaBuilder();
+
+    test('should keep index.html in sync with the data file', () => {
+        expect(builder.build(html, data)).toBe(html);
+    });
+
+    test('should generate the area grid and structured data from the data file', () => {
+        const extended = { ...data, areas: [...data.areas, { name: 'Brown Deer', zips: ['53223'] }] };
+        const built = builder.build(html, extended);
+
+        document.documentElement.innerHTML = built;
+        const gridNames = Array.from(document.querySelectorAll('.areas-grid .area')).map(area => area.textContent);
+        const structuredData = JSON.parse(document.querySelector('script[type="application/ld+json"]').textContent);
+
+        expect(gridNames).toEqual(extended.areas.map(area => area.name));
+        expect(structuredData.serviceArea.map(area => area.name)).toContain('Brown Deer, WI');
+        expect(structuredData.serviceArea[0]['@type']).toBe('City');
+    });
+});
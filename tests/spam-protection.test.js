@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for Quote Spam Protection
+ * Tests form tokens, rate limiting and content heuristics
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FormTokenSigner = require('../server/form-token.js');
+const RateLimiter = require('../server/rate-limiter.js');
+const SpamFilter = require('../server/spam-filter.js');
+
+describe('Form Token Signer', () => {
+    const signer = new FormTokenSigner({ secret: 'test-secret', minSubmitMs: 3000, maxAgeMs: 60000 });
+    const issuedAt = 1700000000000;
+
+    test('should accept a token used after the minimum time', () => {
+        expect(signer.verify(signer.issue(issuedAt), issuedAt + 5000)).toEqual({ valid: true, elapsed: 5000 });
+    });
+
+    test('should reject tokens used too quickly or too late', () => {
+        const token = signer.issue(issuedAt);
+        expect(signer.verify(token, issuedAt + 1000).reason).toBe('submitted-too-fast');
+        expect(signer.verify(token, issuedAt + 120000).reason).toBe('expired-token');
+    });
+
+    test('should reject tampered, foreign and missing tokens', () => {
+        const [, signature] = signer.issue(issuedAt).split('.');
+        const backdated = `${(issuedAt - 10000).toString(36)}.${signature}`;
+        const foreign = new FormTokenSigner({ secret: 'other-secret' }).issue(issuedAt);
+
+        expect(signer.verify(backdated, issuedAt + 5000).reason).toBe('bad-token-signature');
+        expect(signer.verify(foreign, issuedAt + 5000).reason).toBe('bad-token-signature');
+        expect(signer.verify('nonsense', issuedAt).reason).toBe('malformed-token');
+        expect(signer.verify(undefined).reason).toBe('missing-token');
+    });
+});
+
+describe('Form Token Secret', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'form-token-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should create the secret once and reuse it after a restart', () => {
+        const secretFile = path.join(dir, 'data', 'form-token.secret');
+        const before = new FormTokenSigner({ secretFile });
+        const after = new FormTokenSigner({ secretFile });
+
+        expect(after.secret).toBe(before.secret);
+        expect(after.verify(before.issue(1700000000000), 1700000005000).valid).toBe(true);
+        expect(fs.statSync(secretFile).mode & 0o777).toBe(0o600);
+    });
+});
+
+describe('Rate Limiter', () => {
+    test('should allow hits up to the limit within the window', () => {
+        const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+
+        expect(limiter.hit('1.2.3.4', 0).allowed).toBe(true);
+        expect(limiter.hit('1.2.3.4', 100).allowed).toBe(true);
+        expect(limiter.hit('1.2.3.4', 200)).toEqual({ allowed: false, retryAfter: 1 });
+        expect(limiter.hit('5.6.7.8', 200).allowed).toBe(true);
+        expect(limiter.hit('1.2.3.4', 1001).allowed).toBe(true);
+    });
+
+    test('should mark blocked hits after the first one in a window', () => {
+        const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+        limiter.hit('1.2.3.4', 0);
+
+        expect(limiter.hit('1.2.3.4', 100).repeated).toBeUndefined();
+        expect(limiter.hit('1.2.3.4', 200).repeated).toBe(true);
+        limiter.hit('1.2.3.4', 1001);
+        expect(limiter.hit('1.2.3.4', 1100).repeated).toBeUndefined();
+    });
+
+    test('should prune idle keys', () => {
+        const limiter = new RateLimiter({ limit: 2, windowMs: 1000 });
+        limiter.hit('1.2.3.4', 0);
+        limiter.prune(5000);
+
+        expect(limiter.hits.size).toBe(0);
+    });
+});
+
+describe('Spam Filter', () => {
+    const filter = new SpamFilter();
+    const lead = { name: 'David L.', message: 'Looking for a whole-house water filter quote' };
+
+    test('should pass an ordinary quote request', () => {
+        expect(filter.check({}, lead)).toEqual({ spam: false, reasons: [] });
+    });
+
+    test('should flag link-stuffed messages and links in names', () => {
+        const result = filter.check({}, {
+            name: 'www.cheap-pipes.example',
+            message: 'Visit https://a.example and https://b.example today'
+        });
+
+        expect(result.reasons).toEqual(expect.arrayContaining(['too-many-links:3', 'link-in-name']));
+    });
+
+    test('should flag banned phrases case-insensitively', () => {
+        const result = filter.check({}, { ...lead, message: 'We offer SEO Services for plumbers' });
+
+        expect(result.reasons).toContain('banned-phrase:seo services');
+    });
+
+    test('should flag a filled honeypot field', () => {
+        expect(filter.check({ website: 'x' }, lead).reasons).toEqual(['honeypot-filled']);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit Tests for the Image Validator
+ * Tests the metadata, page and disk cross-checks and the report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const ImageValidator = require('../scripts/validate-images.js');
+
+const ALT = 'Licensed plumber installing a water heater in Milwaukee';
+
+describe('Image Validator', () => {
+    let dir;
+    let validator;
+
+    const write = (file, content) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content));
+    };
+    const image = (file, width, height) => {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        return sharp({ create: { width, height, channels: 3, background: '#336699' } }).jpeg().toFile(path.join(dir, file));
+    };
+    const messages = problems => problems.map(problem => `${problem.where}: ${problem.message}`);
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-images-'));
+        await image('images/optimized/hero/hero-main.jpg', 64, 48);
+        write('scripts/image-metadata.json', {
+            hero: {
+                'hero-main': {
+                    src: 'images/optimized/hero/hero-main.jpg',
+                    alt: ALT,
+                    dimensions: { width: 64, height: 48 }
+                }
+            },
+            seo: { openGraph: { defaultImage: 'images/optimized/hero/hero-main.jpg' } }
+        });
+        write('index.html', [
+            '<html><head>',
+            '<meta property="og:image" content="https://www.radiusworks.net/images/optimized/hero/hero-main.jpg">',
+            '</head><body>',
+            `<img src="images/optimized/hero/hero-main.jpg" alt="${ALT}" width="64" height="48">`,
+            '<img src="images/optimized/hero/hero-main.jpg" alt="" width="64" height="48" data-image-name="hero-main" data-category="hero">',
+            '</body></html>'
+        ].join('\n'));
+
+        validator = new ImageValidator({ root: dir, maxFileSize: 10 * 1024 });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should pass a consistent set of metadata, page and files', async () => {
+        const result = await validator.validate();
+
+        expect(messages(result.errors)).toEqual([]);
+        expect(messages(result.warnings)).toEqual([]);
+        expect(await validator.run()).toBe(true);
+    });
+
+    test('should report metadata that points at missing files or lacks alt text and dimensions', async () => {
+        write('scripts/image-metadata.json', {
+            services: {
+                'service-drain': { src: 'images/optimized/services/service-drain.jpg' }
+            },
+            hero: {
+                'hero-main': { src: 'images/optimized/hero/hero-main.jpg', alt: ALT, dimensions: { width: 1920, height: 1080 } }
+            }
+        });
+
+        const { errors } = await validator.validate();
+
+        expect(messages(errors)).toEqual(expect.arrayContaining([
+            'scripts/image-metadata.json › services/service-drain: file not found: images/optimized/services/service-drain.jpg',
+            'scripts/image-metadata.json › services/service-drain: has no alt text',
+            'scripts/image-metadata.json › services/service-drain: has no dimensions',
+            'scripts/image-metadata.json › hero/hero-main: dimensions say 1920×1080 but images/optimized/hero/hero-main.jpg is 64×48'
+        ]));
+    });
+
+    test('should check the images and image names used by the page', async () => {
+        write('index.html', [
+            '<!-- <img src="images/old.jpg"> -->',
+            '<img src="images/missing.png" alt="Our team">',
+            '<img src="images/optimized/hero/hero-main.jpg">',
+            '<div data-image-name="service-gone" data-category="services"></div>',
+            '<meta name="twitter:image" content="https://www.radiusworks.net/images/stock/hero/hero.png">'
+        ].join('\n'));
+
+        const { errors, warnings } = await validator.validate();
+
+        expect(messages(errors)).toEqual([
+            'index.html:2 <img>: file not found: images/missing.png',
+            'index.html:3 <img>: has no alt attribute',
+            'index.html:4 [data-image-name]: "services/service-gone" is not in scripts/image-metadata.json',
+            'index.html:5: file not found: images/stock/hero/hero.png'
+        ]);
+        expect(messages(warnings)).toEqual(expect.arrayContaining([
+            'index.html:2 <img>: alt text is only 8 characters ("Our team")',
+            'index.html:2 <img>: has no width/height attributes, so the layout shifts when it loads'
+        ]));
+    });
+
+    test('should flag oversize files and leftover optimized images', async () => {
+        const big = Buffer.alloc(20 * 1024, 1);
+        write('images/optimized/hero/hero-old.webp', big);
+        write('images/stock/hero/hero-main.jpg', big);
+        write('images/logo.png', big);
+
+        const { errors, warnings } = await validator.validate();
+
+        expect(messages(errors)).toEqual([
+            'images/logo.png: is 20 KB, over the 10 KB budget',
+            'images/optimized/hero/hero-old.webp: is 20 KB, over the 10 KB budget'
+        ]);
+        expect(messages(warnings)).toEqual(['images/optimized/hero/hero-old.webp: is not referenced by the image metadata or the page']);
+    });
+
+    test('should accept hashed copies listed in the manifest and report missing ones', async () => {
+        fs.copyFileSync(path.join(dir, 'images/optimized/hero/hero-main.jpg'), path.join(dir, 'images/optimized/hero/hero-main.1a2b3c4d.jpg'));
+        write('images/manifest.json', {
+            'images/optimized/hero/hero-main.jpg': 'images/optimized/hero/hero-main.1a2b3c4d.jpg',
+            'images/hero-bg.jpg': 'images/hero-bg.5e6f7a8b.jpg'
+        });
+
+        const { errors, warnings } = await validator.validate();
+
+        expect(messages(errors)).toEqual(['images/manifest.json: images/hero-bg.jpg points at a missing file: images/hero-bg.5e6f7a8b.jpg. Run: npm run optimize-images']);
+        expect(messages(warnings)).toEqual([]);
+    });
+
+    test('should use the size budget a category sets in the config file', async () => {
+        write('images.config.json', { categories: { hero: { maxFileSize: 100 } } });
+        const configured = new ImageValidator({ root: dir });
+
+        const { errors } = await configured.validate();
+
+        expect(configured.maxFileSize).toBe(500 * 1024);
+        expect(messages(errors)).toEqual([expect.stringMatching(/hero-main: images\/optimized\/hero\/hero-main\.jpg is .* over the 100 Bytes budget$/)]);
+    });
+
+    test('should print a grouped report and fail when there are errors', async () => {
+        fs.unlinkSync(path.join(dir, 'images/optimized/hero/hero-main.jpg'));
+
+        expect(await validator.run()).toBe(false);
+
+        const report = console.log.mock.calls.map(call => call[0]).join('\n');
+        expect(report).toContain('❌ Errors');
+        expect(report).toContain('  scripts/image-metadata.json › hero/hero-main\n    - file not found: images/optimized/hero/hero-main.jpg');
+        expect(report).toMatch(/Image validation failed: \d+ error\(s\)/);
+    });
+});
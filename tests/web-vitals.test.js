@@ -0,0 +1,238 @@
+/**
+ * Unit Tests for Core Web Vitals
+ * Tests LCP image attribution, CLS session windows and shift sources, INP, long tasks and the beacon
+ */
+
+const WebVitals = require('../js/web-vitals.js');
+
+const ENDPOINT = 'http://localhost:3002/api/vitals';
+
+const METADATA = {
+    hero: {
+        'hero-main-plumber': {
+            src: 'images/hero-bg.jpg',
+            optimized: 'images/optimized/hero/hero-main-plumber.jpg',
+            webp: 'images/optimized/hero/hero-main-plumber.webp',
+            srcset: {
+                webp: [
+                    { src: 'images/optimized/hero/hero-main-plumber-640w.webp', width: 640 },
+                    { src: 'images/optimized/hero/hero-main-plumber.webp', width: 1920 }
+                ]
+            }
+        }
+    },
+    services: {
+        'service-drain': { src: 'images/residential-service.jpg' }
+    },
+    seo: { structuredData: { businessImages: ['images/hero-bg.jpg'] } }
+};
+
+const shift = (value, startTime, node, options = {}) => ({
+    value,
+    startTime,
+    hadRecentInput: false,
+    sources: node ? [{ node, currentRect: { width: 1200, height: 80 } }] : [],
+    ...options
+});
+
+describe('Web Vitals', () => {
+    let vitals;
+    let observers;
+
+    // Deliver entries to the observer watching their type, as the browser would
+    function emit(type, entries) {
+        observers.filter(observer => observer.options.type === type)
+            .forEach(observer => observer.callback({ getEntries: () => entries }));
+    }
+
+    beforeEach(() => {
+        observers = [];
+        navigator.sendBeacon = jest.fn(() => true);
+        window.PerformanceObserver = class {
+            constructor(callback) {
+                this.callback = callback;
+                observers.push(this);
+            }
+            observe(options) {
+                this.options = options;
+            }
+            disconnect() {}
+        };
+        window.PerformanceObserver.supportedEntryTypes = ['largest-contentful-paint', 'layout-shift', 'event', 'first-input', 'longtask', 'resource'];
+
+        document.body.innerHTML = `
+            <header class="header scrolled"></header>
+            <section class="hero">
+                <img class="hero-img-enhanced" src="images/optimized/hero/hero-main-plumber.1a2b3c4d.webp" data-category="hero" data-image-name="hero-main-plumber">
+                <div class="hero-text"><h1>Radius Works</h1></div>
+            </section>
+            <button id="quote-button">Get a quote</button>
+        `;
+        vitals = new WebVitals({ endpoint: ENDPOINT, getMetadata: () => METADATA }).attach();
+    });
+
+    afterEach(() => {
+        vitals.detach();
+        delete navigator.sendBeacon;
+        delete document.visibilityState;
+    });
+
+    test('should observe every supported metric with buffered entries', () => {
+        expect(observers.map(observer => observer.options)).toEqual([
+            { type: 'largest-contentful-paint', buffered: true },
+            { type: 'layout-shift', buffered: true },
+            { type: 'event', buffered: true, durationThreshold: 40 },
+            { type: 'first-input', buffered: true },
+            { type: 'longtask', buffered: true }
+        ]);
+    });
+
+    test('should skip metrics the browser does not support', () => {
+        vitals.detach();
+        observers = [];
+        window.PerformanceObserver.supportedEntryTypes = ['largest-contentful-paint'];
+
+        vitals = new WebVitals().attach();
+
+        expect(observers.map(observer => observer.options.type)).toEqual(['largest-contentful-paint']);
+        expect(vitals.getVitalsReport()).toEqual(expect.objectContaining({
+            lcp: null,
+            cls: { value: 0, rating: 'good', sources: [] },
+            inp: null,
+            longTasks: { count: 0, totalBlockingTime: 0, longest: null }
+        }));
+    });
+
+    test('should attribute the LCP to the tagged image it was', () => {
+        const img = document.querySelector('img');
+        emit('largest-contentful-paint', [
+            { element: document.querySelector('h1'), startTime: 800, renderTime: 800, url: '' },
+            { element: img, startTime: 2900.4, renderTime: 2900.4, url: img.src }
+        ]);
+
+        expect(vitals.getVitalsReport().lcp).toEqual({
+            value: 2900,
+            rating: 'needs-improvement',
+            element: 'img.hero-img-enhanced',
+            url: 'http://localhost/images/optimized/hero/hero-main-plumber.1a2b3c4d.webp',
+            image: { category: 'hero', imageName: 'hero-main-plumber' }
+        });
+    });
+
+    test('should attribute an untagged LCP image by its URL, hashed or not', () => {
+        const background = document.querySelector('.hero');
+        emit('largest-contentful-paint', [{ element: background, startTime: 1200, url: 'http://localhost/images/optimized/hero/hero-main-plumber-640w.3f9e0a12.webp' }]);
+        expect(vitals.getVitalsReport().lcp.image).toEqual({ category: 'hero', imageName: 'hero-main-plumber' });
+
+        emit('largest-contentful-paint', [{ element: background, startTime: 1300, url: 'http://localhost/images/residential-service.jpg' }]);
+        expect(vitals.getVitalsReport().lcp).toEqual(expect.objectContaining({
+            value: 1300,
+            rating: 'good',
+            element: 'section.hero',
+            image: { category: 'services', imageName: 'service-drain' }
+        }));
+
+        emit('largest-contentful-paint', [{ element: background, startTime: 4500, url: 'https://cdn.example.com/images/hero-bg.jpg' }]);
+        expect(vitals.getVitalsReport().lcp).toEqual(expect.objectContaining({ rating: 'poor', image: null }));
+    });
+
+    test('should take CLS from the worst session window and charge shifts to elements', () => {
+        const header = document.querySelector('header');
+        const hero = document.querySelector('.hero');
+
+        emit('layout-shift', [
+            shift(0.05, 1000, header),
+            shift(0.04, 1500, hero),
+            // More than a second after the last shift: a new window
+            shift(0.08, 3000, header),
+            shift(0.5, 3200, header, { hadRecentInput: true })
+        ]);
+
+        expect(vitals.getVitalsReport().cls).toEqual({
+            value: 0.09,
+            rating: 'good',
+            sources: [
+                { selector: 'header.header.scrolled', value: 0.13, count: 2 },
+                { selector: 'section.hero', value: 0.04, count: 1 }
+            ]
+        });
+
+        emit('layout-shift', [shift(0.1, 3900, header), shift(0.1, 4800, null)]);
+
+        const { cls } = vitals.getVitalsReport();
+        expect(cls.value).toBe(0.28);
+        expect(cls.rating).toBe('poor');
+        expect(cls.sources.map(source => source.selector)).toEqual(['header.header.scrolled', 'unknown', 'section.hero']);
+    });
+
+    test('should report the slowest interaction as INP', () => {
+        const button = document.querySelector('button');
+        emit('first-input', [{ name: 'pointerdown', interactionId: 1, duration: 48, startTime: 900, target: button }]);
+        emit('event', [
+            { name: 'pointerdown', interactionId: 1, duration: 48, startTime: 900, target: button },
+            { name: 'click', interactionId: 1, duration: 264, startTime: 910, target: button },
+            { name: 'keydown', interactionId: 2, duration: 120, startTime: 2000, target: document.body },
+            // Hover events have no interaction
+            { name: 'pointerover', interactionId: 0, duration: 900, startTime: 2500, target: button }
+        ]);
+
+        expect(vitals.getVitalsReport().inp).toEqual({
+            value: 264,
+            rating: 'needs-improvement',
+            eventType: 'click',
+            target: 'button#quote-button',
+            startTime: 910
+        });
+    });
+
+    test('should ignore one outlier interaction in every fifty', () => {
+        const entries = Array.from({ length: 60 }, (_, index) => ({
+            name: 'click', interactionId: index + 1, duration: 100 + index, startTime: index * 100, target: document.body
+        }));
+        emit('event', entries);
+
+        expect(vitals.getVitalsReport().inp.value).toBe(158);
+    });
+
+    test('should count long tasks and their blocking time', () => {
+        emit('longtask', [
+            { duration: 120, startTime: 300, attribution: [{ containerType: 'window' }] },
+            { duration: 70.4, startTime: 900, attribution: [] },
+            { duration: 210, startTime: 1500, attribution: [{ containerType: 'iframe', containerSrc: 'https://maps.example.com/embed' }] }
+        ]);
+
+        expect(vitals.getVitalsReport().longTasks).toEqual({
+            count: 3,
+            totalBlockingTime: 250,
+            longest: { duration: 210, startTime: 1500, container: 'https://maps.example.com/embed' }
+        });
+    });
+
+    test('should beacon the report when the page is hidden', async () => {
+        emit('longtask', [{ duration: 90, startTime: 100 }]);
+
+        Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+        document.dispatchEvent(new Event('visibilitychange'));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledWith(ENDPOINT, expect.any(Blob));
+        // jsdom's Blob has no text()
+        const report = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(JSON.parse(reader.result));
+            reader.readAsText(navigator.sendBeacon.mock.calls[0][1]);
+        });
+        expect(report).toEqual(expect.objectContaining({ page: '/', lcp: null, longTasks: expect.objectContaining({ count: 1, totalBlockingTime: 40 }) }));
+    });
+
+    test('should not send anything without an endpoint', () => {
+        vitals.detach();
+        vitals = new WebVitals().attach();
+
+        Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+        document.dispatchEvent(new Event('visibilitychange'));
+
+        expect(vitals.sendReport()).toBe(false);
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});